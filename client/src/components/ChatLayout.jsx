@@ -1,9 +1,17 @@
 import { useEffect, useMemo, useState } from 'react';
+import clsx from 'clsx';
 import { useChat } from '../context/ChatContext.jsx';
 import Sidebar from './Sidebar.jsx';
 import MessageList from './MessageList.jsx';
 import MessageComposer from './MessageComposer.jsx';
 import TypingIndicator from './TypingIndicator.jsx';
+import ReplyPanel from './ReplyPanel.jsx';
+import RoomMembersPanel from './RoomMembersPanel.jsx';
+import ThreadMembersPanel from './ThreadMembersPanel.jsx';
+import PinnedPanel from './PinnedPanel.jsx';
+import SearchResults from './SearchResults.jsx';
+import { SPECIAL_MENTIONS } from '../../../shared/mentions.mjs';
+import { canModerateRoom, describeThread, getComposerCooldown, makeReplyKey } from '../utils/chatHelpers.js';
 
 const ChatLayout = () => {
   const { state, actions } = useChat();
@@ -19,16 +27,37 @@ const ChatLayout = () => {
     unreadRooms,
     unreadThreads,
     users,
+    presence,
+    lastSeen,
+    notificationPreferences,
+    mentionCounts,
+    bookmarks,
     searchResults,
+    searchPage,
+    invites,
+    rateLimit,
   } = state;
   const [searchTerm, setSearchTerm] = useState('');
   const [searchLoading, setSearchLoading] = useState(false);
+  const [openParentId, setOpenParentId] = useState(null);
+  const [showMembers, setShowMembers] = useState(false);
+  const [showPins, setShowPins] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [searchFilters, setSearchFilters] = useState({
+    scope: 'all',
+    sender: '',
+    since: '',
+    until: '',
+    hasAttachment: false,
+  });
+  const [highlightedId, setHighlightedId] = useState(null);
 
   const activeRoom = activeConversation?.type === 'room' ? rooms[activeConversation.id] : null;
   const activeThread = activeConversation?.type === 'thread' ? threads[activeConversation.id] : null;
 
+  const activeGroup = activeThread?.isGroup ? activeThread : null;
   const counterpart = useMemo(() => {
-    if (!activeThread) {
+    if (!activeThread || activeThread.isGroup) {
       return null;
     }
     return (
@@ -38,13 +67,27 @@ const ChatLayout = () => {
     );
   }, [activeThread, user?.username]);
 
-  const messages = activeRoom
-    ? activeRoom.messages
-    : activeThread
-    ? activeThread.messages
-    : [];
+  // Whichever room or DM thread is open, and how history requests address it.
+  const activeHistory = activeRoom || activeThread;
+  const historyTarget = activeRoom ? { roomId: activeRoom.id } : activeThread ? { threadId: activeThread.id } : null;
+
+  const messages = activeHistory ? activeHistory.messages : [];
 
-  const hasMore = Boolean(activeRoom?.hasMore);
+  const hasMore = Boolean(activeHistory?.hasMore);
+  const hasNewer = Boolean(activeHistory?.hasNewer);
+  const canModerate = Boolean(activeRoom && canModerateRoom(activeRoom, user?.username));
+  // Rooms leave pinning to moderators; anyone in a DM or group can pin.
+  const canPin = activeRoom ? canModerate : Boolean(activeThread);
+  const pinned = activeHistory?.pinned || [];
+  const savedIds = useMemo(() => new Set(bookmarks.map((bookmark) => bookmark.messageId)), [bookmarks]);
+  const composerCooldown = getComposerCooldown(rateLimit);
+
+  // Names the composer suggests after "@": room members plus @here and @room, or the thread's other people.
+  const mentionCandidates = useMemo(() => {
+    const people = (activeRoom ? activeRoom.members : activeThread?.participants) || [];
+    const others = people.filter((name) => name !== user?.username).sort((a, b) => a.localeCompare(b));
+    return activeRoom ? [...others, ...SPECIAL_MENTIONS] : others;
+  }, [activeRoom, activeThread, user?.username]);
 
   const typingNames = activeRoom
     ? typingByRoom[activeRoom.id] || []
@@ -52,19 +95,53 @@ const ChatLayout = () => {
     ? typingByThread[activeThread.id] || []
     : [];
 
+  const replies = activeRoom && openParentId ? activeRoom.replies?.[openParentId] : null;
+  const replyParent =
+    activeRoom && openParentId
+      ? activeRoom.messages.find((message) => message.id === openParentId) || replies?.parent || null
+      : null;
+  const replyTypingNames =
+    activeRoom && openParentId ? typingByRoom[makeReplyKey(activeRoom.id, openParentId)] || [] : [];
+
+  useEffect(() => {
+    setOpenParentId(null);
+    setShowMembers(false);
+    setShowPins(false);
+  }, [activeConversation?.type, activeConversation?.id]);
+
+  useEffect(() => {
+    if (!highlightedId) {
+      return undefined;
+    }
+    const timer = setTimeout(() => setHighlightedId(null), 4000);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
   useEffect(() => {
     if (activeConversation) {
       actions.markConversationRead(activeConversation);
     }
   }, [activeConversation, messages.length, actions]);
 
-  const handleSend = async (body) => {
+  const sendToActive = async (body, attachments) => {
     if (activeRoom) {
-      await actions.sendMessage({ roomId: activeRoom.id, body });
+      await actions.sendMessage({ roomId: activeRoom.id, body, attachments });
+      return;
+    }
+    if (activeGroup) {
+      await actions.sendPrivateMessage({ threadId: activeGroup.id, body, attachments });
       return;
     }
     if (activeThread && counterpart) {
-      await actions.sendPrivateMessage({ to: counterpart, body });
+      await actions.sendPrivateMessage({ to: counterpart, body, attachments });
+    }
+  };
+
+  const handleSend = async (body, attachments) => {
+    await sendToActive(body, attachments);
+    // Our own message only shows up at the live end of the conversation.
+    if (hasNewer && historyTarget) {
+      await actions.jumpToLatest(historyTarget);
     }
   };
 
@@ -73,6 +150,10 @@ const ChatLayout = () => {
       actions.setTyping(activeRoom.id, isTyping);
       return;
     }
+    if (activeGroup) {
+      actions.setGroupTyping(activeGroup.id, isTyping);
+      return;
+    }
     if (activeThread && counterpart) {
       actions.setPrivateTyping(counterpart, isTyping);
     }
@@ -88,10 +169,119 @@ const ChatLayout = () => {
     }
   };
 
+  const handleEdit = async (messageId, body) => {
+    if (activeRoom) {
+      await actions.editMessage({ roomId: activeRoom.id, messageId, body });
+      return;
+    }
+    if (activeThread) {
+      await actions.editPrivateMessage({ threadId: activeThread.id, messageId, body });
+    }
+  };
+
+  const handleDismissPreviews = async (messageId) => {
+    try {
+      await actions.dismissLinkPreviews({ roomId: activeRoom?.id, threadId: activeThread?.id, messageId });
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  const handleTogglePin = async (message) => {
+    try {
+      await actions.setMessagePinned({ ...historyTarget, messageId: message.id, pinned: !message.pinnedAt });
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
+  // Replies in the open reply panel are saved against the room too.
+  const handleToggleBookmark = async (message, isSaved) => {
+    try {
+      if (isSaved) {
+        await actions.removeBookmark(message.id);
+        return;
+      }
+      await actions.addBookmark({ ...historyTarget, messageId: message.id });
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
+  const togglePins = () => {
+    setOpenParentId(null);
+    setShowMembers(false);
+    setShowPins((current) => !current);
+  };
+
+  // Pinned messages can be far back in history, so enough of it is loaded around them first.
+  const handleJumpToPinned = async (message) => {
+    try {
+      await actions.loadMessageContext({ ...historyTarget, messageId: message.id });
+      setHighlightedId(message.id);
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
+  const handleDelete = async (messageId) => {
+    if (!window.confirm('Delete this message for everyone?')) {
+      return;
+    }
+    try {
+      if (activeRoom) {
+        await actions.deleteMessage({ roomId: activeRoom.id, messageId });
+        return;
+      }
+      if (activeThread) {
+        await actions.deletePrivateMessage({ threadId: activeThread.id, messageId });
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
   const handleLoadMore = () => {
-    if (activeRoom && activeRoom.hasMore) {
-      const before = activeRoom.messages[0]?.id;
-      actions.fetchOlderMessages({ roomId: activeRoom.id, before });
+    if (historyTarget && hasMore) {
+      return actions.fetchOlderMessages({ ...historyTarget, before: messages[0]?.id });
+    }
+    return undefined;
+  };
+
+  const handleLoadNewer = () => {
+    if (historyTarget && hasNewer) {
+      return actions.fetchNewerMessages({ ...historyTarget, after: messages[messages.length - 1]?.id });
+    }
+    return undefined;
+  };
+
+  const handleOpenReplies = (parentId) => {
+    if (!activeRoom) {
+      return;
+    }
+    setShowMembers(false);
+    setShowPins(false);
+    setOpenParentId(parentId);
+    actions.fetchReplies({ roomId: activeRoom.id, parentId }).catch((error) => console.error(error));
+  };
+
+  const handleSendReply = async (body, attachments) => {
+    if (activeRoom && openParentId) {
+      await actions.sendReply({ roomId: activeRoom.id, parentId: openParentId, body, attachments });
+    }
+  };
+
+  const handleReplyTyping = (isTyping) => {
+    if (activeRoom && openParentId) {
+      actions.setReplyTyping(activeRoom.id, openParentId, isTyping);
+    }
+  };
+
+  const handleLoadMoreReplies = () => {
+    if (activeRoom && openParentId && replies?.hasMore) {
+      actions
+        .fetchReplies({ roomId: activeRoom.id, parentId: openParentId, before: replies.messages[0]?.id })
+        .catch((error) => console.error(error));
     }
   };
 
@@ -100,10 +290,32 @@ const ChatLayout = () => {
     if (!name) {
       return;
     }
+    const visibility = (window.prompt('Who can join? public, private or password', 'public') || 'public')
+      .trim()
+      .toLowerCase();
+    const password = visibility === 'password' ? window.prompt('Room password') : undefined;
+    if (visibility === 'password' && !password) {
+      return;
+    }
     try {
-      await actions.createRoom(name);
+      await actions.createRoom(name, { visibility, password });
     } catch (error) {
-      console.error(error);
+      window.alert(error.message);
+    }
+  };
+
+  // Password rooms ask for the password and retry once it is needed.
+  const joinWithPassword = async (roomId) => {
+    try {
+      await actions.joinRoom(roomId);
+    } catch (error) {
+      if (!error.passwordRequired) {
+        throw error;
+      }
+      const password = window.prompt('This room is password protected. Enter the password');
+      if (password) {
+        await actions.joinRoom(roomId, password);
+      }
     }
   };
 
@@ -113,26 +325,118 @@ const ChatLayout = () => {
       return;
     }
     try {
-      await actions.joinRoom(roomId.trim());
+      await joinWithPassword(roomId.trim());
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
+  const handleRespondToInvite = async (roomId, accept) => {
+    try {
+      await actions.respondToInvite({ roomId, accept });
     } catch (error) {
       console.error(error);
     }
   };
 
-  const handleSearch = async (event) => {
-    event.preventDefault();
+  const updateSearchFilter = (key, value) => {
+    setSearchFilters((current) => ({ ...current, [key]: value }));
+  };
+
+  // Date inputs give whole days, so `until` runs to the end of that day.
+  const buildSearchFilters = () => {
+    const { scope, sender, since, until, hasAttachment } = searchFilters;
+    return {
+      roomId: scope === 'current' ? activeRoom?.id : undefined,
+      threadId: scope === 'current' ? activeThread?.id : undefined,
+      type: scope === 'rooms' ? 'room' : scope === 'dms' ? 'dm' : undefined,
+      sender: sender.trim(),
+      since: since ? new Date(`${since}T00:00:00`).toISOString() : undefined,
+      until: until ? new Date(`${until}T23:59:59.999`).toISOString() : undefined,
+      hasAttachment,
+    };
+  };
+
+  const runSearch = async (query, filters, cursor) => {
     setSearchLoading(true);
     try {
-      await actions.searchMessages(searchTerm, activeRoom?.id);
+      await actions.searchMessages(query, filters, cursor);
     } catch (error) {
-      console.error(error);
+      window.alert(error.message);
     } finally {
       setSearchLoading(false);
     }
   };
 
+  const handleSearch = (event) => {
+    event.preventDefault();
+    runSearch(searchTerm, buildSearchFilters());
+  };
+
+  const handleMoreResults = () => {
+    const { query, ...filters } = searchPage.filters || {};
+    runSearch(query, filters, searchPage.nextCursor);
+  };
+
+  const handleClearSearch = () => {
+    setSearchTerm('');
+    actions.searchMessages('');
+  };
+
+  // Opens the conversation a result came from, loads enough history to show it, and highlights it.
+  const handleOpenResult = async (entry) => {
+    const { message } = entry;
+    try {
+      if (entry.conversationType === 'thread') {
+        actions.setActiveConversation({ type: 'thread', id: entry.threadId });
+        await actions.loadMessageContext({ threadId: entry.threadId, messageId: message.id });
+        setHighlightedId(message.id);
+        return;
+      }
+
+      const room = rooms[entry.roomId];
+      if (room && room.visibility !== 'public' && !room.members?.includes(user?.username)) {
+        await joinWithPassword(room.id);
+      }
+      actions.setActiveConversation({ type: 'room', id: entry.roomId });
+
+      // Replies are shown in their parent's thread panel, opened once switching rooms has reset it.
+      const anchorId = message.parentId || message.id;
+      await actions.loadMessageContext({ roomId: entry.roomId, messageId: anchorId });
+      if (message.parentId) {
+        await actions.fetchReplies({ roomId: entry.roomId, parentId: message.parentId });
+        setShowMembers(false);
+        setOpenParentId(message.parentId);
+      }
+      setHighlightedId(message.id);
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
+  // Only bookmarks the server reports as available carry the current message to jump to.
+  const handleOpenBookmark = async (bookmark) => {
+    if (bookmark.message) {
+      await handleOpenResult(bookmark);
+    }
+  };
+
+  const handleEditBookmarkNote = (bookmark, note) =>
+    actions.addBookmark({
+      roomId: bookmark.roomId,
+      threadId: bookmark.threadId,
+      messageId: bookmark.messageId,
+      note: note.trim(),
+    });
+
   const handleSelectConversation = (conversation) => {
     setSearchTerm('');
+    const room = conversation.type === 'room' ? rooms[conversation.id] : null;
+    // Locked rooms have to be joined before they can be read.
+    if (room && room.visibility !== 'public' && !room.members?.includes(user?.username)) {
+      joinWithPassword(room.id).catch((error) => window.alert(error.message));
+      return;
+    }
     actions.setActiveConversation(conversation);
   };
 
@@ -158,10 +462,27 @@ const ChatLayout = () => {
         unreadRooms={unreadRooms}
         unreadThreads={unreadThreads}
         users={users}
+        presence={presence}
+        lastSeen={lastSeen}
+        notificationPreferences={notificationPreferences}
+        mentionCounts={mentionCounts}
+        invites={invites}
+        bookmarks={bookmarks}
+        onRespondToInvite={handleRespondToInvite}
         onSelectConversation={handleSelectConversation}
         onCreateRoom={handleCreateRoom}
         onJoinRoom={handleJoinRoom}
         onStartDirectMessage={handleStartDm}
+        onCreateGroup={actions.createGroupThread}
+        onSetStatus={actions.setStatus}
+        onSetCustomStatus={actions.setCustomStatus}
+        onClearCustomStatus={actions.clearCustomStatus}
+        onRequestLastSeen={actions.requestLastSeen}
+        onSetNotificationPreference={actions.setNotificationPreference}
+        onOpenBookmark={handleOpenBookmark}
+        onEditBookmarkNote={handleEditBookmarkNote}
+        onRemoveBookmark={(bookmark) => actions.removeBookmark(bookmark.messageId)}
+        onRefreshBookmarks={actions.fetchBookmarks}
         onLogout={actions.disconnect}
       />
 
@@ -169,15 +490,55 @@ const ChatLayout = () => {
         <header className="chat-header">
           <div>
             <h2>
-              {activeRoom ? `#${activeRoom.name || activeRoom.id}` : counterpart ? `@${counterpart}` : 'Select a room'}
+              {activeRoom
+                ? `#${activeRoom.name || activeRoom.id}`
+                : activeThread
+                ? describeThread(activeThread, user?.username)
+                : 'Select a room'}
             </h2>
             {activeRoom ? (
               <p className="subtitle">
-                {activeRoom.description || 'No description yet.'} • {activeRoom.memberCount || 0} members
+                {activeRoom.description || 'No description yet.'} •{' '}
+                <button
+                  type="button"
+                  className="message-action"
+                  onClick={() => {
+                    setOpenParentId(null);
+                    setShowPins(false);
+                    setShowMembers((current) => !current);
+                  }}
+                >
+                  {activeRoom.memberCount || 0} members
+                </button>
               </p>
             ) : null}
             {counterpart ? <p className="subtitle">Direct conversation with {counterpart}</p> : null}
+            {activeGroup ? (
+              <p className="subtitle">
+                Group conversation •{' '}
+                <button
+                  type="button"
+                  className="message-action"
+                  onClick={() => {
+                    setShowPins(false);
+                    setShowMembers((current) => !current);
+                  }}
+                >
+                  {activeGroup.participants.length} people
+                </button>
+              </p>
+            ) : null}
           </div>
+          {activeHistory ? (
+            <button
+              type="button"
+              className={clsx('message-action', 'pins-toggle', { active: showPins })}
+              onClick={togglePins}
+              aria-pressed={showPins}
+            >
+              📌 {pinned.length ? `${pinned.length} pinned` : 'Pinned'}
+            </button>
+          ) : null}
           <form className="search" onSubmit={handleSearch}>
             <input
               type="search"
@@ -185,50 +546,180 @@ const ChatLayout = () => {
               value={searchTerm}
               onChange={(event) => setSearchTerm(event.target.value)}
             />
-            <button type="submit" disabled={!searchTerm.trim() || searchLoading}>
+            <button type="button" className="message-action" onClick={() => setShowFilters((current) => !current)}>
+              Filters
+            </button>
+            <button
+              type="submit"
+              disabled={
+                (!searchTerm.trim() && !searchFilters.sender.trim() && !searchFilters.hasAttachment) || searchLoading
+              }
+            >
               {searchLoading ? 'Searching…' : 'Search'}
             </button>
           </form>
         </header>
 
-        <main className="chat-main">
-          <MessageList
-            messages={messages}
-            currentUser={user}
-            hasMore={hasMore}
-            onLoadMore={handleLoadMore}
-            onReact={handleReact}
-            conversationType={activeConversation?.type}
-          />
-          <TypingIndicator names={typingNames} />
-          <MessageComposer
-            onSend={handleSend}
-            onTyping={handleTyping}
-            placeholder={activeRoom ? `Message #${activeRoom.name || activeRoom.id}` : counterpart ? `Message @${counterpart}` : 'Select a conversation to start chatting'}
-            disabled={!activeRoom && !activeThread}
-          />
-        </main>
+        {showFilters ? (
+          <form className="search-filters" onSubmit={handleSearch}>
+            <select value={searchFilters.scope} onChange={(event) => updateSearchFilter('scope', event.target.value)}>
+              <option value="all">Everywhere</option>
+              <option value="current" disabled={!activeRoom && !activeThread}>
+                This conversation
+              </option>
+              <option value="rooms">Rooms only</option>
+              <option value="dms">Direct messages only</option>
+            </select>
+            <input
+              value={searchFilters.sender}
+              onChange={(event) => updateSearchFilter('sender', event.target.value)}
+              placeholder="From user"
+            />
+            <label>
+              After
+              <input
+                type="date"
+                value={searchFilters.since}
+                onChange={(event) => updateSearchFilter('since', event.target.value)}
+              />
+            </label>
+            <label>
+              Before
+              <input
+                type="date"
+                value={searchFilters.until}
+                onChange={(event) => updateSearchFilter('until', event.target.value)}
+              />
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={searchFilters.hasAttachment}
+                onChange={(event) => updateSearchFilter('hasAttachment', event.target.checked)}
+              />
+              Has attachment
+            </label>
+          </form>
+        ) : null}
+
+        <div className="chat-body">
+          <main className="chat-main">
+            <MessageList
+              key={`${activeConversation?.type}:${activeConversation?.id}`}
+              messages={messages}
+              currentUser={user}
+              hasMore={hasMore}
+              hasNewer={hasNewer}
+              onLoadMore={handleLoadMore}
+              onLoadNewer={handleLoadNewer}
+              onReact={handleReact}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+              onDismissPreviews={handleDismissPreviews}
+              onTogglePin={canPin ? handleTogglePin : undefined}
+              onToggleBookmark={handleToggleBookmark}
+              savedIds={savedIds}
+              onOpenReplies={activeRoom ? handleOpenReplies : undefined}
+              canModerate={canModerate}
+              conversationType={activeConversation?.type}
+              highlightedId={highlightedId}
+            />
+            {hasNewer && historyTarget ? (
+              <button type="button" className="jump-latest" onClick={() => actions.jumpToLatest(historyTarget)}>
+                Jump to latest ↓
+              </button>
+            ) : null}
+            <TypingIndicator names={typingNames} />
+            <MessageComposer
+              onSend={handleSend}
+              onTyping={handleTyping}
+              onUpload={actions.uploadFile}
+              placeholder={
+                activeRoom
+                  ? `Message #${activeRoom.name || activeRoom.id}`
+                  : activeThread
+                  ? `Message ${describeThread(activeThread, user?.username)}`
+                  : 'Select a conversation to start chatting'
+              }
+              disabled={!activeRoom && !activeThread}
+              cooldown={composerCooldown}
+              mentionCandidates={mentionCandidates}
+            />
+          </main>
+
+          {activeRoom && openParentId ? (
+            <ReplyPanel
+              parent={replyParent}
+              replies={replies}
+              currentUser={user}
+              typingNames={replyTypingNames}
+              canModerate={canModerate}
+              onClose={() => setOpenParentId(null)}
+              onSend={handleSendReply}
+              onTyping={handleReplyTyping}
+              onUpload={actions.uploadFile}
+              cooldown={composerCooldown}
+              mentionCandidates={mentionCandidates}
+              onLoadMore={handleLoadMoreReplies}
+              onReact={handleReact}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+              onDismissPreviews={handleDismissPreviews}
+              onToggleBookmark={handleToggleBookmark}
+              savedIds={savedIds}
+              highlightedId={highlightedId}
+            />
+          ) : null}
+
+          {activeHistory && showPins ? (
+            <PinnedPanel
+              pinned={pinned}
+              currentUser={user}
+              canUnpin={canPin}
+              onJump={handleJumpToPinned}
+              onUnpin={handleTogglePin}
+              onClose={() => setShowPins(false)}
+            />
+          ) : null}
+
+          {activeRoom && showMembers ? (
+            <RoomMembersPanel
+              room={activeRoom}
+              currentUser={user}
+              onClose={() => setShowMembers(false)}
+              onUpdateRoom={actions.updateRoom}
+              onInvite={actions.inviteToRoom}
+              onKick={actions.kickMember}
+              onBan={actions.banMember}
+              onUnban={actions.unbanMember}
+              onMute={actions.muteMember}
+              onUnmute={actions.unmuteMember}
+              onSetRole={actions.setMemberRole}
+            />
+          ) : null}
+
+          {activeGroup && showMembers ? (
+            <ThreadMembersPanel
+              thread={activeGroup}
+              currentUser={user}
+              users={users}
+              onClose={() => setShowMembers(false)}
+              onAdd={actions.addThreadParticipants}
+              onRemove={actions.removeThreadParticipant}
+            />
+          ) : null}
+        </div>
 
         {searchResults?.length ? (
-          <section className="search-results">
-            <h3>Search results</h3>
-            <ul>
-              {searchResults.map((entry) => (
-                <li key={entry.message.id}>
-                  <button
-                    type="button"
-                    className="search-result"
-                    onClick={() =>
-                      handleSelectConversation({ type: 'room', id: entry.roomId })
-                    }
-                  >
-                    <span className="result-room">#{entry.roomName}</span>
-                    <span className="result-body">{entry.message.sender}: {entry.message.body}</span>
-                  </button>
-                </li>
-              ))}
-            </ul>
-          </section>
+          <SearchResults
+            results={searchResults}
+            total={searchPage.total}
+            hasMore={searchPage.hasMore}
+            currentUser={user}
+            onOpen={handleOpenResult}
+            onLoadMore={handleMoreResults}
+            onClose={handleClearSearch}
+          />
         ) : null}
       </div>
 
@@ -0,0 +1,71 @@
+import clsx from 'clsx';
+import { Fragment, useMemo } from 'react';
+import { splitMentions } from '../utils/chatHelpers.js';
+import { parseMarkdown } from '../utils/markdown.js';
+
+const INLINE_TAGS = { strong: 'strong', em: 'em', strike: 's' };
+
+// Plain text still goes through splitMentions so resolved @mentions keep their highlight.
+const renderText = (text, mentions, username) =>
+  splitMentions(text, mentions, username).map((part, index) =>
+    part.mention ? (
+      <span key={index} className={clsx('mention', { self: part.self })}>
+        {part.text}
+      </span>
+    ) : (
+      <Fragment key={index}>{part.text}</Fragment>
+    )
+  );
+
+const renderInline = (nodes, mentions, username) =>
+  nodes.map((node, index) => {
+    if (node.type === 'text') {
+      return <Fragment key={index}>{renderText(node.text, mentions, username)}</Fragment>;
+    }
+    if (node.type === 'code') {
+      return <code key={index}>{node.text}</code>;
+    }
+    if (node.type === 'link') {
+      return (
+        <a key={index} href={node.href} target="_blank" rel="noopener noreferrer nofollow">
+          {node.text}
+        </a>
+      );
+    }
+    const Tag = INLINE_TAGS[node.type];
+    return <Tag key={index}>{renderInline(node.children, mentions, username)}</Tag>;
+  });
+
+const renderBlocks = (blocks, mentions, username) =>
+  blocks.map((block, index) => {
+    if (block.type === 'code') {
+      return (
+        <pre key={index} className="code-block" data-language={block.language || undefined}>
+          <code>{block.text}</code>
+        </pre>
+      );
+    }
+    if (block.type === 'quote') {
+      return <blockquote key={index}>{renderBlocks(block.children, mentions, username)}</blockquote>;
+    }
+    if (block.type === 'list') {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List key={index} start={block.ordered && block.start !== 1 ? block.start : undefined}>
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderInline(item, mentions, username)}</li>
+          ))}
+        </List>
+      );
+    }
+    return <p key={index}>{renderInline(block.children, mentions, username)}</p>;
+  });
+
+// Renders a message body with the Markdown subset from utils/markdown.js. `mentions` are the ones the server
+// resolved for the message; mentions of `username` are marked as their own.
+const FormattedText = ({ text, mentions = [], username }) => {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  return <>{renderBlocks(blocks, mentions, username)}</>;
+};
+
+export default FormattedText;
@@ -1,34 +1,41 @@
 import { useState } from 'react';
 import { useChat } from '../context/ChatContext.jsx';
 
-const usernameSuggestions = ['Skywalker', 'Nebula', 'Photon', 'Quasar'];
-
-const pickSuggestion = () =>
-  usernameSuggestions[Math.floor(Math.random() * usernameSuggestions.length)];
-
 const LoginScreen = () => {
   const { actions, state } = useChat();
+  const [mode, setMode] = useState('login');
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
   const [error, setError] = useState('');
 
+  const isRegistering = mode === 'register';
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     setError('');
 
     try {
-      await actions.connect(username || pickSuggestion());
+      const credentials = { username, password };
+      await (isRegistering ? actions.register(credentials) : actions.login(credentials));
     } catch (err) {
       setError(err.message);
     }
   };
 
+  const toggleMode = () => {
+    setError('');
+    setMode(isRegistering ? 'login' : 'register');
+  };
+
   return (
     <div className="login-screen">
       <div className="login-card">
         <h1>Real-Time Chat</h1>
-        <p className="subtitle">Join the conversation with a unique handle.</p>
+        <p className="subtitle">
+          {isRegistering ? 'Create an account to join the conversation.' : 'Sign in to join the conversation.'}
+        </p>
         <form onSubmit={handleSubmit} className="login-form">
-          <label htmlFor="username">Display name</label>
+          <label htmlFor="username">Username</label>
           <input
             id="username"
             type="text"
@@ -36,13 +43,27 @@ const LoginScreen = () => {
             value={username}
             onChange={(event) => setUsername(event.target.value)}
             maxLength={24}
+            autoComplete="username"
+            disabled={state.isConnecting}
+          />
+          <label htmlFor="password">Password</label>
+          <input
+            id="password"
+            type="password"
+            placeholder={isRegistering ? 'At least 8 characters' : 'Enter your password'}
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            autoComplete={isRegistering ? 'new-password' : 'current-password'}
             disabled={state.isConnecting}
           />
           {error ? <p className="error-text">{error}</p> : null}
-          <button type="submit" disabled={state.isConnecting}>
-            {state.isConnecting ? 'Joining…' : 'Start chatting'}
+          <button type="submit" disabled={state.isConnecting || !username.trim() || !password}>
+            {state.isConnecting ? 'Joining…' : isRegistering ? 'Create account' : 'Sign in'}
           </button>
         </form>
+        <button type="button" className="login-toggle" onClick={toggleMode} disabled={state.isConnecting}>
+          {isRegistering ? 'Already have an account? Sign in' : 'New here? Create an account'}
+        </button>
       </div>
     </div>
   );
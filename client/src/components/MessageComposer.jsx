@@ -1,10 +1,63 @@
 import { useEffect, useRef, useState } from 'react';
+import clsx from 'clsx';
+import { MAX_ATTACHMENTS_PER_MESSAGE, MAX_MESSAGE_LENGTH } from '../../../shared/eventSchemas.mjs';
+import { findMentionQuery } from '../utils/chatHelpers.js';
+import FormattedText from './FormattedText.jsx';
 
 const STOP_TYPING_DELAY = 1500;
+const MAX_MENTION_SUGGESTIONS = 6;
 
-const MessageComposer = ({ onSend, onTyping, placeholder, disabled }) => {
+// Ctrl/Cmd shortcuts that wrap the selection in Markdown markers (keyed by lowercase key, plus Shift).
+const FORMAT_SHORTCUTS = {
+  b: { marker: '**' },
+  i: { marker: '*' },
+  e: { marker: '`', block: '```' },
+  'shift+x': { marker: '~~' },
+};
+
+const FORMATTING_HELP =
+  '**bold**  *italic*  ~~strike~~  `code`  ```code block```  > quote  - list\n' +
+  'Ctrl+B bold, Ctrl+I italic, Ctrl+Shift+X strike, Ctrl+E code';
+
+// `cooldown` ({ until, muted }) comes from the server's rate limiter and blocks sending until it passes.
+// `mentionCandidates` are the names suggested after typing "@".
+const MessageComposer = ({ onSend, onTyping, onUpload, placeholder, disabled, cooldown, mentionCandidates = [] }) => {
   const [value, setValue] = useState('');
+  const [pending, setPending] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [isPreviewing, setIsPreviewing] = useState(false);
   const typingTimeout = useRef(null);
+  const fileInputRef = useRef(null);
+  const textareaRef = useRef(null);
+  const canAttach = typeof onUpload === 'function' && !disabled;
+  const ready = pending.filter((item) => item.status === 'ready');
+  const isUploading = pending.some((item) => item.status === 'uploading');
+  const cooldownSeconds = cooldown ? Math.ceil((cooldown.until - now) / 1000) : 0;
+  const isCoolingDown = cooldownSeconds > 0;
+  const suggestions = mentionQuery
+    ? mentionCandidates
+        .filter((name) => name.toLowerCase().startsWith(mentionQuery.query.toLowerCase()))
+        .slice(0, MAX_MENTION_SUGGESTIONS)
+    : [];
+
+  useEffect(() => {
+    if (!cooldown) {
+      return undefined;
+    }
+
+    setNow(Date.now());
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= cooldown.until) {
+        clearInterval(timer);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [cooldown]);
 
   const emitTyping = (isTyping) => {
     if (typeof onTyping !== 'function') {
@@ -22,24 +75,116 @@ const MessageComposer = ({ onSend, onTyping, placeholder, disabled }) => {
     }
   };
 
+  const updatePending = (key, changes) => {
+    setPending((current) => current.map((item) => (item.key === key ? { ...item, ...changes } : item)));
+  };
+
+  const uploadFiles = (files) => {
+    if (!canAttach) {
+      return;
+    }
+
+    Array.from(files)
+      .slice(0, Math.max(0, MAX_ATTACHMENTS_PER_MESSAGE - pending.length))
+      .forEach((file) => {
+        const key = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        setPending((current) => [...current, { key, name: file.name, status: 'uploading' }]);
+        onUpload(file)
+          .then((attachment) => updatePending(key, { status: 'ready', attachment }))
+          .catch((error) => updatePending(key, { status: 'error', error: error.message }));
+      });
+  };
+
+  const removePending = (key) => {
+    setPending((current) => current.filter((item) => item.key !== key));
+  };
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     const trimmed = value.trim();
-    if (!trimmed || disabled) {
+    if ((!trimmed && !ready.length) || isUploading || disabled || isCoolingDown) {
       return;
     }
 
     try {
-      await onSend(trimmed);
+      await onSend(trimmed, ready.map((item) => item.attachment.id));
       setValue('');
+      setPending([]);
+      setMentionQuery(null);
+      setIsPreviewing(false);
       emitTyping(false);
     } catch (error) {
       console.error(error);
     }
   };
 
+  const updateMentionQuery = (text, caret) => {
+    const next = findMentionQuery(text, caret);
+    setMentionQuery(next);
+    if (next?.query !== mentionQuery?.query) {
+      setActiveSuggestion(0);
+    }
+  };
+
+  const insertMention = (name) => {
+    const caret = textareaRef.current?.selectionStart ?? value.length;
+    const before = `${value.slice(0, mentionQuery.start)}@${name} `;
+    setValue(before + value.slice(caret));
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  // Wraps the selection in `marker`, or in a fenced block when a multi-line selection has a block form.
+  const applyFormat = ({ marker, block }) => {
+    const textarea = textareaRef.current;
+    const start = textarea.selectionStart;
+    const end = textarea.selectionEnd;
+    const selected = value.slice(start, end);
+    const [open, close] = block && selected.includes('\n') ? [`${block}\n`, `\n${block}`] : [marker, marker];
+    const next = `${value.slice(0, start)}${open}${selected}${close}${value.slice(end)}`;
+    if (next.length > MAX_MESSAGE_LENGTH) {
+      return;
+    }
+    setValue(next);
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(start + open.length, end + open.length);
+    });
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.ctrlKey || event.metaKey) {
+      const shortcut = FORMAT_SHORTCUTS[`${event.shiftKey ? 'shift+' : ''}${event.key.toLowerCase()}`];
+      if (shortcut && !event.altKey) {
+        event.preventDefault();
+        applyFormat(shortcut);
+      }
+      return;
+    }
+
+    if (!suggestions.length) {
+      return;
+    }
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveSuggestion((index) => (index + step + suggestions.length) % suggestions.length);
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      insertMention(suggestions[Math.min(activeSuggestion, suggestions.length - 1)]);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      setMentionQuery(null);
+    }
+  };
+
   const handleChange = (event) => {
     setValue(event.target.value);
+    updateMentionQuery(event.target.value, event.target.selectionStart);
     if (event.target.value.trim()) {
       emitTyping(true);
     } else {
@@ -59,16 +204,130 @@ const MessageComposer = ({ onSend, onTyping, placeholder, disabled }) => {
     [onTyping]
   );
 
+  const handlePaste = (event) => {
+    if (canAttach && event.clipboardData?.files?.length) {
+      event.preventDefault();
+      uploadFiles(event.clipboardData.files);
+    }
+  };
+
+  const handleDragOver = (event) => {
+    if (!canAttach) {
+      return;
+    }
+    event.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDrop = (event) => {
+    if (!canAttach) {
+      return;
+    }
+    event.preventDefault();
+    setIsDragging(false);
+    uploadFiles(event.dataTransfer.files);
+  };
+
+  const handleFileInput = (event) => {
+    uploadFiles(event.target.files);
+    event.target.value = '';
+  };
+
   return (
-    <form className="composer" onSubmit={handleSubmit}>
+    <form
+      className={clsx('composer', { dragging: isDragging })}
+      onSubmit={handleSubmit}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
+      {pending.length ? (
+        <ul className="composer-attachments">
+          {pending.map((item) => (
+            <li key={item.key} className={clsx('pending-attachment', item.status)} title={item.error || item.name}>
+              <span>{item.name}</span>
+              {item.status === 'uploading' ? <span>Uploading…</span> : null}
+              {item.status === 'error' ? <span>{item.error}</span> : null}
+              <button type="button" onClick={() => removePending(item.key)} aria-label={`Remove ${item.name}`}>
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      {isCoolingDown ? (
+        <p className="composer-cooldown" role="status">
+          {cooldown.muted ? `Muted for sending too fast — ${cooldownSeconds}s` : `Slow down — try again in ${cooldownSeconds}s`}
+        </p>
+      ) : null}
+      {typeof onUpload === 'function' ? (
+        <>
+          <input ref={fileInputRef} type="file" multiple hidden onChange={handleFileInput} />
+          <button
+            type="button"
+            className="attach"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!canAttach || pending.length >= MAX_ATTACHMENTS_PER_MESSAGE}
+            aria-label="Attach files"
+          >
+            📎
+          </button>
+        </>
+      ) : null}
+      {suggestions.length ? (
+        <ul className="mention-suggestions" role="listbox" aria-label="Mention suggestions">
+          {suggestions.map((name, index) => (
+            <li
+              key={name}
+              role="option"
+              aria-selected={index === activeSuggestion}
+              className={clsx({ active: index === activeSuggestion })}
+              onMouseDown={(event) => {
+                event.preventDefault();
+                insertMention(name);
+              }}
+            >
+              @{name}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      {isPreviewing ? (
+        <div className="composer-preview body">
+          {value.trim() ? (
+            <FormattedText text={value} />
+          ) : (
+            <span className="composer-preview-empty">Nothing to preview</span>
+          )}
+        </div>
+      ) : null}
       <textarea
+        ref={textareaRef}
+        hidden={isPreviewing}
         value={value}
         onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={(event) => updateMentionQuery(value, event.target.selectionStart)}
+        onBlur={() => setMentionQuery(null)}
+        onPaste={handlePaste}
         placeholder={placeholder}
         disabled={disabled}
+        maxLength={MAX_MESSAGE_LENGTH}
         rows={1}
       />
-      <button type="submit" disabled={disabled || !value.trim()}>
+      <button
+        type="button"
+        className={clsx('preview-toggle', { active: isPreviewing })}
+        onClick={() => setIsPreviewing((current) => !current)}
+        title={FORMATTING_HELP}
+        aria-pressed={isPreviewing}
+      >
+        {isPreviewing ? 'Edit' : 'Preview'}
+      </button>
+      <button
+        type="submit"
+        disabled={disabled || isUploading || isCoolingDown || (!value.trim() && !ready.length)}
+      >
         Send
       </button>
     </form>
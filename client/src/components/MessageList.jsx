@@ -1,27 +1,160 @@
-import { useEffect, useMemo, useRef } from 'react';
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import clsx from 'clsx';
 import dayjs from 'dayjs';
-import { formatTimestamp, isSameDay } from '../utils/chatHelpers.js';
+import { formatFileSize, formatFullDate, formatTimestamp, isSameDay, mentionsUser } from '../utils/chatHelpers.js';
+import { REACTIONS } from '../../../shared/eventSchemas.mjs';
+import { apiUrl } from '../socket/socket';
+import FormattedText from './FormattedText.jsx';
 
-const REACTIONS = ['👍', '❤️', '😂', '🎉', '👀'];
+// How close (in px) to either end of the list counts as "reached" for loading and auto-scroll.
+const EDGE_THRESHOLD = 80;
+
+// Upload urls are paths on the API server.
+const AttachmentList = ({ attachments }) => (
+  <div className="attachments">
+    {attachments.map((attachment) =>
+      attachment.type?.startsWith('image/') ? (
+        <a
+          key={attachment.id}
+          className="attachment-image"
+          href={apiUrl(attachment.url)}
+          target="_blank"
+          rel="noreferrer"
+        >
+          <img
+            src={apiUrl(attachment.url)}
+            alt={attachment.name}
+            width={attachment.width || undefined}
+            height={attachment.height || undefined}
+            loading="lazy"
+          />
+        </a>
+      ) : (
+        <a key={attachment.id} className="attachment-file" href={apiUrl(attachment.url)} download={attachment.name}>
+          <span>{attachment.name}</span>
+          <span>{formatFileSize(attachment.size)}</span>
+        </a>
+      )
+    )}
+  </div>
+);
+
+// Cards for the links the server previewed; the sender can remove them from the message.
+const LinkPreviewList = ({ previews, onDismiss }) => (
+  <div className="link-previews">
+    {previews.map((preview) => (
+      <a
+        key={preview.url}
+        className="link-preview"
+        href={preview.url}
+        target="_blank"
+        rel="noopener noreferrer nofollow"
+      >
+        {preview.image ? <img src={preview.image} alt="" loading="lazy" referrerPolicy="no-referrer" /> : null}
+        <span className="link-preview-text">
+          <small>{preview.siteName}</small>
+          <strong>{preview.title}</strong>
+          {preview.description ? <span>{preview.description}</span> : null}
+        </span>
+      </a>
+    ))}
+    {onDismiss ? (
+      <button
+        type="button"
+        className="link-preview-dismiss"
+        onClick={onDismiss}
+        aria-label="Remove link previews"
+        title="Remove link previews"
+      >
+        ×
+      </button>
+    ) : null}
+  </div>
+);
 
 const MessageList = ({
   messages = [],
   currentUser,
   hasMore,
+  hasNewer,
   onLoadMore,
+  onLoadNewer,
   onReact,
+  onEdit,
+  onDelete,
+  onDismissPreviews,
+  onTogglePin,
+  onToggleBookmark,
+  savedIds,
+  onOpenReplies,
+  canModerate,
   conversationType,
+  highlightedId,
 }) => {
   const listRef = useRef(null);
+  const loadingRef = useRef(false);
+  const nearBottomRef = useRef(true);
+  const previousRef = useRef({ firstId: null, lastId: null, scrollHeight: 0 });
 
-  useEffect(() => {
+  // Older pages are spliced in above the viewport, so shift by the height they added to keep the
+  // same messages on screen. New messages at the end only pull the view down if it was already there.
+  useLayoutEffect(() => {
+    const node = listRef.current;
+    if (!node) {
+      return;
+    }
+    const previous = previousRef.current;
+    const firstId = messages[0]?.id || null;
+    const lastId = messages[messages.length - 1]?.id || null;
+    const prepended =
+      previous.firstId && firstId !== previous.firstId && messages.some((message) => message.id === previous.firstId);
+
+    if (prepended) {
+      node.scrollTop += node.scrollHeight - previous.scrollHeight;
+    } else if (lastId !== previous.lastId && !hasNewer && (nearBottomRef.current || !previous.lastId)) {
+      node.scrollTop = node.scrollHeight;
+    }
+
+    previousRef.current = { firstId, lastId, scrollHeight: node.scrollHeight };
+  }, [messages, hasNewer]);
+
+  const loadPage = (loader) => {
+    if (loadingRef.current || typeof loader !== 'function') {
+      return;
+    }
+    loadingRef.current = true;
+    Promise.resolve(loader())
+      .catch((error) => console.error(error))
+      .finally(() => {
+        loadingRef.current = false;
+      });
+  };
+
+  const handleScroll = () => {
     const node = listRef.current;
     if (!node) {
       return;
     }
-    node.scrollTop = node.scrollHeight;
-  }, [messages.length]);
+    const distanceFromBottom = node.scrollHeight - node.scrollTop - node.clientHeight;
+    nearBottomRef.current = distanceFromBottom < EDGE_THRESHOLD;
+
+    if (node.scrollTop < EDGE_THRESHOLD && hasMore) {
+      previousRef.current.scrollHeight = node.scrollHeight;
+      loadPage(onLoadMore);
+    } else if (nearBottomRef.current && hasNewer) {
+      loadPage(onLoadNewer);
+    }
+  };
+
+  // Runs after the scroll-to-bottom above, so a jump from search wins when both fire.
+  useEffect(() => {
+    if (!highlightedId) {
+      return;
+    }
+    listRef.current
+      ?.querySelector(`[data-message-id="${highlightedId}"]`)
+      ?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [highlightedId, messages.length]);
 
   const grouped = useMemo(() => {
     const chunks = [];
@@ -41,9 +174,9 @@ const MessageList = ({
   }, [messages]);
 
   return (
-    <div className="message-list" ref={listRef}>
+    <div className="message-list" ref={listRef} onScroll={handleScroll}>
       {hasMore && onLoadMore ? (
-        <button type="button" className="load-more" onClick={onLoadMore}>
+        <button type="button" className="load-more" onClick={() => loadPage(onLoadMore)}>
           Load older messages
         </button>
       ) : null}
@@ -63,37 +196,211 @@ const MessageList = ({
             message={entry.data}
             currentUser={currentUser}
             onReact={onReact}
+            onEdit={onEdit}
+            onDelete={onDelete}
+            onDismissPreviews={onDismissPreviews}
+            onTogglePin={onTogglePin}
+            onToggleBookmark={onToggleBookmark}
+            isSaved={Boolean(savedIds?.has(entry.id))}
+            onOpenReplies={onOpenReplies}
+            canModerate={canModerate}
             conversationType={conversationType}
+            isHighlighted={entry.id === highlightedId}
           />
         );
       })}
+
+      {hasNewer && onLoadNewer ? (
+        <button type="button" className="load-more" onClick={() => loadPage(onLoadNewer)}>
+          Load newer messages
+        </button>
+      ) : null}
     </div>
   );
 };
 
-const MessageItem = ({ message, currentUser, onReact, conversationType }) => {
+const MessageItem = ({
+  message,
+  currentUser,
+  onReact,
+  onEdit,
+  onDelete,
+  onDismissPreviews,
+  onTogglePin,
+  onToggleBookmark,
+  isSaved,
+  onOpenReplies,
+  canModerate,
+  conversationType,
+  isHighlighted,
+}) => {
   const isOwn = message.sender === currentUser?.username;
+  const isDeleted = Boolean(message.isDeleted);
+  const canEdit = isOwn && !message.isSystem && !isDeleted && typeof onEdit === 'function';
+  const canDelete =
+    (isOwn || canModerate) && !message.isSystem && !isDeleted && typeof onDelete === 'function';
+  const canReply =
+    !message.isSystem && !isDeleted && !message.parentId && typeof onOpenReplies === 'function';
+  const canPin = !message.isSystem && !isDeleted && !message.parentId && typeof onTogglePin === 'function';
+  const canSave = !message.isSystem && (!isDeleted || isSaved) && typeof onToggleBookmark === 'function';
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(message.body);
+  const [editError, setEditError] = useState('');
   const reactions = Object.entries(message.reactions || {});
   const readBy = (message.readBy || []).filter((name) => name !== message.sender);
+  const deliveredToOthers = (message.deliveredTo || []).some((name) => name !== message.sender);
   const readLabel = useMemo(() => {
     if (!readBy.length) {
+      if (conversationType === 'thread' && isOwn) {
+        return deliveredToOthers ? 'Delivered' : 'Sent';
+      }
       return null;
     }
     if (conversationType === 'thread') {
       return `Seen by ${readBy.join(', ')}`;
     }
     return `Seen by ${readBy.length} ${readBy.length === 1 ? 'person' : 'people'}`;
-  }, [readBy, conversationType]);
+  }, [readBy, conversationType, isOwn, deliveredToOthers]);
+
+  const editedTitle = message.editedAt
+    ? [
+        `Edited ${formatFullDate(message.editedAt)}`,
+        ...(message.history || []).map((version) => `${formatFullDate(version.timestamp)}: ${version.body}`),
+      ].join('\n')
+    : '';
+
+  const startEditing = () => {
+    setDraft(message.body);
+    setEditError('');
+    setIsEditing(true);
+  };
+
+  const cancelEditing = () => {
+    setIsEditing(false);
+    setEditError('');
+  };
+
+  const saveEdit = async (event) => {
+    event.preventDefault();
+    const trimmed = draft.trim();
+    if (!trimmed) {
+      return;
+    }
+    if (trimmed === message.body) {
+      cancelEditing();
+      return;
+    }
+    try {
+      await onEdit(message.id, trimmed);
+      setIsEditing(false);
+    } catch (error) {
+      setEditError(error.message);
+    }
+  };
+
+  const handleEditKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      cancelEditing();
+    }
+    if (event.key === 'Enter' && !event.shiftKey) {
+      saveEdit(event);
+    }
+  };
 
   return (
-    <div className={clsx('message', { own: isOwn, system: message.isSystem })}>
+    <div
+      className={clsx('message', {
+        own: isOwn,
+        system: message.isSystem,
+        deleted: isDeleted,
+        highlighted: isHighlighted,
+        mentioned: !isOwn && !isDeleted && mentionsUser(message, currentUser?.username),
+      })}
+      data-message-id={message.id}
+    >
       {!message.isSystem ? (
         <div className="meta">
           <span className="sender">{isOwn ? 'You' : message.sender}</span>
           <time dateTime={message.timestamp}>{formatTimestamp(message.timestamp)}</time>
+          {message.editedAt ? (
+            <span className="edited" title={editedTitle}>
+              (edited)
+            </span>
+          ) : null}
+          {message.pinnedAt ? (
+            <span className="pinned-flag" title={`Pinned by ${message.pinnedBy} ${formatFullDate(message.pinnedAt)}`}>
+              📌
+            </span>
+          ) : null}
+          {canEdit && !isEditing ? (
+            <button type="button" className="message-action" onClick={startEditing}>
+              Edit
+            </button>
+          ) : null}
+          {canDelete && !isEditing ? (
+            <button type="button" className="message-action" onClick={() => onDelete(message.id)}>
+              Delete
+            </button>
+          ) : null}
+          {canPin && !isEditing ? (
+            <button type="button" className="message-action" onClick={() => onTogglePin(message)}>
+              {message.pinnedAt ? 'Unpin' : 'Pin'}
+            </button>
+          ) : null}
+          {canSave && !isEditing ? (
+            <button
+              type="button"
+              className={clsx('message-action', 'bookmark-toggle', { saved: isSaved })}
+              onClick={() => onToggleBookmark(message, isSaved)}
+              title={isSaved ? 'Remove from saved messages' : 'Save for later'}
+            >
+              {isSaved ? '★ Saved' : '☆ Save'}
+            </button>
+          ) : null}
+          {canReply && !isEditing ? (
+            <button type="button" className="message-action" onClick={() => onOpenReplies(message.id)}>
+              Reply
+            </button>
+          ) : null}
         </div>
       ) : null}
-      <div className="body">{message.body}</div>
+      {isEditing ? (
+        <form className="edit-form" onSubmit={saveEdit}>
+          <textarea
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+            onKeyDown={handleEditKeyDown}
+            rows={2}
+            autoFocus
+          />
+          {editError ? <p className="error-text">{editError}</p> : null}
+          <div className="edit-actions">
+            <button type="button" onClick={cancelEditing}>
+              Cancel
+            </button>
+            <button type="submit" disabled={!draft.trim()}>
+              Save
+            </button>
+          </div>
+        </form>
+      ) : isDeleted ? (
+        <div className="body tombstone">This message was deleted</div>
+      ) : (
+        <>
+          {message.body ? (
+            <div className="body">
+              <FormattedText text={message.body} mentions={message.mentions} username={currentUser?.username} />
+            </div>
+          ) : null}
+          {message.attachments?.length ? <AttachmentList attachments={message.attachments} /> : null}
+          {message.linkPreviews?.length ? (
+            <LinkPreviewList
+              previews={message.linkPreviews}
+              onDismiss={isOwn && typeof onDismissPreviews === 'function' ? () => onDismissPreviews(message.id) : null}
+            />
+          ) : null}
+        </>
+      )}
       {reactions.length ? (
         <div className="reactions">
           {reactions.map(([emoji, users]) => (
@@ -108,7 +415,7 @@ const MessageItem = ({ message, currentUser, onReact, conversationType }) => {
           ))}
         </div>
       ) : null}
-      {!message.isSystem ? (
+      {!message.isSystem && !isDeleted ? (
         <div className="reaction-picker">
           {REACTIONS.map((emoji) => (
             <button
@@ -122,9 +429,17 @@ const MessageItem = ({ message, currentUser, onReact, conversationType }) => {
           ))}
         </div>
       ) : null}
+      {message.replyCount && typeof onOpenReplies === 'function' ? (
+        <button type="button" className="reply-summary" onClick={() => onOpenReplies(message.id)}>
+          {message.replyCount} {message.replyCount === 1 ? 'reply' : 'replies'}
+          {message.lastReply ? ` · last from ${message.lastReply.sender} ${formatTimestamp(message.lastReply.timestamp)}` : ''}
+        </button>
+      ) : null}
       {readLabel ? <p className="read-receipt">{readLabel}</p> : null}
     </div>
   );
 };
 
+export { MessageItem };
+
 export default MessageList;
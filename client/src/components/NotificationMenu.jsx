@@ -0,0 +1,70 @@
+import clsx from 'clsx';
+import { useState } from 'react';
+import { formatFullDate } from '../utils/chatHelpers.js';
+
+const LEVEL_OPTIONS = [
+  { level: 'all', label: 'All messages' },
+  { level: 'mentions', label: 'Mentions only' },
+  { level: 'muted', label: 'Muted' },
+];
+
+const MUTE_FOR_OPTIONS = [
+  { minutes: 60, label: '1 hour' },
+  { minutes: 8 * 60, label: '8 hours' },
+  { minutes: 24 * 60, label: '24 hours' },
+  { minutes: 7 * 24 * 60, label: '1 week' },
+];
+
+// `level` is the conversation's effective level and `until` the end of a timed mute, if any.
+const NotificationMenu = ({ level, until, onChange, onClose }) => {
+  const [error, setError] = useState('');
+
+  const choose = async (nextLevel, minutes) => {
+    setError('');
+    try {
+      await onChange({ level: nextLevel, minutes });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="notification-menu" role="menu">
+      {LEVEL_OPTIONS.map((option) => {
+        // A timed mute is shown below the options rather than as "Muted".
+        const active = level === option.level && !(option.level === 'muted' && until);
+        return (
+          <button
+            key={option.level}
+            type="button"
+            role="menuitemradio"
+            aria-checked={active}
+            className={clsx('notification-option', { active })}
+            onClick={() => choose(option.level)}
+          >
+            {option.label}
+          </button>
+        );
+      })}
+      <span className="notification-menu-label">
+        {level === 'muted' && until ? `Muted until ${formatFullDate(until)}` : 'Mute for'}
+      </span>
+      <div className="notification-mute-options">
+        {MUTE_FOR_OPTIONS.map((option) => (
+          <button
+            key={option.minutes}
+            type="button"
+            className="sidebar-link"
+            onClick={() => choose('muted', option.minutes)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {error ? <p className="error-text">{error}</p> : null}
+    </div>
+  );
+};
+
+export default NotificationMenu;
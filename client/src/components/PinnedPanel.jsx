@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { formatFullDate, formatTimestamp } from '../utils/chatHelpers.js';
+import FormattedText from './FormattedText.jsx';
+
+// Pinned messages of the open room or thread, most recently pinned first.
+const PinnedPanel = ({ pinned, currentUser, canUnpin, onJump, onUnpin, onClose }) => {
+  const [error, setError] = useState('');
+
+  const handleUnpin = async (message) => {
+    setError('');
+    try {
+      await onUnpin(message);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <aside className="members-panel pinned-panel">
+      <header className="reply-header">
+        <h3>Pinned</h3>
+        <button type="button" className="message-action" onClick={onClose}>
+          Close
+        </button>
+      </header>
+      {error ? <p className="error-text">{error}</p> : null}
+      {pinned.length ? (
+        <ul>
+          {pinned.map((message) => (
+            <li key={message.id} className="pinned-item">
+              <div className="meta">
+                <span className="sender">{message.sender === currentUser?.username ? 'You' : message.sender}</span>
+                <time dateTime={message.timestamp} title={formatFullDate(message.timestamp)}>
+                  {formatTimestamp(message.timestamp)}
+                </time>
+              </div>
+              <div className="body">
+                {message.body ? (
+                  <FormattedText text={message.body} mentions={message.mentions} username={currentUser?.username} />
+                ) : (
+                  `${message.attachments?.length || 0} attachment(s)`
+                )}
+              </div>
+              <div className="pinned-actions">
+                <small>Pinned by {message.pinnedBy}</small>
+                <button type="button" className="message-action" onClick={() => onJump(message)}>
+                  Jump
+                </button>
+                {canUnpin ? (
+                  <button type="button" className="message-action" onClick={() => handleUnpin(message)}>
+                    Unpin
+                  </button>
+                ) : null}
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="pinned-empty">Nothing is pinned yet.</p>
+      )}
+    </aside>
+  );
+};
+
+export default PinnedPanel;
@@ -0,0 +1,77 @@
+import MessageList, { MessageItem } from './MessageList.jsx';
+import MessageComposer from './MessageComposer.jsx';
+import TypingIndicator from './TypingIndicator.jsx';
+
+const ReplyPanel = ({
+  parent,
+  replies,
+  currentUser,
+  typingNames,
+  canModerate,
+  onClose,
+  onSend,
+  onTyping,
+  onUpload,
+  cooldown,
+  mentionCandidates,
+  onLoadMore,
+  onReact,
+  onEdit,
+  onDelete,
+  onDismissPreviews,
+  onToggleBookmark,
+  savedIds,
+  highlightedId,
+}) => (
+  <aside className="reply-panel">
+    <header className="reply-header">
+      <h3>Thread</h3>
+      <button type="button" className="message-action" onClick={onClose}>
+        Close
+      </button>
+    </header>
+    {parent ? (
+      <div className="reply-parent">
+        <MessageItem
+          message={parent}
+          currentUser={currentUser}
+          onReact={onReact}
+          onEdit={onEdit}
+          onDelete={onDelete}
+          onDismissPreviews={onDismissPreviews}
+          onToggleBookmark={onToggleBookmark}
+          isSaved={Boolean(savedIds?.has(parent.id))}
+          canModerate={canModerate}
+          conversationType="room"
+        />
+      </div>
+    ) : null}
+    <MessageList
+      messages={replies?.messages || []}
+      currentUser={currentUser}
+      hasMore={Boolean(replies?.hasMore)}
+      onLoadMore={onLoadMore}
+      onReact={onReact}
+      onEdit={onEdit}
+      onDelete={onDelete}
+      onDismissPreviews={onDismissPreviews}
+      onToggleBookmark={onToggleBookmark}
+      savedIds={savedIds}
+      canModerate={canModerate}
+      conversationType="room"
+      highlightedId={highlightedId}
+    />
+    <TypingIndicator names={typingNames} />
+    <MessageComposer
+      onSend={onSend}
+      onTyping={onTyping}
+      onUpload={onUpload}
+      placeholder="Reply in thread"
+      disabled={!parent || parent.isDeleted}
+      cooldown={cooldown}
+      mentionCandidates={mentionCandidates}
+    />
+  </aside>
+);
+
+export default ReplyPanel;
@@ -0,0 +1,210 @@
+import { useEffect, useState } from 'react';
+import { canModerateRoom, getRoomRole, outranks } from '../utils/chatHelpers.js';
+
+const MUTE_MINUTES = 10;
+
+const RoomMembersPanel = ({
+  room,
+  currentUser,
+  onClose,
+  onUpdateRoom,
+  onInvite,
+  onKick,
+  onBan,
+  onUnban,
+  onMute,
+  onUnmute,
+  onSetRole,
+}) => {
+  const me = currentUser?.username;
+  const isModerator = canModerateRoom(room, me);
+  const isOwner = getRoomRole(room, me) === 'owner';
+  const [name, setName] = useState(room.name || '');
+  const [description, setDescription] = useState(room.description || '');
+  const [visibility, setVisibility] = useState(room.visibility || 'public');
+  const [password, setPassword] = useState('');
+  const [invitee, setInvitee] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setName(room.name || '');
+    setDescription(room.description || '');
+    setVisibility(room.visibility || 'public');
+    setPassword('');
+  }, [room.id, room.name, room.description, room.visibility]);
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    run(() =>
+      onUpdateRoom({
+        roomId: room.id,
+        name,
+        description,
+        ...(isOwner ? { visibility, password: password || undefined } : {}),
+      })
+    );
+  };
+
+  const handleInvite = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await onInvite({ roomId: room.id, username: invitee });
+      setInvitee('');
+    });
+  };
+
+  const members = [...(room.members || [])].sort((a, b) => a.localeCompare(b));
+
+  return (
+    <aside className="members-panel">
+      <header className="reply-header">
+        <h3>Members</h3>
+        <button type="button" className="message-action" onClick={onClose}>
+          Close
+        </button>
+      </header>
+
+      {error ? <p className="error-text">{error}</p> : null}
+
+      {isModerator ? (
+        <form className="room-settings" onSubmit={handleSave}>
+          <input value={name} onChange={(event) => setName(event.target.value)} placeholder="Room name" />
+          <textarea
+            value={description}
+            onChange={(event) => setDescription(event.target.value)}
+            placeholder="Description"
+            rows={2}
+          />
+          {isOwner ? (
+            <select value={visibility} onChange={(event) => setVisibility(event.target.value)}>
+              <option value="public">Public</option>
+              <option value="private">Invite only</option>
+              <option value="password">Password protected</option>
+            </select>
+          ) : null}
+          {isOwner && visibility === 'password' ? (
+            <input
+              type="password"
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              placeholder={room.visibility === 'password' ? 'New password (optional)' : 'Room password'}
+            />
+          ) : null}
+          <button type="submit" disabled={!name.trim()}>
+            Save
+          </button>
+        </form>
+      ) : null}
+
+      <form className="invite-form" onSubmit={handleInvite}>
+        <input value={invitee} onChange={(event) => setInvitee(event.target.value)} placeholder="Invite by username" />
+        <button type="submit" disabled={!invitee.trim()}>
+          Invite
+        </button>
+      </form>
+
+      {room.invites?.length ? <p className="subtitle">Invited: {room.invites.join(', ')}</p> : null}
+
+      <ul className="member-list">
+        {members.map((username) => {
+          const role = getRoomRole(room, username);
+          const isMuted = Object.prototype.hasOwnProperty.call(room.muted || {}, username);
+          const canAct = isModerator && outranks(room, me, username);
+
+          return (
+            <li key={username}>
+              <span className="member-name">{username}</span>
+              {role !== 'member' ? <span className="role-badge">{role}</span> : null}
+              {isMuted ? <span className="role-badge muted">muted</span> : null}
+              {canAct ? (
+                <span className="member-actions">
+                  {isOwner ? (
+                    <button
+                      type="button"
+                      className="message-action"
+                      onClick={() =>
+                        run(() =>
+                          onSetRole({
+                            roomId: room.id,
+                            username,
+                            role: role === 'moderator' ? 'member' : 'moderator',
+                          })
+                        )
+                      }
+                    >
+                      {role === 'moderator' ? 'Demote' : 'Promote'}
+                    </button>
+                  ) : null}
+                  <button
+                    type="button"
+                    className="message-action"
+                    onClick={() =>
+                      run(() =>
+                        isMuted
+                          ? onUnmute({ roomId: room.id, username })
+                          : onMute({ roomId: room.id, username, minutes: MUTE_MINUTES })
+                      )
+                    }
+                  >
+                    {isMuted ? 'Unmute' : `Mute ${MUTE_MINUTES}m`}
+                  </button>
+                  <button
+                    type="button"
+                    className="message-action"
+                    onClick={() => run(() => onKick({ roomId: room.id, username }))}
+                  >
+                    Kick
+                  </button>
+                  <button
+                    type="button"
+                    className="message-action"
+                    onClick={() => {
+                      if (window.confirm(`Ban ${username} from #${room.name || room.id}?`)) {
+                        run(() => onBan({ roomId: room.id, username }));
+                      }
+                    }}
+                  >
+                    Ban
+                  </button>
+                </span>
+              ) : null}
+            </li>
+          );
+        })}
+      </ul>
+
+      {isModerator && room.banned?.length ? (
+        <>
+          <h4>Banned</h4>
+          <ul className="member-list">
+            {room.banned.map((username) => (
+              <li key={username}>
+                <span className="member-name">{username}</span>
+                <span className="member-actions">
+                  <button
+                    type="button"
+                    className="message-action"
+                    onClick={() => run(() => onUnban({ roomId: room.id, username }))}
+                  >
+                    Unban
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : null}
+    </aside>
+  );
+};
+
+export default RoomMembersPanel;
@@ -0,0 +1,90 @@
+import clsx from 'clsx';
+import { useState } from 'react';
+import { describeThread, formatFullDate, formatTimestamp } from '../utils/chatHelpers.js';
+
+const STATUS_NOTES = {
+  deleted: 'This message was deleted',
+  unavailable: 'You can no longer open this conversation',
+};
+
+const describeSource = (bookmark, username) => {
+  if (bookmark.conversationType === 'room') {
+    return `#${bookmark.roomName || bookmark.roomId}`;
+  }
+  return bookmark.thread ? describeThread(bookmark.thread, username) : 'Direct message';
+};
+
+// Saved messages, newest first. Messages that were deleted or can no longer be read keep only their
+// sender, time and the note.
+const SavedMessages = ({ bookmarks, currentUser, onOpen, onEditNote, onRemove }) => {
+  const [error, setError] = useState('');
+  const username = currentUser?.username;
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const editNote = (bookmark) => {
+    const note = window.prompt('Note for this saved message', bookmark.note);
+    if (note !== null) {
+      run(() => onEditNote(bookmark, note));
+    }
+  };
+
+  if (!bookmarks.length) {
+    return <p className="empty">Save messages with ☆ to find them here.</p>;
+  }
+
+  return (
+    <>
+      {error ? <p className="error-text">{error}</p> : null}
+      <ul className="saved-list">
+        {bookmarks.map((bookmark) => {
+          const message = bookmark.message || bookmark.snapshot;
+          const isAvailable = bookmark.status === 'available';
+          return (
+            <li key={bookmark.messageId} className={clsx('saved-item', bookmark.status)}>
+              <div className="meta">
+                <span className="sender">{message.sender === username ? 'You' : message.sender}</span>
+                <span className="saved-source">in {describeSource(bookmark, username)}</span>
+                <time dateTime={message.timestamp} title={formatFullDate(message.timestamp)}>
+                  {formatTimestamp(message.timestamp)}
+                </time>
+              </div>
+              <p className="saved-body">
+                {isAvailable
+                  ? message.body || `${message.attachments?.length || 0} attachment(s)`
+                  : STATUS_NOTES[bookmark.status]}
+              </p>
+              {bookmark.message?.editedAt ? <small className="saved-status">(edited)</small> : null}
+              {bookmark.note ? <p className="saved-note">{bookmark.note}</p> : null}
+              <div className="saved-actions">
+                <button
+                  type="button"
+                  className="sidebar-link"
+                  onClick={() => run(() => onOpen(bookmark))}
+                  disabled={!isAvailable}
+                >
+                  Jump
+                </button>
+                <button type="button" className="sidebar-link" onClick={() => editNote(bookmark)}>
+                  {bookmark.note ? 'Edit note' : 'Add note'}
+                </button>
+                <button type="button" className="sidebar-link" onClick={() => run(() => onRemove(bookmark))}>
+                  Remove
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </>
+  );
+};
+
+export default SavedMessages;
@@ -0,0 +1,60 @@
+import { describeThread, formatFullDate } from '../utils/chatHelpers.js';
+
+// Splits a snippet into plain and <mark>ed parts using the server's [start, end) highlight ranges.
+const HighlightedSnippet = ({ text, highlights = [] }) => {
+  const parts = [];
+  let cursor = 0;
+
+  highlights.forEach(([start, end]) => {
+    if (start > cursor) {
+      parts.push(text.slice(cursor, start));
+    }
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+
+  if (cursor < text.length) {
+    parts.push(text.slice(cursor));
+  }
+
+  return <span className="result-body">{parts}</span>;
+};
+
+const SearchResults = ({ results, total, hasMore, currentUser, onOpen, onLoadMore, onClose }) => (
+  <section className="search-results">
+    <header className="search-results-header">
+      <h3>
+        {total} {total === 1 ? 'result' : 'results'}
+      </h3>
+      <button type="button" className="message-action" onClick={onClose}>
+        Clear
+      </button>
+    </header>
+    <ul>
+      {results.map((entry) => (
+        <li key={entry.message.id}>
+          <button type="button" className="search-result" onClick={() => onOpen(entry)}>
+            <span className="result-room">
+              {entry.conversationType === 'thread'
+                ? describeThread(entry.thread, currentUser?.username)
+                : `#${entry.roomName}`}
+              {entry.message.parentId ? ' • in thread' : ''}
+            </span>
+            <span className="result-meta">
+              {entry.message.sender} • {formatFullDate(entry.message.timestamp)}
+              {entry.message.attachments?.length ? ' • 📎' : ''}
+            </span>
+            <HighlightedSnippet text={entry.snippet} highlights={entry.highlights} />
+          </button>
+        </li>
+      ))}
+    </ul>
+    {hasMore ? (
+      <button type="button" className="load-more" onClick={onLoadMore}>
+        More results
+      </button>
+    ) : null}
+  </section>
+);
+
+export default SearchResults;
@@ -1,5 +1,27 @@
 import clsx from 'clsx';
-import { useMemo } from 'react';
+import { useEffect, useMemo, useState } from 'react';
+import StatusPicker from './StatusPicker.jsx';
+import NotificationMenu from './NotificationMenu.jsx';
+import SavedMessages from './SavedMessages.jsx';
+import {
+  STATUS_LABELS,
+  describeCustomStatus,
+  describeThread,
+  formatLastSeen,
+  getNotificationLevel,
+  getOwnStatus,
+} from '../utils/chatHelpers.js';
+
+const VISIBILITY_ICONS = {
+  private: { icon: '🔒', label: 'Invite only' },
+  password: { icon: '🔑', label: 'Password protected' },
+};
+
+const LEVEL_ICONS = {
+  all: { icon: '🔔', label: 'All messages' },
+  mentions: { icon: '@', label: 'Mentions only' },
+  muted: { icon: '🔕', label: 'Muted' },
+};
 
 const Sidebar = ({
   user,
@@ -11,32 +33,228 @@ const Sidebar = ({
   unreadRooms,
   unreadThreads,
   users,
+  presence,
+  lastSeen = {},
+  notificationPreferences = {},
+  mentionCounts = {},
+  invites = [],
+  bookmarks = [],
+  onRespondToInvite,
   onSelectConversation,
   onCreateRoom,
   onJoinRoom,
   onStartDirectMessage,
+  onCreateGroup,
+  onSetStatus,
+  onSetCustomStatus,
+  onClearCustomStatus,
+  onRequestLastSeen,
+  onSetNotificationPreference,
+  onOpenBookmark,
+  onEditBookmarkNote,
+  onRemoveBookmark,
+  onRefreshBookmarks,
   onLogout,
 }) => {
+  const [showStatusPicker, setShowStatusPicker] = useState(false);
+  const [settingsFor, setSettingsFor] = useState(null);
+  const [showGroupPicker, setShowGroupPicker] = useState(false);
+  const [groupMembers, setGroupMembers] = useState([]);
+  const [groupName, setGroupName] = useState('');
+  const [groupError, setGroupError] = useState('');
+  const [showSaved, setShowSaved] = useState(false);
+
   const sortedUsers = useMemo(
     () => users.filter((entry) => entry.username !== user?.username),
     [users, user?.username]
   );
 
+  // People we have a DM thread with who are not connected right now; messages to them are queued.
+  const offlineContacts = useMemo(() => {
+    const online = new Set(users.map((entry) => entry.username));
+    const names = threadOrder
+      .map((threadId) => threads[threadId])
+      .filter((thread) => thread && !thread.isGroup)
+      .map((thread) => thread.participants.find((name) => name !== user?.username) || thread.counterpart)
+      .filter((name) => name && !online.has(name));
+    return Array.from(new Set(names)).sort((a, b) => a.localeCompare(b));
+  }, [users, threads, threadOrder, user?.username]);
+
+  // Everyone else who is visible, grouped under online, away and do not disturb.
+  const usersByStatus = useMemo(
+    () =>
+      ['online', 'away', 'dnd']
+        .map((status) => ({ status, entries: sortedUsers.filter((entry) => entry.status === status) }))
+        .filter((group) => group.entries.length),
+    [sortedUsers]
+  );
+
+  // Keyed on the names rather than the array, which is rebuilt on every user list update.
+  const offlineKey = offlineContacts.join(',');
+
+  useEffect(() => {
+    if (offlineKey) {
+      onRequestLastSeen?.(offlineKey.split(',')).catch(() => {});
+    }
+  }, [offlineKey, onRequestLastSeen]);
+
+  // Mentions get their own badge, which stays until the mentioning messages are read.
+  const renderBadges = (unread, mentions) =>
+    unread || mentions ? (
+      <span className="badges">
+        {mentions ? (
+          <span className="badge mention" title={`${mentions} unread ${mentions === 1 ? 'mention' : 'mentions'}`}>
+            @{mentions}
+          </span>
+        ) : null}
+        {unread ? <span className="badge">{unread}</span> : null}
+      </span>
+    ) : null;
+
+  // The bell next to a room or thread, and its menu when open. `target` is { roomId } or { threadId }.
+  const renderNotificationControls = (target, level) => {
+    const conversationId = target.roomId || target.threadId;
+    return (
+      <>
+        <button
+          type="button"
+          className={clsx('conversation-settings', level)}
+          title={`Notifications: ${LEVEL_ICONS[level].label}`}
+          aria-label={`Notification settings (${LEVEL_ICONS[level].label})`}
+          onClick={() => setSettingsFor((current) => (current === conversationId ? null : conversationId))}
+        >
+          {LEVEL_ICONS[level].icon}
+        </button>
+        {settingsFor === conversationId ? (
+          <NotificationMenu
+            level={level}
+            until={notificationPreferences[conversationId]?.until}
+            onChange={(choice) => onSetNotificationPreference({ ...target, ...choice })}
+            onClose={() => setSettingsFor(null)}
+          />
+        ) : null}
+      </>
+    );
+  };
+
+  const ownStatus = getOwnStatus(presence);
+  const ownCustomStatus = describeCustomStatus(presence?.customStatus);
+
+  const toggleGroupMember = (username) => {
+    setGroupMembers((current) =>
+      current.includes(username) ? current.filter((name) => name !== username) : [...current, username]
+    );
+  };
+
+  // Edits and deletions since the last load only show up after a refresh, so opening the list fetches it.
+  const toggleSaved = () => {
+    if (!showSaved) {
+      Promise.resolve(onRefreshBookmarks?.()).catch((error) => console.error(error));
+    }
+    setShowSaved((open) => !open);
+  };
+
+  const closeGroupPicker = () => {
+    setShowGroupPicker(false);
+    setGroupMembers([]);
+    setGroupName('');
+    setGroupError('');
+  };
+
+  const handleCreateGroup = async (event) => {
+    event.preventDefault();
+    setGroupError('');
+    try {
+      await onCreateGroup({ participants: groupMembers, name: groupName.trim() });
+      closeGroupPicker();
+    } catch (error) {
+      setGroupError(error.message);
+    }
+  };
+
   return (
     <aside className="sidebar">
       <div className="sidebar-header">
-        <div className="user-pill">
-          <span className="status-dot online" />
-          <span>{user?.username || 'You'}</span>
-        </div>
+        <button
+          type="button"
+          className="user-pill"
+          title={`${STATUS_LABELS[ownStatus]} • change status`}
+          onClick={() => setShowStatusPicker((open) => !open)}
+        >
+          <span className={clsx('status-dot', ownStatus)} />
+          <span>
+            {user?.username || 'You'}
+            {ownCustomStatus ? <small className="custom-status">{ownCustomStatus}</small> : null}
+          </span>
+        </button>
         <button type="button" onClick={onCreateRoom} className="sidebar-action">
           ＋ Room
         </button>
       </div>
+      {showStatusPicker && presence ? (
+        <StatusPicker
+          presence={presence}
+          onSetStatus={onSetStatus}
+          onSetCustomStatus={onSetCustomStatus}
+          onClearCustomStatus={onClearCustomStatus}
+          onClose={() => setShowStatusPicker(false)}
+        />
+      ) : null}
       <button type="button" className="sidebar-action logout" onClick={onLogout}>
         Sign out
       </button>
 
+      {invites.length ? (
+        <section className="sidebar-section">
+          <div className="sidebar-section-header">
+            <span>Invitations</span>
+          </div>
+          <ul>
+            {invites.map((invite) => (
+              <li key={invite.roomId} className="invite-row">
+                <span className="item-name">
+                  #{invite.roomName} <small>from {invite.from}</small>
+                </span>
+                <div className="invite-actions">
+                  <button
+                    type="button"
+                    className="sidebar-link"
+                    onClick={() => onRespondToInvite(invite.roomId, true)}
+                  >
+                    Join
+                  </button>
+                  <button
+                    type="button"
+                    className="sidebar-link"
+                    onClick={() => onRespondToInvite(invite.roomId, false)}
+                  >
+                    Decline
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+
+      <section className="sidebar-section">
+        <div className="sidebar-section-header">
+          <span>Saved</span>
+          <button type="button" className="sidebar-link" onClick={toggleSaved} aria-expanded={showSaved}>
+            {showSaved ? 'Hide' : `Show${bookmarks.length ? ` (${bookmarks.length})` : ''}`}
+          </button>
+        </div>
+        {showSaved ? (
+          <SavedMessages
+            bookmarks={bookmarks}
+            currentUser={user}
+            onOpen={onOpenBookmark}
+            onEditNote={onEditBookmarkNote}
+            onRemove={onRemoveBookmark}
+          />
+        ) : null}
+      </section>
+
       <nav className="sidebar-section">
         <div className="sidebar-section-header">
           <span>Rooms</span>
@@ -52,16 +270,27 @@ const Sidebar = ({
             }
             const isActive = activeConversation?.type === 'room' && activeConversation.id === roomId;
             const unread = unreadRooms[roomId];
+            const visibility = VISIBILITY_ICONS[room.visibility];
+            const level = getNotificationLevel(notificationPreferences, roomId);
             return (
-              <li key={roomId}>
+              <li key={roomId} className="conversation-row">
                 <button
                   type="button"
-                  className={clsx('sidebar-item', { active: isActive })}
+                  className={clsx('sidebar-item', { active: isActive, muted: level === 'muted' })}
                   onClick={() => onSelectConversation({ type: 'room', id: roomId })}
                 >
-                  <span className="item-name">#{room.name || roomId}</span>
-                  {unread ? <span className="badge">{unread}</span> : null}
+                  <span className="item-name">
+                    #{room.name || roomId}
+                    {visibility ? (
+                      <span className="room-visibility" title={visibility.label} aria-label={visibility.label}>
+                        {' '}
+                        {visibility.icon}
+                      </span>
+                    ) : null}
+                  </span>
+                  {renderBadges(unread, mentionCounts[roomId])}
                 </button>
+                {renderNotificationControls({ roomId }, level)}
               </li>
             );
           })}
@@ -71,7 +300,44 @@ const Sidebar = ({
       <nav className="sidebar-section">
         <div className="sidebar-section-header">
           <span>Direct messages</span>
+          <button
+            type="button"
+            className="sidebar-link"
+            onClick={() => (showGroupPicker ? closeGroupPicker() : setShowGroupPicker(true))}
+          >
+            {showGroupPicker ? 'Cancel' : '＋ Group'}
+          </button>
         </div>
+        {showGroupPicker ? (
+          <form className="group-picker" onSubmit={handleCreateGroup}>
+            {sortedUsers.length < 2 ? (
+              <p className="empty">Group messages need at least two other people online.</p>
+            ) : null}
+            <ul>
+              {sortedUsers.map((entry) => (
+                <li key={entry.id}>
+                  <label className="group-picker-option">
+                    <input
+                      type="checkbox"
+                      checked={groupMembers.includes(entry.username)}
+                      onChange={() => toggleGroupMember(entry.username)}
+                    />
+                    <span>{entry.username}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+            <input
+              value={groupName}
+              onChange={(event) => setGroupName(event.target.value)}
+              placeholder="Group name (optional)"
+            />
+            {groupError ? <p className="error-text">{groupError}</p> : null}
+            <button type="submit" disabled={groupMembers.length < 2}>
+              Start group
+            </button>
+          </form>
+        ) : null}
         <ul>
           {threadOrder.length === 0 ? <li className="empty">No conversations yet</li> : null}
           {threadOrder.map((threadId) => {
@@ -79,48 +345,100 @@ const Sidebar = ({
             if (!thread) {
               return null;
             }
-            const counterpart = thread.participants.find((name) => name !== user?.username) || thread.counterpart || 'Unknown';
             const isActive = activeConversation?.type === 'thread' && activeConversation.id === threadId;
             const unread = unreadThreads[threadId];
+            const level = getNotificationLevel(notificationPreferences, threadId);
             return (
-              <li key={threadId}>
+              <li key={threadId} className="conversation-row">
                 <button
                   type="button"
-                  className={clsx('sidebar-item', { active: isActive })}
+                  className={clsx('sidebar-item', { active: isActive, muted: level === 'muted' })}
                   onClick={() => onSelectConversation({ type: 'thread', id: threadId })}
                 >
-                  <span className="item-name">@{counterpart}</span>
-                  {unread ? <span className="badge">{unread}</span> : null}
+                  <span className="item-name">
+                    {describeThread(thread, user?.username)}
+                    {thread.isGroup ? <small> • {thread.participants.length}</small> : null}
+                  </span>
+                  {renderBadges(unread, mentionCounts[threadId])}
                 </button>
+                {renderNotificationControls({ threadId }, level)}
               </li>
             );
           })}
         </ul>
       </nav>
 
-      <section className="sidebar-section">
-        <div className="sidebar-section-header">
-          <span>Online now</span>
-        </div>
-        <ul>
-          {sortedUsers.length === 0 ? <li className="empty">Only you</li> : null}
-          {sortedUsers.map((entry) => (
-            <li key={entry.id} className="user-row">
-              <div className="user-meta">
-                <span className={clsx('status-dot', entry.status === 'online' ? 'online' : 'offline')} />
-                <span>{entry.username}</span>
-              </div>
-              <button
-                type="button"
-                className="sidebar-link"
-                onClick={() => onStartDirectMessage(entry.username)}
-              >
-                Message
-              </button>
-            </li>
-          ))}
-        </ul>
-      </section>
+      {usersByStatus.length === 0 ? (
+        <section className="sidebar-section">
+          <div className="sidebar-section-header">
+            <span>Online now</span>
+          </div>
+          <ul>
+            <li className="empty">Only you</li>
+          </ul>
+        </section>
+      ) : null}
+
+      {usersByStatus.map(({ status, entries }) => (
+        <section key={status} className="sidebar-section">
+          <div className="sidebar-section-header">
+            <span>
+              {STATUS_LABELS[status]} <small>• {entries.length}</small>
+            </span>
+          </div>
+          <ul>
+            {entries.map((entry) => {
+              const customStatus = describeCustomStatus(entry.customStatus);
+              return (
+                <li key={entry.id} className="user-row">
+                  <div className="user-meta">
+                    <span className={clsx('status-dot', entry.status)} title={STATUS_LABELS[entry.status]} />
+                    <span>
+                      {entry.username}
+                      {customStatus ? <small className="custom-status">{customStatus}</small> : null}
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    className="sidebar-link"
+                    onClick={() => onStartDirectMessage(entry.username)}
+                  >
+                    Message
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      ))}
+
+      {offlineContacts.length ? (
+        <section className="sidebar-section">
+          <div className="sidebar-section-header">
+            <span>Offline</span>
+          </div>
+          <ul>
+            {offlineContacts.map((name) => (
+              <li key={name} className="user-row">
+                <div className="user-meta">
+                  <span className="status-dot offline" />
+                  <span>
+                    {name}
+                    <small className="custom-status">{formatLastSeen(lastSeen[name])}</small>
+                  </span>
+                </div>
+                <button
+                  type="button"
+                  className="sidebar-link"
+                  onClick={() => onStartDirectMessage(name)}
+                >
+                  Message
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
     </aside>
   );
 };
@@ -0,0 +1,117 @@
+import clsx from 'clsx';
+import { useState } from 'react';
+import { MAX_STATUS_TEXT_LENGTH } from '../../../shared/eventSchemas.mjs';
+import { STATUS_LABELS } from '../utils/chatHelpers.js';
+
+// Minutes until the custom status clears itself; an empty value keeps it until cleared.
+const EXPIRY_OPTIONS = [
+  { value: '', label: "Don't clear" },
+  { value: '30', label: '30 minutes' },
+  { value: '60', label: '1 hour' },
+  { value: '240', label: '4 hours' },
+  { value: '1440', label: '1 day' },
+  { value: '10080', label: '1 week' },
+];
+
+const STATUS_HINTS = {
+  online: 'Shows as away while you are idle',
+  away: 'Shows as away until you change it',
+  dnd: 'Mutes toasts, sounds and notifications',
+  invisible: 'Appear offline to everyone else',
+};
+
+const StatusPicker = ({ presence, onSetStatus, onSetCustomStatus, onClearCustomStatus, onClose }) => {
+  const [emoji, setEmoji] = useState(presence.customStatus?.emoji || '');
+  const [text, setText] = useState(presence.customStatus?.text || '');
+  const [expiry, setExpiry] = useState('');
+  const [error, setError] = useState('');
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await onSetCustomStatus({
+        emoji: emoji.trim(),
+        text: text.trim(),
+        expiresInMinutes: expiry ? Number(expiry) : undefined,
+      });
+      onClose();
+    });
+  };
+
+  const handleClear = () => {
+    run(async () => {
+      await onClearCustomStatus();
+      setEmoji('');
+      setText('');
+    });
+  };
+
+  return (
+    <div className="status-picker">
+      <ul>
+        {Object.entries(STATUS_LABELS).map(([status, label]) => (
+          <li key={status}>
+            <button
+              type="button"
+              className={clsx('status-option', { active: presence.status === status })}
+              onClick={() => run(() => onSetStatus(status))}
+            >
+              <span className={clsx('status-dot', status)} />
+              <span>
+                {label}
+                <small>{STATUS_HINTS[status]}</small>
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form className="custom-status-form" onSubmit={handleSave}>
+        <div className="custom-status-inputs">
+          <input
+            className="custom-status-emoji"
+            value={emoji}
+            onChange={(event) => setEmoji(event.target.value)}
+            placeholder="🙂"
+            aria-label="Status emoji"
+          />
+          <input
+            value={text}
+            onChange={(event) => setText(event.target.value)}
+            placeholder="What's your status?"
+            maxLength={MAX_STATUS_TEXT_LENGTH}
+          />
+        </div>
+        <select value={expiry} onChange={(event) => setExpiry(event.target.value)} aria-label="Clear after">
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {error ? <p className="error-text">{error}</p> : null}
+        <div className="custom-status-actions">
+          <button type="submit" disabled={!emoji.trim() && !text.trim()}>
+            Save
+          </button>
+          {presence.customStatus ? (
+            <button type="button" className="sidebar-link" onClick={handleClear}>
+              Clear status
+            </button>
+          ) : null}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default StatusPicker;
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+
+const ThreadMembersPanel = ({ thread, currentUser, users, onClose, onAdd, onRemove }) => {
+  const me = currentUser?.username;
+  const isOwner = thread.createdBy === me;
+  const [invitee, setInvitee] = useState('');
+  const [error, setError] = useState('');
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await onAdd({ threadId: thread.id, usernames: [invitee.trim()] });
+      setInvitee('');
+    });
+  };
+
+  const handleLeave = () => {
+    if (window.confirm('Leave this group? You will stop receiving its messages.')) {
+      run(() => onRemove({ threadId: thread.id, username: me }));
+    }
+  };
+
+  const participants = [...thread.participants].sort((a, b) => a.localeCompare(b));
+  const suggestions = users
+    .map((entry) => entry.username)
+    .filter((username) => !thread.participants.includes(username));
+
+  return (
+    <aside className="members-panel">
+      <header className="reply-header">
+        <h3>People</h3>
+        <button type="button" className="message-action" onClick={onClose}>
+          Close
+        </button>
+      </header>
+
+      {error ? <p className="error-text">{error}</p> : null}
+
+      <form className="invite-form" onSubmit={handleAdd}>
+        <input
+          value={invitee}
+          onChange={(event) => setInvitee(event.target.value)}
+          placeholder="Add by username"
+          list="thread-member-suggestions"
+        />
+        <datalist id="thread-member-suggestions">
+          {suggestions.map((username) => (
+            <option key={username} value={username} />
+          ))}
+        </datalist>
+        <button type="submit" disabled={!invitee.trim()}>
+          Add
+        </button>
+      </form>
+
+      <ul className="member-list">
+        {participants.map((username) => (
+          <li key={username}>
+            <span className="member-name">{username}</span>
+            {username === thread.createdBy ? <span className="role-badge">owner</span> : null}
+            {isOwner && username !== me ? (
+              <span className="member-actions">
+                <button
+                  type="button"
+                  className="message-action"
+                  onClick={() => run(() => onRemove({ threadId: thread.id, username }))}
+                >
+                  Remove
+                </button>
+              </span>
+            ) : null}
+          </li>
+        ))}
+      </ul>
+
+      <button type="button" className="message-action" onClick={handleLeave}>
+        Leave group
+      </button>
+    </aside>
+  );
+};
+
+export default ThreadMembersPanel;
@@ -1,15 +1,29 @@
 import { createContext, useContext, useEffect, useMemo, useReducer, useRef } from 'react';
 import dayjs from 'dayjs';
-import { socket } from '../socket/socket';
-import { makeThreadId, sortMessages } from '../utils/chatHelpers';
+import { apiUrl, socket } from '../socket/socket';
+import {
+  describeMessage,
+  describeThread,
+  getNotificationLevel,
+  makeReplyKey,
+  makeThreadId,
+  mentionsUser,
+  sortMessages,
+} from '../utils/chatHelpers';
+import { validatePayload } from '../../../shared/eventSchemas.mjs';
 import {
   loadActiveConversation,
-  loadUsername,
+  loadSession,
   saveActiveConversation,
-  saveUsername,
+  saveSession,
 } from '../utils/storage';
 
 const defaultConversation = { type: 'room', id: 'general' };
+const defaultPresence = { status: 'online', idle: false, customStatus: null };
+
+// No keyboard, pointer or scroll activity for this long reports the tab as idle.
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'focus'];
 
 const initialState = {
   user: null,
@@ -21,12 +35,20 @@ const initialState = {
   threadOrder: [],
   activeConversation: loadActiveConversation() || defaultConversation,
   users: [],
+  presence: defaultPresence,
+  lastSeen: {},
+  notificationPreferences: {},
+  mentionCounts: {},
+  bookmarks: [],
   typingByRoom: {},
   typingByThread: {},
   unreadRooms: {},
   unreadThreads: {},
   searchResults: [],
+  searchPage: { total: 0, hasMore: false, nextCursor: null, filters: null },
+  invites: [],
   toasts: [],
+  rateLimit: null,
 };
 
 const Actions = {
@@ -37,12 +59,22 @@ const Actions = {
   SET_INITIAL_STATE: 'SET_INITIAL_STATE',
   UPSERT_ROOM: 'UPSERT_ROOM',
   UPSERT_THREAD: 'UPSERT_THREAD',
+  REMOVE_THREAD: 'REMOVE_THREAD',
   APPEND_ROOM_MESSAGE: 'APPEND_ROOM_MESSAGE',
   UPDATE_ROOM_MESSAGE: 'UPDATE_ROOM_MESSAGE',
+  ADD_ROOM_HISTORY: 'ADD_ROOM_HISTORY',
+  ADD_THREAD_HISTORY: 'ADD_THREAD_HISTORY',
+  SET_REPLIES: 'SET_REPLIES',
   APPEND_THREAD_MESSAGE: 'APPEND_THREAD_MESSAGE',
   UPDATE_THREAD_MESSAGE: 'UPDATE_THREAD_MESSAGE',
   SET_ACTIVE_CONVERSATION: 'SET_ACTIVE_CONVERSATION',
   SET_USERS: 'SET_USERS',
+  SET_PRESENCE: 'SET_PRESENCE',
+  MERGE_LAST_SEEN: 'MERGE_LAST_SEEN',
+  SET_NOTIFICATION_PREFERENCES: 'SET_NOTIFICATION_PREFERENCES',
+  SET_MENTION_COUNTS: 'SET_MENTION_COUNTS',
+  SET_PINNED: 'SET_PINNED',
+  SET_BOOKMARKS: 'SET_BOOKMARKS',
   SET_TYPING_ROOM: 'SET_TYPING_ROOM',
   SET_TYPING_THREAD: 'SET_TYPING_THREAD',
   INCREMENT_UNREAD_ROOM: 'INCREMENT_UNREAD_ROOM',
@@ -50,8 +82,12 @@ const Actions = {
   INCREMENT_UNREAD_THREAD: 'INCREMENT_UNREAD_THREAD',
   RESET_UNREAD_THREAD: 'RESET_UNREAD_THREAD',
   SET_SEARCH_RESULTS: 'SET_SEARCH_RESULTS',
+  SET_INVITES: 'SET_INVITES',
+  ADD_INVITE: 'ADD_INVITE',
+  REMOVE_INVITE: 'REMOVE_INVITE',
   ADD_TOAST: 'ADD_TOAST',
   REMOVE_TOAST: 'REMOVE_TOAST',
+  SET_RATE_LIMIT: 'SET_RATE_LIMIT',
 };
 
 const ensureRoomState = (room) => ({
@@ -61,20 +97,56 @@ const ensureRoomState = (room) => ({
   createdAt: room.createdAt,
   createdBy: room.createdBy,
   memberCount: room.memberCount ?? 0,
+  members: room.members || [],
+  roles: room.roles || {},
+  muted: room.muted || {},
+  banned: room.banned || [],
+  visibility: room.visibility || 'public',
+  invites: room.invites || [],
   hasMore: Boolean(room.hasMore),
+  hasNewer: false,
   nextCursor: room.nextCursor || null,
   messages: sortMessages(room.messages || []),
+  pinned: room.pinned || [],
+  replies: {},
 });
 
+const mergeMessages = (existing, incoming) =>
+  sortMessages(
+    Array.from(
+      [...existing, ...incoming].reduce((map, item) => map.set(item.id, item), new Map()).values()
+    )
+  );
+
 const ensureThreadState = (thread) => ({
   id: thread.id,
   participants: thread.participants,
   counterpart: thread.counterpart,
+  isGroup: Boolean(thread.isGroup),
+  name: thread.name || null,
+  createdBy: thread.createdBy || null,
   createdAt: thread.createdAt,
   hasMore: Boolean(thread.hasMore),
+  hasNewer: false,
   messages: sortMessages(thread.messages || []),
+  pinned: thread.pinned || [],
 });
 
+// `direction` is 'older' or 'newer' for a page next to what we hold, or 'window' to replace it.
+const applyHistoryPage = (conversation, { messages, hasMore, hasNewer, nextCursor, direction }) => {
+  const edges =
+    direction === 'older'
+      ? { hasMore, nextCursor }
+      : direction === 'newer'
+      ? { hasNewer }
+      : { hasMore, nextCursor, hasNewer };
+  return {
+    ...conversation,
+    ...edges,
+    messages: direction === 'window' ? sortMessages(messages) : mergeMessages(conversation.messages, messages),
+  };
+};
+
 const reducer = (state, action) => {
   switch (action.type) {
     case Actions.SET_CONNECTING:
@@ -114,6 +186,8 @@ const reducer = (state, action) => {
         threads,
         threadOrder,
         users: action.payload.users || [],
+        unreadThreads: action.payload.unreadThreads || state.unreadThreads,
+        invites: action.payload.invites || [],
       };
     }
     case Actions.UPSERT_ROOM: {
@@ -128,6 +202,7 @@ const reducer = (state, action) => {
         memberCount: incoming.memberCount ?? previous?.memberCount ?? 0,
         hasMore: incoming.hasMore ?? previous?.hasMore ?? false,
         nextCursor: incoming.nextCursor ?? previous?.nextCursor ?? null,
+        replies: incoming.replies ?? previous?.replies ?? {},
       };
       const rooms = { ...state.rooms, [incoming.id]: merged };
       const roomOrder = state.roomOrder.includes(incoming.id)
@@ -152,13 +227,55 @@ const reducer = (state, action) => {
         : [...state.threadOrder, incoming.id];
       return { ...state, threads, threadOrder };
     }
+    case Actions.REMOVE_THREAD: {
+      const { threadId } = action.payload;
+      const threads = { ...state.threads };
+      const unreadThreads = { ...state.unreadThreads };
+      const typingByThread = { ...state.typingByThread };
+      delete threads[threadId];
+      delete unreadThreads[threadId];
+      delete typingByThread[threadId];
+      const isActive = state.activeConversation?.type === 'thread' && state.activeConversation.id === threadId;
+      return {
+        ...state,
+        threads,
+        unreadThreads,
+        typingByThread,
+        threadOrder: state.threadOrder.filter((id) => id !== threadId),
+        activeConversation: isActive ? defaultConversation : state.activeConversation,
+      };
+    }
     case Actions.APPEND_ROOM_MESSAGE: {
       const { roomId, message } = action.payload;
       const current = state.rooms[roomId];
       if (!current) {
         return state;
       }
+      if (message.parentId) {
+        // Replies only matter once their thread has been opened and loaded.
+        const thread = current.replies?.[message.parentId];
+        if (!thread) {
+          return state;
+        }
+        return {
+          ...state,
+          rooms: {
+            ...state.rooms,
+            [roomId]: {
+              ...current,
+              replies: {
+                ...current.replies,
+                [message.parentId]: { ...thread, messages: mergeMessages(thread.messages, [message]) },
+              },
+            },
+          },
+        };
+      }
       const exists = current.messages.some((item) => item.id === message.id);
+      // While an older window is open (after a jump), live messages arrive when scrolling reaches the end.
+      if (!exists && current.hasNewer) {
+        return state;
+      }
       const messages = exists
         ? current.messages.map((item) => (item.id === message.id ? { ...item, ...message } : item))
         : [...current.messages, message];
@@ -173,14 +290,45 @@ const reducer = (state, action) => {
         },
       };
     }
+    case Actions.ADD_ROOM_HISTORY: {
+      const current = state.rooms[action.payload.roomId];
+      if (!current) {
+        return state;
+      }
+      return {
+        ...state,
+        rooms: { ...state.rooms, [current.id]: applyHistoryPage(current, action.payload) },
+      };
+    }
+    case Actions.ADD_THREAD_HISTORY: {
+      const current = state.threads[action.payload.threadId];
+      if (!current) {
+        return state;
+      }
+      return {
+        ...state,
+        threads: { ...state.threads, [current.id]: applyHistoryPage(current, action.payload) },
+      };
+    }
     case Actions.UPDATE_ROOM_MESSAGE: {
       const { roomId, messageId, updater } = action.payload;
       const current = state.rooms[roomId];
       if (!current) {
         return state;
       }
-      const messages = current.messages.map((message) =>
-        message.id === messageId ? { ...message, ...updater(message) } : message
+      const update = (message) =>
+        message.id === messageId ? { ...message, ...updater(message) } : message;
+      const messages = current.messages.map(update);
+      const pinned = (current.pinned || []).map(update);
+      const replies = Object.fromEntries(
+        Object.entries(current.replies || {}).map(([parentId, thread]) => [
+          parentId,
+          {
+            ...thread,
+            parent: thread.parent && update(thread.parent),
+            messages: thread.messages.map(update),
+          },
+        ])
       );
       return {
         ...state,
@@ -189,6 +337,34 @@ const reducer = (state, action) => {
           [roomId]: {
             ...current,
             messages,
+            pinned,
+            replies,
+          },
+        },
+      };
+    }
+    case Actions.SET_REPLIES: {
+      const { roomId, parentId, parent, messages, hasMore, nextCursor } = action.payload;
+      const current = state.rooms[roomId];
+      if (!current) {
+        return state;
+      }
+      const previous = current.replies?.[parentId];
+      return {
+        ...state,
+        rooms: {
+          ...state.rooms,
+          [roomId]: {
+            ...current,
+            replies: {
+              ...current.replies,
+              [parentId]: {
+                parent: parent ?? previous?.parent ?? null,
+                messages: mergeMessages(previous?.messages || [], messages),
+                hasMore,
+                nextCursor,
+              },
+            },
           },
         },
       };
@@ -200,6 +376,9 @@ const reducer = (state, action) => {
         return state;
       }
       const exists = current.messages.some((item) => item.id === message.id);
+      if (!exists && current.hasNewer) {
+        return state;
+      }
       const messages = exists
         ? current.messages.map((item) => (item.id === message.id ? { ...item, ...message } : item))
         : [...current.messages, message];
@@ -220,16 +399,16 @@ const reducer = (state, action) => {
       if (!current) {
         return state;
       }
-      const messages = current.messages.map((message) =>
-        message.id === messageId ? { ...message, ...updater(message) } : message
-      );
+      const update = (message) =>
+        message.id === messageId ? { ...message, ...updater(message) } : message;
       return {
         ...state,
         threads: {
           ...state.threads,
           [threadId]: {
             ...current,
-            messages,
+            messages: current.messages.map(update),
+            pinned: (current.pinned || []).map(update),
           },
         },
       };
@@ -238,6 +417,25 @@ const reducer = (state, action) => {
       return { ...state, activeConversation: action.payload };
     case Actions.SET_USERS:
       return { ...state, users: action.payload };
+    case Actions.SET_PRESENCE:
+      return { ...state, presence: action.payload || defaultPresence };
+    case Actions.MERGE_LAST_SEEN:
+      return { ...state, lastSeen: { ...state.lastSeen, ...action.payload } };
+    case Actions.SET_NOTIFICATION_PREFERENCES:
+      return { ...state, notificationPreferences: action.payload || {} };
+    case Actions.SET_PINNED: {
+      const { roomId, threadId, pinned } = action.payload;
+      const key = threadId ? 'threads' : 'rooms';
+      const current = state[key][threadId || roomId];
+      if (!current) {
+        return state;
+      }
+      return { ...state, [key]: { ...state[key], [current.id]: { ...current, pinned } } };
+    }
+    case Actions.SET_MENTION_COUNTS:
+      return { ...state, mentionCounts: action.payload || {} };
+    case Actions.SET_BOOKMARKS:
+      return { ...state, bookmarks: action.payload || [] };
     case Actions.SET_TYPING_ROOM:
       return {
         ...state,
@@ -280,12 +478,29 @@ const reducer = (state, action) => {
       delete unreadThreads[action.payload.threadId];
       return { ...state, unreadThreads };
     }
-    case Actions.SET_SEARCH_RESULTS:
-      return { ...state, searchResults: action.payload };
+    case Actions.SET_INVITES:
+      return { ...state, invites: action.payload };
+    case Actions.ADD_INVITE:
+      return {
+        ...state,
+        invites: [...state.invites.filter((invite) => invite.roomId !== action.payload.roomId), action.payload],
+      };
+    case Actions.REMOVE_INVITE:
+      return { ...state, invites: state.invites.filter((invite) => invite.roomId !== action.payload.roomId) };
+    case Actions.SET_SEARCH_RESULTS: {
+      const { results = [], total = 0, hasMore = false, nextCursor = null, filters = null, append } = action.payload;
+      return {
+        ...state,
+        searchResults: append ? [...state.searchResults, ...results] : results,
+        searchPage: { total, hasMore, nextCursor, filters },
+      };
+    }
     case Actions.ADD_TOAST:
       return { ...state, toasts: [...state.toasts, action.payload] };
     case Actions.REMOVE_TOAST:
       return { ...state, toasts: state.toasts.filter((toast) => toast.id !== action.payload) };
+    case Actions.SET_RATE_LIMIT:
+      return { ...state, rateLimit: action.payload };
     default:
       return state;
   }
@@ -293,6 +508,30 @@ const reducer = (state, action) => {
 
 const ChatContext = createContext(null);
 
+// Failed acks keep the server's `code` (invalid_payload, rate_limited, ...) and details next to the message.
+const toAckError = (response, fallback) =>
+  Object.assign(new Error(response?.error || fallback), {
+    code: response?.code,
+    field: response?.field,
+    retryAfterMs: response?.retryAfterMs,
+  });
+
+// Applies the server's payload rules before emitting; throwing inside a Promise executor rejects it.
+const checkPayload = (event, payload) => {
+  const result = validatePayload(event, payload);
+
+  if (!result.ok) {
+    throw toAckError(result, 'Invalid request');
+  }
+};
+
+// Fire-and-forget events (typing, receipts, reactions) have no caller to reject, so bad payloads are dropped.
+const emitChecked = (event, payload) => {
+  if (validatePayload(event, payload).ok) {
+    socket.emit(event, payload);
+  }
+};
+
 const createToast = (data) => ({
   id: `${Date.now()}-${Math.random().toString(16).slice(2)}`,
   createdAt: dayjs().toISOString(),
@@ -310,7 +549,10 @@ export const ChatProvider = ({ children }) => {
   const [state, dispatch] = useReducer(reducer, initialState);
   const stateRef = useRef(state);
   const audioContextRef = useRef(null);
-  const usernameRef = useRef(loadUsername());
+  const sessionRef = useRef(loadSession());
+  const resumeTokenRef = useRef(null);
+  // The join attempt still waiting for the socket to connect: { token, promise, cancel }.
+  const pendingJoinRef = useRef(null);
 
   useEffect(() => {
     stateRef.current = state;
@@ -323,13 +565,30 @@ export const ChatProvider = ({ children }) => {
   }, [state.activeConversation]);
 
   useEffect(() => {
-    if (state.isConnected && usernameRef.current) {
-      dispatch({ type: Actions.SET_USER, payload: { username: usernameRef.current } });
+    if (state.isConnected && sessionRef.current) {
+      dispatch({ type: Actions.SET_USER, payload: { username: sessionRef.current.username } });
     }
   }, [state.isConnected]);
 
+  // Do not disturb silences message sounds, toasts and browser notifications; unread badges still count.
+  const isDoNotDisturb = () => stateRef.current.presence?.status === 'dnd';
+
+  // A conversation's notification level decides whether a new message makes a sound, toast or notification.
+  // Without a message (e.g. a summary of queued DMs) only "all" alerts.
+  const shouldAlert = (conversationId, message) => {
+    const { notificationPreferences, user } = stateRef.current;
+    const level = getNotificationLevel(notificationPreferences, conversationId);
+    return level === 'all' || (level === 'mentions' && mentionsUser(message, user?.username));
+  };
+
+  const notify = (toast) => {
+    if (!isDoNotDisturb()) {
+      dispatch({ type: Actions.ADD_TOAST, payload: createToast(toast) });
+    }
+  };
+
   const playNotificationSound = () => {
-    if (typeof window === 'undefined') {
+    if (typeof window === 'undefined' || isDoNotDisturb()) {
       return;
     }
 
@@ -356,7 +615,7 @@ export const ChatProvider = ({ children }) => {
   };
 
   const showBrowserNotification = (title, options) => {
-    if (!shouldShowBrowserNotification()) {
+    if (!shouldShowBrowserNotification() || isDoNotDisturb()) {
       return;
     }
 
@@ -368,7 +627,7 @@ export const ChatProvider = ({ children }) => {
   };
 
   const handleInitialState = (payload) => {
-    const username = usernameRef.current;
+    const username = sessionRef.current?.username;
     const me = (payload.users || []).find((user) => user.username === username) || null;
 
     dispatch({
@@ -377,8 +636,14 @@ export const ChatProvider = ({ children }) => {
         rooms: payload.rooms || [],
         threads: payload.threads || [],
         users: payload.users || [],
+        unreadThreads: payload.unreadThreads,
+        invites: payload.invites,
       },
     });
+    dispatch({ type: Actions.SET_PRESENCE, payload: payload.presence });
+    dispatch({ type: Actions.SET_NOTIFICATION_PREFERENCES, payload: payload.notificationPreferences });
+    dispatch({ type: Actions.SET_MENTION_COUNTS, payload: payload.mentionCounts });
+    dispatch({ type: Actions.SET_BOOKMARKS, payload: payload.bookmarks });
 
     if (me) {
       dispatch({ type: Actions.SET_USER, payload: me });
@@ -446,17 +711,32 @@ export const ChatProvider = ({ children }) => {
   };
 
   const handleRoomMessage = (message) => {
-  ensureRoomExists({ id: message.roomId });
+    ensureRoomExists({ id: message.roomId });
     dispatch({ type: Actions.APPEND_ROOM_MESSAGE, payload: { roomId: message.roomId, message } });
 
     const currentState = stateRef.current;
+
+    // Replies surface through their parent's reply count rather than unread badges or toasts.
+    if (message.parentId) {
+      const replyKey = makeReplyKey(message.roomId, message.parentId);
+      emitChecked('message_delivered', { roomId: message.roomId, messageId: message.id });
+      dispatch({
+        type: Actions.SET_TYPING_ROOM,
+        payload: {
+          roomId: replyKey,
+          users: (currentState.typingByRoom[replyKey] || []).filter((user) => user !== message.sender),
+        },
+      });
+      return;
+    }
+
     const isSelf = currentState.user?.username === message.sender;
     const isActiveRoom =
       currentState.activeConversation?.type === 'room' &&
       currentState.activeConversation.id === message.roomId;
     const isHidden = typeof document !== 'undefined' ? document.hidden : false;
 
-    socket.emit('message_delivered', { roomId: message.roomId, messageId: message.id });
+    emitChecked('message_delivered', { roomId: message.roomId, messageId: message.id });
 
     if (isActiveRoom) {
       dispatch({
@@ -471,30 +751,37 @@ export const ChatProvider = ({ children }) => {
     }
 
     if (!isSelf && isActiveRoom && !isHidden) {
-      socket.emit('message_read', { roomId: message.roomId, messageId: message.id });
+      emitChecked('message_read', { roomId: message.roomId, messageId: message.id });
     }
 
     if (!isSelf && (!isActiveRoom || isHidden)) {
       dispatch({ type: Actions.INCREMENT_UNREAD_ROOM, payload: { roomId: message.roomId } });
+
+      if (!shouldAlert(message.roomId, message)) {
+        return;
+      }
+
       playNotificationSound();
-      dispatch({
-        type: Actions.ADD_TOAST,
-        payload: createToast({
-          title: currentState.rooms[message.roomId]?.name || 'New message',
-          message: `${message.sender}: ${message.body}`,
-        }),
+      notify({
+        title: currentState.rooms[message.roomId]?.name || 'New message',
+        message: `${message.sender}: ${describeMessage(message)}`,
       });
       showBrowserNotification('New message', {
-        body: `${message.sender}: ${message.body}`,
+        body: `${message.sender}: ${describeMessage(message)}`,
       });
     }
   };
 
   const handlePrivateMessage = ({ thread, message }) => {
-    ensureThreadExists(thread);
-    dispatch({ type: Actions.UPSERT_THREAD, payload: thread });
-
     const currentState = stateRef.current;
+    // A known thread only needs its details refreshed; its recent messages would replace older pages we loaded.
+    if (currentState.threads[thread.id]) {
+      const { messages, hasMore, ...details } = thread;
+      dispatch({ type: Actions.UPSERT_THREAD, payload: details });
+    } else {
+      ensureThreadExists(thread);
+    }
+
     const isSelf = currentState.user?.username === message.sender;
     const active = currentState.activeConversation;
     const isActiveThread = active?.type === 'thread' && active.id === thread.id;
@@ -514,27 +801,118 @@ export const ChatProvider = ({ children }) => {
 
     if (!isSelf && (!isActiveThread || isHidden)) {
       dispatch({ type: Actions.INCREMENT_UNREAD_THREAD, payload: { threadId: thread.id } });
+    }
+
+    if (!isSelf && (!isActiveThread || isHidden) && shouldAlert(thread.id, message)) {
       playNotificationSound();
-      dispatch({
-        type: Actions.ADD_TOAST,
-        payload: createToast({
-          title: `Direct message • ${thread.counterpart}`,
-          message: `${message.sender}: ${message.body}`,
-        }),
+      notify({
+        title: `Direct message • ${describeThread(thread, currentState.user?.username)}`,
+        message: `${message.sender}: ${describeMessage(message)}`,
       });
       showBrowserNotification(`Message from ${message.sender}`, {
-        body: message.body,
+        body: describeMessage(message),
       });
     }
 
     if (!isSelf && isActiveThread && !isHidden) {
-      socket.emit('private_message_read', { threadId: thread.id, messageId: message.id });
+      emitChecked('private_message_read', { threadId: thread.id, messageId: message.id });
     }
 
     dispatch({ type: Actions.APPEND_THREAD_MESSAGE, payload: { threadId: thread.id, message } });
   };
 
-  const handlePrivateTyping = ({ from, isTyping }) => {
+  const handleSessionResumed = ({
+    rooms = [],
+    threads = [],
+    users,
+    invites,
+    presence,
+    notificationPreferences,
+    mentionCounts,
+    bookmarks,
+  }) => {
+    const currentState = stateRef.current;
+    const username = currentState.user?.username;
+    const active = currentState.activeConversation;
+
+    if (users) {
+      dispatch({ type: Actions.SET_USERS, payload: users });
+    }
+
+    if (invites) {
+      dispatch({ type: Actions.SET_INVITES, payload: invites });
+    }
+
+    if (presence) {
+      dispatch({ type: Actions.SET_PRESENCE, payload: presence });
+    }
+
+    if (notificationPreferences) {
+      dispatch({ type: Actions.SET_NOTIFICATION_PREFERENCES, payload: notificationPreferences });
+    }
+
+    if (mentionCounts) {
+      dispatch({ type: Actions.SET_MENTION_COUNTS, payload: mentionCounts });
+    }
+
+    if (bookmarks) {
+      dispatch({ type: Actions.SET_BOOKMARKS, payload: bookmarks });
+    }
+
+    rooms.forEach((entry) => {
+      if (entry.room) {
+        dispatch({ type: Actions.UPSERT_ROOM, payload: entry.room });
+        return;
+      }
+
+      const isActiveRoom = active?.type === 'room' && active.id === entry.roomId;
+      entry.messages.forEach((message) => {
+        dispatch({ type: Actions.APPEND_ROOM_MESSAGE, payload: { roomId: entry.roomId, message } });
+        emitChecked('message_delivered', { roomId: entry.roomId, messageId: message.id });
+        // As with live messages, replies only show through their parent's reply count.
+        if (message.sender !== username && !message.isSystem && !message.parentId && !isActiveRoom) {
+          dispatch({ type: Actions.INCREMENT_UNREAD_ROOM, payload: { roomId: entry.roomId } });
+        }
+      });
+      // Edits, deletions, reactions and reply counts that changed while we were away.
+      (entry.updated || []).forEach((message) => {
+        dispatch({
+          type: Actions.UPDATE_ROOM_MESSAGE,
+          payload: { roomId: entry.roomId, messageId: message.id, updater: () => message },
+        });
+      });
+      if (entry.pinned) {
+        dispatch({ type: Actions.SET_PINNED, payload: { roomId: entry.roomId, pinned: entry.pinned } });
+      }
+    });
+
+    threads.forEach((entry) => {
+      if (entry.thread) {
+        dispatch({ type: Actions.UPSERT_THREAD, payload: entry.thread });
+        return;
+      }
+
+      const isActiveThread = active?.type === 'thread' && active.id === entry.threadId;
+      entry.messages.forEach((message) => {
+        dispatch({ type: Actions.APPEND_THREAD_MESSAGE, payload: { threadId: entry.threadId, message } });
+        if (message.sender !== username && !isActiveThread) {
+          dispatch({ type: Actions.INCREMENT_UNREAD_THREAD, payload: { threadId: entry.threadId } });
+        }
+      });
+      (entry.updated || []).forEach((message) => {
+        dispatch({
+          type: Actions.UPDATE_THREAD_MESSAGE,
+          payload: { threadId: entry.threadId, messageId: message.id, updater: () => message },
+        });
+      });
+      if (entry.pinned) {
+        dispatch({ type: Actions.SET_PINNED, payload: { threadId: entry.threadId, pinned: entry.pinned } });
+      }
+    });
+  };
+
+  // Group threads name themselves; one-to-one typing events only carry the sender.
+  const handlePrivateTyping = ({ from, threadId: groupThreadId, isTyping }) => {
     const currentState = stateRef.current;
     const username = currentState.user?.username;
 
@@ -542,7 +920,7 @@ export const ChatProvider = ({ children }) => {
       return;
     }
 
-    const threadId = makeThreadId(username, from);
+    const threadId = groupThreadId || makeThreadId(username, from);
     const users = isTyping
       ? Array.from(new Set([...(currentState.typingByThread[threadId] || []), from]))
       : (currentState.typingByThread[threadId] || []).filter((user) => user !== from);
@@ -563,6 +941,10 @@ export const ChatProvider = ({ children }) => {
     const onConnectError = (err) => {
       console.error('Socket connect error:', err);
       dispatch({ type: Actions.SET_CONNECTING, payload: false });
+      if (err?.message === 'Unauthorized') {
+        // connect() reports rejected sessions back to the login screen
+        return;
+      }
       dispatch({
         type: Actions.ADD_TOAST,
         payload: createToast({ title: 'Connection error', message: 'Unable to connect to the chat server. Check server URL and CORS settings.' }),
@@ -582,6 +964,55 @@ export const ChatProvider = ({ children }) => {
       payload.forEach((room) => ensureRoomExists(room));
     };
 
+    // Settings, roles and membership changed; the payload carries no messages.
+    const onRoomUpdated = (room) => {
+      dispatch({ type: Actions.UPSERT_ROOM, payload: room });
+    };
+
+    const onRoomRemoved = ({ roomId, reason, by }) => {
+      const room = stateRef.current.rooms[roomId];
+      dispatch({
+        type: Actions.ADD_TOAST,
+        payload: createToast({
+          title: reason === 'banned' ? 'Banned from room' : 'Removed from room',
+          message: `${by} ${reason === 'banned' ? 'banned you from' : 'removed you from'} #${room?.name || roomId}`,
+        }),
+      });
+
+      const active = stateRef.current.activeConversation;
+      if (active?.type === 'room' && active.id === roomId) {
+        dispatch({ type: Actions.SET_ACTIVE_CONVERSATION, payload: { type: 'room', id: 'general' } });
+      }
+    };
+
+    // Participants or the group name changed; new participants also receive recent messages.
+    const onThreadUpdated = (thread) => {
+      dispatch({ type: Actions.UPSERT_THREAD, payload: thread });
+    };
+
+    const onThreadRemoved = ({ threadId, by, left }) => {
+      const thread = stateRef.current.threads[threadId];
+      dispatch({ type: Actions.REMOVE_THREAD, payload: { threadId } });
+      if (left) {
+        return;
+      }
+      dispatch({
+        type: Actions.ADD_TOAST,
+        payload: createToast({
+          title: 'Removed from group',
+          message: `${by} removed you from ${describeThread(thread, stateRef.current.user?.username)}`,
+        }),
+      });
+    };
+
+    const onRoomInvite = (invite) => {
+      dispatch({ type: Actions.ADD_INVITE, payload: invite });
+      notify({
+        title: 'Room invitation',
+        message: `${invite.from} invited you to #${invite.roomName}`,
+      });
+    };
+
     const onRoomJoined = (room) => {
       ensureRoomExists(room);
       dispatch({
@@ -590,8 +1021,9 @@ export const ChatProvider = ({ children }) => {
       });
     };
 
-    const onTypingUsers = ({ roomId, users }) => {
-      dispatch({ type: Actions.SET_TYPING_ROOM, payload: { roomId, users } });
+    const onTypingUsers = ({ roomId, parentId, users }) => {
+      const key = parentId ? makeReplyKey(roomId, parentId) : roomId;
+      dispatch({ type: Actions.SET_TYPING_ROOM, payload: { roomId: key, users } });
     };
 
     const onMessageReaction = ({ roomId, messageId, reactions }) => {
@@ -629,7 +1061,7 @@ export const ChatProvider = ({ children }) => {
 
     const onUserList = (users) => {
       dispatch({ type: Actions.SET_USERS, payload: users });
-      const username = usernameRef.current;
+      const username = sessionRef.current?.username;
       const me = users.find((user) => user.username === username);
       if (me) {
         dispatch({ type: Actions.SET_USER, payload: me });
@@ -637,25 +1069,34 @@ export const ChatProvider = ({ children }) => {
     };
 
     const onUserJoined = (user) => {
-      dispatch({
-        type: Actions.ADD_TOAST,
-        payload: createToast({
-          title: 'User joined',
-          message: `${user.username} joined the chat`,
-        }),
+      notify({
+        title: 'User joined',
+        message: `${user.username} joined the chat`,
       });
     };
 
     const onUserLeft = (user) => {
-      dispatch({
-        type: Actions.ADD_TOAST,
-        payload: createToast({
-          title: 'User left',
-          message: `${user.username} left the chat`,
-        }),
+      dispatch({ type: Actions.MERGE_LAST_SEEN, payload: { [user.username]: user.leftAt } });
+      notify({
+        title: 'User left',
+        message: `${user.username} left the chat`,
       });
     };
 
+    const onPresenceUpdated = (presence) => {
+      dispatch({ type: Actions.SET_PRESENCE, payload: presence });
+    };
+
+    // Unread mentions are counted by the server and only drop once the mentioning messages are read.
+    const onMentionCountsUpdated = (counts) => {
+      dispatch({ type: Actions.SET_MENTION_COUNTS, payload: counts });
+    };
+
+    // Another device changed a conversation's notification level.
+    const onNotificationPreferencesUpdated = (preferences) => {
+      dispatch({ type: Actions.SET_NOTIFICATION_PREFERENCES, payload: preferences });
+    };
+
     const onPrivateReaction = ({ threadId, messageId, reactions }) => {
       dispatch({
         type: Actions.UPDATE_THREAD_MESSAGE,
@@ -667,6 +1108,55 @@ export const ChatProvider = ({ children }) => {
       });
     };
 
+    // Edits and deletions both carry the full serialized message (a tombstone for deletions).
+    const onMessageUpdated = ({ roomId, threadId, message }) => {
+      if (threadId) {
+        dispatch({
+          type: Actions.UPDATE_THREAD_MESSAGE,
+          payload: { threadId, messageId: message.id, updater: () => message },
+        });
+        return;
+      }
+
+      dispatch({
+        type: Actions.UPDATE_ROOM_MESSAGE,
+        payload: { roomId, messageId: message.id, updater: () => message },
+      });
+    };
+
+    const onPinsUpdated = (payload) => {
+      dispatch({ type: Actions.SET_PINNED, payload });
+    };
+
+    // Saved messages are per account, so this also arrives when another device saves or removes one.
+    const onBookmarksUpdated = ({ bookmarks }) => {
+      dispatch({ type: Actions.SET_BOOKMARKS, payload: bookmarks });
+    };
+
+    const onPrivateDelivery = ({ threadId, messageId, deliveredTo }) => {
+      dispatch({
+        type: Actions.UPDATE_THREAD_MESSAGE,
+        payload: {
+          threadId,
+          messageId,
+          updater: () => ({ deliveredTo }),
+        },
+      });
+    };
+
+    // Live DMs already toast from handlePrivateMessage; only messages held while we were offline land here.
+    const onPrivateNotification = ({ from, threadId, count, queued }) => {
+      if (!queued || !shouldAlert(threadId)) {
+        return;
+      }
+
+      playNotificationSound();
+      notify({
+        title: `Direct message • ${from}`,
+        message: `${count} ${count === 1 ? 'message' : 'messages'} while you were away`,
+      });
+    };
+
     const onPrivateRead = ({ threadId, messageId, readBy }) => {
       dispatch({
         type: Actions.UPDATE_THREAD_MESSAGE,
@@ -678,126 +1168,449 @@ export const ChatProvider = ({ children }) => {
       });
     };
 
+    // The server drops events past their budget; the composer counts down until `until`.
+    const onRateLimited = ({ event, retryAfterMs, muted }) => {
+      dispatch({
+        type: Actions.SET_RATE_LIMIT,
+        payload: { event, muted, until: Date.now() + retryAfterMs },
+      });
+
+      if (muted && !stateRef.current.rateLimit?.muted) {
+        dispatch({
+          type: Actions.ADD_TOAST,
+          payload: createToast({
+            title: 'Slow down',
+            message: `You are muted for ${Math.ceil(retryAfterMs / 1000)}s for sending too fast`,
+          }),
+        });
+      }
+    };
+
     socket.on('connect', onConnect);
     socket.on('disconnect', onDisconnect);
-  socket.on('connect_error', onConnectError);
-  socket.on('connect_timeout', onConnectTimeout);
+    socket.on('connect_error', onConnectError);
+    socket.on('connect_timeout', onConnectTimeout);
     socket.on('initial_state', handleInitialState);
+    socket.on('session_resumed', handleSessionResumed);
     socket.on('room_list', onRoomList);
     socket.on('room_joined', onRoomJoined);
+    socket.on('room_updated', onRoomUpdated);
+    socket.on('room_removed', onRoomRemoved);
+    socket.on('room_invite', onRoomInvite);
+    socket.on('thread_updated', onThreadUpdated);
+    socket.on('thread_removed', onThreadRemoved);
     socket.on('receive_message', handleRoomMessage);
     socket.on('typing_users', onTypingUsers);
     socket.on('message_reaction_update', onMessageReaction);
     socket.on('message_read_update', onReadUpdate);
     socket.on('message_delivery_update', onDeliveryUpdate);
+    socket.on('message_updated', onMessageUpdated);
+    socket.on('message_deleted', onMessageUpdated);
+    socket.on('pins_updated', onPinsUpdated);
+    socket.on('bookmarks_updated', onBookmarksUpdated);
     socket.on('user_list', onUserList);
     socket.on('user_joined', onUserJoined);
     socket.on('user_left', onUserLeft);
+    socket.on('presence_updated', onPresenceUpdated);
+    socket.on('notification_preferences_updated', onNotificationPreferencesUpdated);
+    socket.on('mention_counts_updated', onMentionCountsUpdated);
     socket.on('private_message', handlePrivateMessage);
     socket.on('private_typing', handlePrivateTyping);
     socket.on('private_reaction_update', onPrivateReaction);
     socket.on('private_read_receipt', onPrivateRead);
+    socket.on('private_delivery_update', onPrivateDelivery);
+    socket.on('private_notification', onPrivateNotification);
+    socket.on('rate_limited', onRateLimited);
 
     return () => {
       socket.off('connect', onConnect);
       socket.off('disconnect', onDisconnect);
+      socket.off('connect_error', onConnectError);
+      socket.off('connect_timeout', onConnectTimeout);
       socket.off('initial_state', handleInitialState);
+      socket.off('session_resumed', handleSessionResumed);
       socket.off('room_list', onRoomList);
       socket.off('room_joined', onRoomJoined);
+      socket.off('room_updated', onRoomUpdated);
+      socket.off('room_removed', onRoomRemoved);
+      socket.off('room_invite', onRoomInvite);
+      socket.off('thread_updated', onThreadUpdated);
+      socket.off('thread_removed', onThreadRemoved);
       socket.off('receive_message', handleRoomMessage);
       socket.off('typing_users', onTypingUsers);
       socket.off('message_reaction_update', onMessageReaction);
       socket.off('message_read_update', onReadUpdate);
       socket.off('message_delivery_update', onDeliveryUpdate);
+      socket.off('message_updated', onMessageUpdated);
+      socket.off('message_deleted', onMessageUpdated);
+      socket.off('pins_updated', onPinsUpdated);
+      socket.off('bookmarks_updated', onBookmarksUpdated);
       socket.off('user_list', onUserList);
       socket.off('user_joined', onUserJoined);
       socket.off('user_left', onUserLeft);
+      socket.off('presence_updated', onPresenceUpdated);
+      socket.off('notification_preferences_updated', onNotificationPreferencesUpdated);
+      socket.off('mention_counts_updated', onMentionCountsUpdated);
       socket.off('private_message', handlePrivateMessage);
       socket.off('private_typing', handlePrivateTyping);
       socket.off('private_reaction_update', onPrivateReaction);
       socket.off('private_read_receipt', onPrivateRead);
+      socket.off('private_delivery_update', onPrivateDelivery);
+      socket.off('private_notification', onPrivateNotification);
+      socket.off('rate_limited', onRateLimited);
     };
   }, []);
 
+  // Reports this tab idle after a stretch without input, and active again on the next input.
+  useEffect(() => {
+    if (!state.isConnected || typeof window === 'undefined') {
+      return undefined;
+    }
+
+    let idle = false;
+    let timer = null;
+
+    const goIdle = () => {
+      idle = true;
+      emitChecked('set_idle', { idle: true });
+    };
+
+    const onActivity = () => {
+      clearTimeout(timer);
+      timer = setTimeout(goIdle, IDLE_AFTER_MS);
+      if (idle) {
+        idle = false;
+        emitChecked('set_idle', { idle: false });
+      }
+    };
+
+    onActivity();
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, onActivity, { passive: true }));
+
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, onActivity));
+    };
+  }, [state.isConnected]);
+
   const actions = useMemo(() => {
-    const connect = async (username) => {
-      const trimmed = username?.trim();
+    // Newest message id we hold per conversation, so a resumed session only replays what we missed.
+    const collectLastMessageIds = () => {
+      const { rooms, threads } = stateRef.current;
+      const lastIds = {};
+
+      [...Object.values(rooms), ...Object.values(threads)].forEach((conversation) => {
+        const last = conversation.messages[conversation.messages.length - 1];
+        if (last) {
+          lastIds[conversation.id] = last.id;
+        }
+      });
+
+      return lastIds;
+    };
 
-      if (!trimmed) {
-        throw new Error('Username is required');
+    const connect = async () => {
+      const session = sessionRef.current;
+
+      if (!session?.token) {
+        throw new Error('Please sign in to continue');
+      }
+
+      // Reconnect attempts that fail re-run this; they share the attempt already waiting for `connect`
+      // instead of stacking listeners that would each send user_join.
+      const pending = pendingJoinRef.current;
+
+      if (pending?.token === session.token) {
+        return pending.promise;
       }
 
+      pending?.cancel();
       requestNotificationPermission();
 
-      return new Promise((resolve, reject) => {
+      const attempt = { token: session.token };
+      attempt.promise = new Promise((resolve, reject) => {
         dispatch({ type: Actions.SET_CONNECTING, payload: true });
-        usernameRef.current = trimmed;
-        socket.connect();
 
-        socket.emit('user_join', { username: trimmed }, (response) => {
-          if (!response?.ok) {
+        const stopWaiting = () => {
+          socket.off('connect', joinChat);
+          socket.off('connect_error', onConnectFailed);
+          if (pendingJoinRef.current === attempt) {
+            pendingJoinRef.current = null;
+          }
+        };
+
+        attempt.cancel = () => {
+          stopWaiting();
+          reject(new Error('Connection attempt cancelled'));
+        };
+
+        const joinChat = () => {
+          stopWaiting();
+          const payload = { resumeToken: resumeTokenRef.current, lastMessageIds: collectLastMessageIds() };
+          const checked = validatePayload('user_join', payload);
+
+          if (!checked.ok) {
             dispatch({ type: Actions.SET_CONNECTING, payload: false });
-            usernameRef.current = null;
-            reject(new Error(response?.error || 'Unable to join chat'));
+            reject(toAckError(checked, 'Unable to join chat'));
             return;
           }
 
-          saveUsername(trimmed);
-          dispatch({ type: Actions.SET_USER, payload: { username: trimmed } });
-          dispatch({
-            type: Actions.SET_ACTIVE_CONVERSATION,
-            payload: { type: 'room', id: response.activeRoom || 'general' },
+          socket.emit('user_join', payload, (response) => {
+            if (!response?.ok) {
+              dispatch({ type: Actions.SET_CONNECTING, payload: false });
+              reject(toAckError(response, 'Unable to join chat'));
+              return;
+            }
+
+            resumeTokenRef.current = response.resumeToken || null;
+            dispatch({ type: Actions.SET_USER, payload: { username: session.username } });
+            if (!response.resumed) {
+              dispatch({
+                type: Actions.SET_ACTIVE_CONVERSATION,
+                payload: { type: 'room', id: response.activeRoom || 'general' },
+              });
+            }
+            resolve(response);
           });
-          resolve(response);
-        });
+        };
+
+        // Network errors are retried by socket.io; only a rejected token ends the attempt.
+        const onConnectFailed = (error) => {
+          if (error?.message !== 'Unauthorized') {
+            return;
+          }
+
+          stopWaiting();
+          sessionRef.current = null;
+          resumeTokenRef.current = null;
+          saveSession(null);
+          dispatch({ type: Actions.RESET_SESSION });
+          reject(new Error('Your session has expired. Please sign in again.'));
+        };
+
+        if (socket.connected) {
+          joinChat();
+          return;
+        }
+
+        pendingJoinRef.current = attempt;
+        socket.once('connect', joinChat);
+        socket.on('connect_error', onConnectFailed);
+        socket.auth = { token: session.token };
+        socket.connect();
+      });
+
+      return attempt.promise;
+    };
+
+    const authenticate = async (mode, { username, password }) => {
+      const response = await fetch(apiUrl(`/api/auth/${mode}`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: username?.trim(), password }),
       });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Unable to sign in');
+      }
+
+      sessionRef.current = { token: result.token, username: result.user.username };
+      saveSession(sessionRef.current);
+      return connect();
     };
 
+    const login = (credentials) => authenticate('login', credentials);
+
+    const register = (credentials) => authenticate('register', credentials);
+
     const disconnect = () => {
-      saveUsername(null);
+      pendingJoinRef.current?.cancel();
+      saveSession(null);
       saveActiveConversation(null);
-      usernameRef.current = null;
+      sessionRef.current = null;
+      resumeTokenRef.current = null;
       socket.disconnect();
       dispatch({ type: Actions.RESET_SESSION });
     };
 
-    const sendMessage = ({ roomId, body }) =>
+    const sendMessage = ({ roomId, body, attachments = [] }) =>
       new Promise((resolve, reject) => {
-        socket.emit(
-          'send_message',
-          {
-            roomId,
-            message: body,
-            tempId: crypto.randomUUID?.() || `${Date.now()}`,
-          },
-          (response) => {
-            if (!response?.ok) {
-              reject(new Error(response?.error || 'Unable to send message'));
-              return;
-            }
-            resolve(response);
+        const payload = {
+          roomId,
+          message: body,
+          attachments,
+          tempId: crypto.randomUUID?.() || `${Date.now()}`,
+        };
+        checkPayload('send_message', payload);
+        socket.emit('send_message', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to send message'));
+            return;
           }
-        );
+          resolve(response);
+        });
       });
 
-    const sendPrivateMessage = ({ to, body }) =>
+    // One-to-one messages address a username; group messages address their thread id.
+    const sendPrivateMessage = ({ to, threadId, body, attachments = [] }) =>
       new Promise((resolve, reject) => {
-        socket.emit(
-          'private_message',
-          {
-            to,
-            message: body,
-            tempId: crypto.randomUUID?.() || `${Date.now()}`,
-          },
-          (response) => {
-            if (!response?.ok) {
-              reject(new Error(response?.error || 'Unable to send direct message'));
-              return;
-            }
-            resolve(response);
+        const payload = {
+          to,
+          threadId,
+          message: body,
+          attachments,
+          tempId: crypto.randomUUID?.() || `${Date.now()}`,
+        };
+        checkPayload('private_message', payload);
+        socket.emit('private_message', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to send direct message'));
+            return;
+          }
+          resolve(response);
+        });
+      });
+
+    const uploadFile = async (file) => {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await fetch(apiUrl('/api/uploads'), {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${sessionRef.current?.token}` },
+        body: formData,
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Upload failed');
+      }
+
+      return result.attachment;
+    };
+
+    const editMessage = ({ roomId, messageId, body }) =>
+      new Promise((resolve, reject) => {
+        const payload = { roomId, messageId, message: body };
+        checkPayload('edit_message', payload);
+        socket.emit('edit_message', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to edit message'));
+            return;
+          }
+          resolve(response);
+        });
+      });
+
+    const editPrivateMessage = ({ threadId, messageId, body }) =>
+      new Promise((resolve, reject) => {
+        const payload = { threadId, messageId, message: body };
+        checkPayload('edit_private_message', payload);
+        socket.emit('edit_private_message', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to edit message'));
+            return;
+          }
+          resolve(response);
+        });
+      });
+
+    const deleteMessage = ({ roomId, messageId }) =>
+      new Promise((resolve, reject) => {
+        const payload = { roomId, messageId };
+        checkPayload('delete_message', payload);
+        socket.emit('delete_message', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to delete message'));
+            return;
+          }
+          resolve(response);
+        });
+      });
+
+    const deletePrivateMessage = ({ threadId, messageId }) =>
+      new Promise((resolve, reject) => {
+        const payload = { threadId, messageId };
+        checkPayload('delete_private_message', payload);
+        socket.emit('delete_private_message', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to delete message'));
+            return;
           }
-        );
+          resolve(response);
+        });
+      });
+
+    // Takes `roomId` or `threadId`; only the sender may remove a message's link previews.
+    const dismissLinkPreviews = ({ roomId, threadId, messageId }) =>
+      new Promise((resolve, reject) => {
+        const payload = roomId ? { roomId, messageId } : { threadId, messageId };
+        checkPayload('dismiss_link_previews', payload);
+        socket.emit('dismiss_link_previews', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to remove link previews'));
+            return;
+          }
+          resolve(response);
+        });
+      });
+
+    // Takes `roomId` or `threadId`; rooms only let moderators pin.
+    const setMessagePinned = ({ roomId, threadId, messageId, pinned }) =>
+      new Promise((resolve, reject) => {
+        const event = pinned ? 'pin_message' : 'unpin_message';
+        const target = roomId ? { roomId, messageId } : { threadId, messageId };
+        checkPayload(event, target);
+        socket.emit(event, target, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, pinned ? 'Unable to pin message' : 'Unable to unpin message'));
+            return;
+          }
+          resolve(response);
+        });
+      });
+
+    // Takes `roomId` or `threadId`. Saving an already saved message replaces its note.
+    const addBookmark = ({ roomId, threadId, messageId, note = '' }) =>
+      new Promise((resolve, reject) => {
+        const payload = roomId ? { roomId, messageId, note } : { threadId, messageId, note };
+        checkPayload('add_bookmark', payload);
+        socket.emit('add_bookmark', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to save message'));
+            return;
+          }
+          resolve(response.bookmark);
+        });
+      });
+
+    const removeBookmark = (messageId) =>
+      new Promise((resolve, reject) => {
+        const payload = { messageId };
+        checkPayload('remove_bookmark', payload);
+        socket.emit('remove_bookmark', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to remove saved message'));
+            return;
+          }
+          resolve(response);
+        });
+      });
+
+    // Bookmarks only change over the socket when saved or removed, so this picks up later edits and deletions.
+    const fetchBookmarks = async () => {
+      const response = await fetch(apiUrl('/api/bookmarks'), {
+        headers: { Authorization: `Bearer ${sessionRef.current?.token}` },
       });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Unable to load saved messages');
+      }
+
+      dispatch({ type: Actions.SET_BOOKMARKS, payload: result.bookmarks });
+      return result.bookmarks;
+    };
 
     const setActiveConversation = (conversation) => {
       if (!conversation) {
@@ -805,7 +1618,7 @@ export const ChatProvider = ({ children }) => {
       }
 
       if (conversation.type === 'room') {
-        socket.emit('set_active_room', { roomId: conversation.id });
+        emitChecked('set_active_room', { roomId: conversation.id });
         dispatch({ type: Actions.RESET_UNREAD_ROOM, payload: { roomId: conversation.id } });
       }
 
@@ -817,89 +1630,194 @@ export const ChatProvider = ({ children }) => {
       dispatch({ type: Actions.SET_ACTIVE_CONVERSATION, payload: conversation });
     };
 
-    const createRoom = (roomName) =>
+    const createRoom = (roomName, { visibility = 'public', password } = {}) =>
       new Promise((resolve, reject) => {
-        const trimmed = roomName?.trim();
-        if (!trimmed) {
-          reject(new Error('Room name is required'));
-          return;
-        }
+        const payload = {
+          roomName,
+          description: '',
+          visibility,
+          password,
+        };
+        checkPayload('join_room', payload);
+        socket.emit('join_room', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to create room'));
+            return;
+          }
+          resolve(response.room);
+        });
+      });
 
-        socket.emit(
-          'join_room',
-          {
-            roomName: trimmed,
-            description: '',
-          },
-          (response) => {
-            if (!response?.ok) {
-              reject(new Error(response?.error || 'Unable to create room'));
-              return;
-            }
-            resolve(response.room);
+    const joinRoom = (roomId, password) =>
+      new Promise((resolve, reject) => {
+        const payload = { roomId, password };
+        checkPayload('join_room', payload);
+        socket.emit('join_room', payload, (response) => {
+          if (!response?.ok) {
+            const error = toAckError(response, 'Unable to join room');
+            error.passwordRequired = Boolean(response?.passwordRequired);
+            reject(error);
+            return;
           }
-        );
+          resolve(response.room);
+        });
       });
 
-    const joinRoom = (roomId) =>
+    const inviteToRoom = ({ roomId, username }) =>
       new Promise((resolve, reject) => {
-        socket.emit(
-          'join_room',
-          {
-            roomId,
-          },
-          (response) => {
-            if (!response?.ok) {
-              reject(new Error(response?.error || 'Unable to join room'));
-              return;
-            }
-            resolve(response.room);
+        const payload = { roomId, username: username?.trim() };
+        checkPayload('invite_to_room', payload);
+        socket.emit('invite_to_room', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to send invitation'));
+            return;
           }
-        );
+          resolve(response);
+        });
       });
 
-    const fetchOlderMessages = ({ roomId, before, limit = 30 }) =>
+    const respondToInvite = ({ roomId, accept }) =>
       new Promise((resolve, reject) => {
-        socket.emit(
-          'request_room_history',
-          {
-            roomId,
-            before,
-            limit,
-          },
-          (response) => {
-            if (!response?.ok) {
-              reject(new Error(response?.error || 'Unable to load history'));
-              return;
-            }
-            const room = stateRef.current.rooms[roomId];
-            if (room) {
-              const combined = [...response.messages, ...room.messages];
-              const deduped = Array.from(
-                combined.reduce((map, item) => map.set(item.id, item), new Map()).values()
-              );
-              const merged = sortMessages(deduped);
-              dispatch({
-                type: Actions.UPSERT_ROOM,
-                payload: {
-                  ...room,
-                  messages: merged,
-                  hasMore: response.hasMore,
-                  nextCursor: response.nextCursor,
-                },
-              });
-            }
-            resolve(response);
+        const payload = { roomId, accept };
+        checkPayload('respond_to_invite', payload);
+        socket.emit('respond_to_invite', payload, (response) => {
+          dispatch({ type: Actions.REMOVE_INVITE, payload: { roomId } });
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to answer invitation'));
+            return;
+          }
+          resolve(response.room || null);
+        });
+      });
+
+    // Moderation and group-management events reply with { ok, error }.
+    const moderate = (event, fallbackError) => (payload) =>
+      new Promise((resolve, reject) => {
+        checkPayload(event, payload);
+        socket.emit(event, payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, fallbackError));
+            return;
+          }
+          resolve(response);
+        });
+      });
+
+    const updateRoom = moderate('update_room', 'Unable to update room');
+    const kickMember = moderate('kick_member', 'Unable to remove member');
+    const banMember = moderate('ban_member', 'Unable to ban member');
+    const unbanMember = moderate('unban_member', 'Unable to unban member');
+    const muteMember = moderate('mute_member', 'Unable to mute member');
+    const unmuteMember = moderate('unmute_member', 'Unable to unmute member');
+    const setMemberRole = moderate('set_member_role', 'Unable to change role');
+    const addThreadParticipants = moderate('add_thread_participants', 'Unable to add people');
+    const removeThreadParticipant = moderate('remove_thread_participant', 'Unable to remove person');
+
+    const createGroupThread = ({ participants, name }) =>
+      new Promise((resolve, reject) => {
+        const payload = { participants, name };
+        checkPayload('create_group_thread', payload);
+        socket.emit('create_group_thread', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to start group message'));
+            return;
+          }
+          dispatch({ type: Actions.UPSERT_THREAD, payload: response.thread });
+          setActiveConversation({ type: 'thread', id: response.thread.id });
+          resolve(response.thread);
+        });
+      });
+
+    // Rooms and DM threads share cursor semantics; `conversation` is { roomId } or { threadId }.
+    const requestHistory = ({ roomId, threadId }, cursor, direction) =>
+      new Promise((resolve, reject) => {
+        const [event, target] = threadId
+          ? ['request_thread_history', { threadId }]
+          : ['request_room_history', { roomId }];
+        const payload = { ...target, ...cursor };
+        checkPayload(event, payload);
+        socket.emit(event, payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to load history'));
+            return;
+          }
+          dispatch({
+            type: threadId ? Actions.ADD_THREAD_HISTORY : Actions.ADD_ROOM_HISTORY,
+            payload: {
+              ...target,
+              direction,
+              messages: response.messages,
+              hasMore: response.hasMore,
+              hasNewer: response.hasNewer,
+              nextCursor: response.nextCursor,
+            },
+          });
+          resolve(response);
+        });
+      });
+
+    const fetchOlderMessages = ({ roomId, threadId, before, limit = 30 }) =>
+      requestHistory({ roomId, threadId }, { before, limit }, 'older');
+
+    const fetchNewerMessages = ({ roomId, threadId, after, limit = 30 }) =>
+      requestHistory({ roomId, threadId }, { after, limit }, 'newer');
+
+    // Back to the live end of a conversation after reading an older window.
+    const jumpToLatest = ({ roomId, threadId }) => requestHistory({ roomId, threadId }, { limit: 50 }, 'window');
+
+    const sendReply = ({ roomId, parentId, body, attachments = [] }) =>
+      new Promise((resolve, reject) => {
+        const payload = {
+          roomId,
+          parentId,
+          message: body,
+          attachments,
+          tempId: crypto.randomUUID?.() || `${Date.now()}`,
+        };
+        checkPayload('send_message', payload);
+        socket.emit('send_message', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to send reply'));
+            return;
+          }
+          resolve(response);
+        });
+      });
+
+    const fetchReplies = ({ roomId, parentId, before, limit = 30 }) =>
+      new Promise((resolve, reject) => {
+        const payload = { roomId, parentId, before, limit };
+        checkPayload('request_reply_history', payload);
+        socket.emit('request_reply_history', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to load replies'));
+            return;
           }
-        );
+          dispatch({
+            type: Actions.SET_REPLIES,
+            payload: {
+              roomId,
+              parentId,
+              parent: response.parent,
+              messages: response.messages,
+              hasMore: response.hasMore,
+              nextCursor: response.nextCursor,
+            },
+          });
+          resolve(response);
+        });
       });
 
+    const setReplyTyping = (roomId, parentId, isTyping) => {
+      emitChecked('typing', { roomId, parentId, isTyping });
+    };
+
     const reactToMessage = ({ roomId, messageId, emoji }) => {
-      socket.emit('react_to_message', { roomId, messageId, emoji });
+      emitChecked('react_to_message', { roomId, messageId, emoji });
     };
 
     const reactToPrivateMessage = ({ threadId, messageId, emoji }) => {
-      socket.emit('react_to_private_message', { threadId, messageId, emoji });
+      emitChecked('react_to_private_message', { threadId, messageId, emoji });
     };
 
     const markConversationRead = (conversation) => {
@@ -917,7 +1835,7 @@ export const ChatProvider = ({ children }) => {
         }
         const lastMessage = [...room.messages].reverse().find((message) => message.sender !== username);
         if (lastMessage) {
-          socket.emit('message_read', { roomId: room.id, messageId: lastMessage.id });
+          emitChecked('message_read', { roomId: room.id, messageId: lastMessage.id });
         }
         dispatch({ type: Actions.RESET_UNREAD_ROOM, payload: { roomId: room.id } });
       }
@@ -931,18 +1849,22 @@ export const ChatProvider = ({ children }) => {
           .reverse()
           .find((message) => message.sender !== username);
         if (lastMessage) {
-          socket.emit('private_message_read', { threadId: thread.id, messageId: lastMessage.id });
+          emitChecked('private_message_read', { threadId: thread.id, messageId: lastMessage.id });
         }
         dispatch({ type: Actions.RESET_UNREAD_THREAD, payload: { threadId: thread.id } });
       }
     };
 
     const setTyping = (roomId, isTyping) => {
-      socket.emit('typing', { roomId, isTyping });
+      emitChecked('typing', { roomId, isTyping });
     };
 
     const setPrivateTyping = (username, isTyping) => {
-      socket.emit('private_typing', { to: username, isTyping });
+      emitChecked('private_typing', { to: username, isTyping });
+    };
+
+    const setGroupTyping = (threadId, isTyping) => {
+      emitChecked('private_typing', { threadId, isTyping });
     };
 
     const ensureThread = (counterpart) => {
@@ -974,60 +1896,168 @@ export const ChatProvider = ({ children }) => {
       }
     };
 
-    const searchMessages = async (query, roomId) => {
-      const trimmed = query?.trim();
-      if (!trimmed) {
-        dispatch({ type: Actions.SET_SEARCH_RESULTS, payload: [] });
+    // `filters` mirrors /api/search: roomId, threadId, sender, since, until, hasAttachment and type.
+    // Passing `cursor` appends the next page to the current results.
+    const searchMessages = async (query, filters = {}, cursor) => {
+      const trimmed = query?.trim() || '';
+      const activeFilters = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== false)
+      );
+
+      if (!trimmed && !Object.keys(activeFilters).length) {
+        dispatch({ type: Actions.SET_SEARCH_RESULTS, payload: {} });
         return [];
       }
 
-      const params = new URLSearchParams();
-      params.append('q', trimmed);
-      if (roomId) {
-        params.append('roomId', roomId);
+      const params = new URLSearchParams({ ...activeFilters, q: trimmed });
+      if (cursor) {
+        params.append('cursor', cursor);
       }
 
-      const response = await fetch(`/api/search?${params.toString()}`);
+      // Signed-in searches also cover private rooms and our DMs.
+      const response = await fetch(apiUrl(`/api/search?${params.toString()}`), {
+        headers: { Authorization: `Bearer ${sessionRef.current?.token}` },
+      });
       if (!response.ok) {
-        throw new Error('Unable to search messages');
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || 'Unable to search messages');
       }
 
-      const results = await response.json();
-      dispatch({ type: Actions.SET_SEARCH_RESULTS, payload: results });
-      return results;
+      const page = await response.json();
+      dispatch({
+        type: Actions.SET_SEARCH_RESULTS,
+        payload: { ...page, filters: { query: trimmed, ...activeFilters }, append: Boolean(cursor) },
+      });
+      return page.results;
+    };
+
+    // Opens a window of history centred on `messageId` unless it is already loaded.
+    const loadMessageContext = async ({ roomId, threadId, messageId, limit = 50 }) => {
+      const conversation = threadId ? stateRef.current.threads[threadId] : stateRef.current.rooms[roomId];
+      if (!conversation?.messages.some((message) => message.id === messageId)) {
+        await requestHistory({ roomId, threadId }, { around: messageId, limit }, 'window');
+      }
     };
 
+    const updatePresence = (event, payload, fallbackError) =>
+      new Promise((resolve, reject) => {
+        checkPayload(event, payload);
+        socket.emit(event, payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, fallbackError));
+            return;
+          }
+          dispatch({ type: Actions.SET_PRESENCE, payload: response.presence });
+          resolve(response.presence);
+        });
+      });
+
+    // `status` is one of online, away, dnd or invisible.
+    const setStatus = (status) => updatePresence('set_status', { status }, 'Unable to change status');
+
+    // Leaving out `expiresInMinutes` keeps the status until it is cleared; empty text and emoji clear it.
+    const setCustomStatus = ({ text = '', emoji = '', expiresInMinutes } = {}) =>
+      updatePresence('set_custom_status', { text, emoji, expiresInMinutes }, 'Unable to set status message');
+
+    const clearCustomStatus = () => setCustomStatus();
+
+    // `level` is all, mentions or muted; `minutes` turns a mute into one that lifts by itself.
+    const setNotificationPreference = ({ roomId, threadId, level, minutes }) =>
+      new Promise((resolve, reject) => {
+        const payload = { roomId, threadId, level, minutes };
+        checkPayload('set_notification_preference', payload);
+        socket.emit('set_notification_preference', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to change notifications'));
+            return;
+          }
+          dispatch({ type: Actions.SET_NOTIFICATION_PREFERENCES, payload: response.preferences });
+          resolve(response.preferences);
+        });
+      });
+
+    // Fills `lastSeen` for people who are not online; null means never seen or online right now.
+    const requestLastSeen = (usernames) =>
+      new Promise((resolve, reject) => {
+        const payload = { usernames };
+        checkPayload('request_last_seen', payload);
+        socket.emit('request_last_seen', payload, (response) => {
+          if (!response?.ok) {
+            reject(toAckError(response, 'Unable to load last seen times'));
+            return;
+          }
+          dispatch({ type: Actions.MERGE_LAST_SEEN, payload: response.lastSeen });
+          resolve(response.lastSeen);
+        });
+      });
+
     const dismissToast = (id) => {
       dispatch({ type: Actions.REMOVE_TOAST, payload: id });
     };
 
     return {
       connect,
+      login,
+      register,
       disconnect,
       sendMessage,
       sendPrivateMessage,
+      editMessage,
+      editPrivateMessage,
+      deleteMessage,
+      deletePrivateMessage,
+      dismissLinkPreviews,
+      setMessagePinned,
+      addBookmark,
+      removeBookmark,
+      fetchBookmarks,
       setActiveConversation,
       createRoom,
       joinRoom,
+      inviteToRoom,
+      respondToInvite,
+      updateRoom,
+      kickMember,
+      banMember,
+      unbanMember,
+      muteMember,
+      unmuteMember,
+      setMemberRole,
+      createGroupThread,
+      addThreadParticipants,
+      removeThreadParticipant,
       fetchOlderMessages,
+      fetchNewerMessages,
+      jumpToLatest,
+      sendReply,
+      uploadFile,
+      fetchReplies,
+      setReplyTyping,
       reactToMessage,
       reactToPrivateMessage,
       markConversationRead,
       setTyping,
       setPrivateTyping,
+      setGroupTyping,
       openDirectMessage,
       ensureThread,
       searchMessages,
+      loadMessageContext,
+      setStatus,
+      setCustomStatus,
+      clearCustomStatus,
+      requestLastSeen,
+      setNotificationPreference,
       dismissToast,
     };
   }, []);
 
   useEffect(() => {
-    if (!usernameRef.current || state.isConnected || state.isConnecting || socket.connected) {
+    if (!sessionRef.current || state.isConnected || state.isConnecting || socket.connected) {
       return;
     }
 
-    actions.connect(usernameRef.current).catch(() => {
+    actions.connect().catch(() => {
       // ignore auto-connect failures; the login screen will let the user retry
     });
   }, [actions, state.isConnected, state.isConnecting]);
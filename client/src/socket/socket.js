@@ -11,6 +11,12 @@ import { io } from 'socket.io-client';
 const runtimeSocket = (typeof window !== 'undefined') ? (window.__VITE_SOCKET_URL || (document.querySelector('meta[name="socket-url"]') && document.querySelector('meta[name="socket-url"]').getAttribute('content'))) : null;
 const SOCKET_URL = runtimeSocket || import.meta.env.VITE_SOCKET_URL || (typeof window !== 'undefined' && window.location.hostname === 'localhost' ? 'http://localhost:5000' : 'https://real-time-communication-with-socket-io-km0o.onrender.com');
 
+// The REST API and uploads are served by the socket server, which is deployed apart from the client, so
+// their paths resolve against it unless VITE_API_URL points somewhere else.
+const API_URL = import.meta.env.VITE_API_URL || SOCKET_URL;
+
+export const apiUrl = (path) => new URL(path, API_URL).href;
+
 // Allow polling fallback for environments where websocket transport may be blocked.
 export const socket = io(SOCKET_URL, {
   autoConnect: false,
@@ -1,7 +1,23 @@
 import dayjs from 'dayjs';
+import { findMentions } from '../../../shared/mentions.mjs';
 
 export const makeThreadId = (a, b) => [a, b].sort((x, y) => x.localeCompare(y)).join('::');
 
+// Sidebar and header label for a DM thread: its name, or the other participants for unnamed groups.
+export const describeThread = (thread, username) => {
+  if (!thread) {
+    return 'conversation';
+  }
+  const others = (thread.participants || []).filter((name) => name !== username);
+  if (thread.isGroup) {
+    return thread.name || others.join(', ') || 'Group';
+  }
+  return `@${others[0] || thread.counterpart || 'Unknown'}`;
+};
+
+// Key for per-reply-thread state such as typing indicators.
+export const makeReplyKey = (roomId, parentId) => `${roomId}/${parentId}`;
+
 export const sortMessages = (messages = []) =>
   [...messages].sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
 
@@ -14,4 +30,127 @@ export const formatTimestamp = (timestamp) => safeDayjs(timestamp).format('HH:mm
 
 export const formatFullDate = (timestamp) => safeDayjs(timestamp).format('MMM D, YYYY • HH:mm');
 
+// Mirrors the server's ordering: owner > moderator > member.
+const ROOM_ROLES = ['member', 'moderator', 'owner'];
+
+export const getRoomRole = (room, username) => room?.roles?.[username] || 'member';
+
+export const canModerateRoom = (room, username) =>
+  ROOM_ROLES.indexOf(getRoomRole(room, username)) >= ROOM_ROLES.indexOf('moderator');
+
+export const outranks = (room, actor, target) =>
+  ROOM_ROLES.indexOf(getRoomRole(room, actor)) > ROOM_ROLES.indexOf(getRoomRole(room, target));
+
+// Text for toasts and notifications; attachment-only messages have an empty body.
+export const describeMessage = (message) => {
+  if (message.body) {
+    return message.body;
+  }
+  const count = message.attachments?.length || 0;
+  return count ? `sent ${count === 1 ? 'an attachment' : `${count} attachments`}` : '';
+};
+
+const COMPOSE_EVENTS = ['send_message', 'private_message'];
+
+// The composer cools down after its own sends are limited, or for any event once the user is muted.
+export const getComposerCooldown = (rateLimit, now = Date.now()) => {
+  if (!rateLimit || rateLimit.until <= now || !(rateLimit.muted || COMPOSE_EVENTS.includes(rateLimit.event))) {
+    return null;
+  }
+  return rateLimit;
+};
+
+export const formatFileSize = (bytes = 0) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 export const isSameDay = (a, b) => safeDayjs(a).isSame(safeDayjs(b), 'day');
+
+// In sidebar order; invisible users never appear in the public user list.
+export const STATUS_LABELS = {
+  online: 'Online',
+  away: 'Away',
+  dnd: 'Do not disturb',
+  invisible: 'Invisible',
+};
+
+// What the current user looks like to others: a picked status, or away while idle.
+export const getOwnStatus = (presence) =>
+  presence?.status === 'online' && presence.idle ? 'away' : presence?.status || 'online';
+
+export const describeCustomStatus = (customStatus) =>
+  customStatus ? [customStatus.emoji, customStatus.text].filter(Boolean).join(' ') : '';
+
+export const formatLastSeen = (timestamp, now = Date.now()) => {
+  if (!timestamp) {
+    return 'Offline';
+  }
+  const minutes = Math.floor((now - dayjs(timestamp).valueOf()) / 60000);
+  if (minutes < 1) {
+    return 'Last seen just now';
+  }
+  if (minutes < 60) {
+    return `Last seen ${minutes}m ago`;
+  }
+  if (minutes < 24 * 60) {
+    return `Last seen ${Math.floor(minutes / 60)}h ago`;
+  }
+  return `Last seen ${safeDayjs(timestamp).format('MMM D')}`;
+};
+
+// A conversation's effective notification level; a timed mute lifts once its `until` has passed.
+export const getNotificationLevel = (preferences, conversationId, now = Date.now()) => {
+  const preference = preferences?.[conversationId];
+  if (!preference || (preference.until && dayjs(preference.until).valueOf() <= now)) {
+    return 'all';
+  }
+  return preference.level;
+};
+
+// True when the server resolved a mention of `username`, @here or @room in the message.
+export const mentionsUser = (message, username) =>
+  Boolean(username) &&
+  (message?.mentions || []).some((mention) => mention.type !== 'user' || mention.username === username);
+
+// Splits a body into plain text and the @mentions the server resolved, so only real mentions are highlighted.
+// Mention parts carry `self` when they reach `username` (their own name, @here or @room).
+export const splitMentions = (body, mentions = [], username) => {
+  const resolved = new Map(
+    mentions.map((mention) => [(mention.type === 'user' ? mention.username : mention.type).toLowerCase(), mention])
+  );
+  const parts = [];
+  let cursor = 0;
+
+  findMentions(body).forEach(({ name, start, end }) => {
+    const mention = resolved.get(name.toLowerCase());
+    if (!mention) {
+      return;
+    }
+    if (start > cursor) {
+      parts.push({ text: body.slice(cursor, start) });
+    }
+    parts.push({
+      text: body.slice(start, end),
+      mention,
+      self: mention.type !== 'user' || mention.username === username,
+    });
+    cursor = end;
+  });
+
+  if (cursor < (body || '').length) {
+    parts.push({ text: body.slice(cursor) });
+  }
+  return parts;
+};
+
+// The `@name` being typed just before the caret, for autocomplete: { query, start } or null.
+export const findMentionQuery = (text, caret) => {
+  const match = /(^|[^\w@.-])@([A-Za-z0-9_.-]{0,24})$/.exec(text.slice(0, caret));
+  return match ? { query: match[2], start: match.index + match[1].length } : null;
+};
@@ -0,0 +1,149 @@
+// A small Markdown subset for message bodies. Text is parsed into plain objects that FormattedText renders as
+// React elements, so nothing a user types is ever treated as HTML.
+//
+// Blocks: ``` fenced code ```, "> " quotes, "- " / "* " / "1. " lists and paragraphs.
+// Inline: `code`, **bold**, *italic* or _italic_, ~~strike~~ and bare links (see shared/links.mjs).
+
+import { matchLinkAt } from '../../../shared/links.mjs';
+
+const FENCE_PATTERN = /^\s*```\s*([\w+#.-]*)\s*$/;
+const QUOTE_PATTERN = /^\s*> ?/;
+const BULLET_PATTERN = /^\s*[-*+]\s+/;
+const ORDERED_PATTERN = /^\s*(\d{1,9})[.)]\s+/;
+
+// Tried in order wherever a marker character appears. `afterWord: false` rules only start after a non-word
+// character, so snake_case names and mid-word underscores stay as they are.
+const INLINE_RULES = [
+  { type: 'code', pattern: /^`([^`\n]+)`/ },
+  { type: 'strong', pattern: /^\*\*(?=\S)([\s\S]*?\S)\*\*/ },
+  { type: 'strike', pattern: /^~~(?=\S)([\s\S]*?\S)~~/ },
+  { type: 'em', pattern: /^\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/ },
+  { type: 'em', pattern: /^_(?=\S)([\s\S]*?\S)_(?!\w)/, afterWord: false },
+  { type: 'link' },
+];
+
+const MARKER_CHARACTERS = new Set(['`', '*', '~', '_', 'h', 'H', 'w', 'W']);
+
+const matchInline = (text, index) => {
+  const rest = text.slice(index);
+  for (const rule of INLINE_RULES) {
+    if (rule.afterWord === false && index > 0 && /\w/.test(text[index - 1])) {
+      continue;
+    }
+
+    if (rule.type === 'link') {
+      const link = matchLinkAt(text, index);
+      if (link) {
+        return { node: { type: 'link', ...link }, length: link.text.length };
+      }
+      continue;
+    }
+
+    const match = rule.pattern.exec(rest);
+    if (!match) {
+      continue;
+    }
+
+    if (rule.type === 'code') {
+      return { node: { type: 'code', text: match[1] }, length: match[0].length };
+    }
+
+    return { node: { type: rule.type, children: parseInline(match[1]) }, length: match[0].length };
+  }
+  return null;
+};
+
+// Inline nodes: { type: 'text' | 'code', text }, { type: 'link', href, text } or
+// { type: 'strong' | 'em' | 'strike', children }.
+export const parseInline = (text) => {
+  const nodes = [];
+  let plain = '';
+  let index = 0;
+
+  while (index < text.length) {
+    const found = MARKER_CHARACTERS.has(text[index]) ? matchInline(text, index) : null;
+    if (found) {
+      if (plain) {
+        nodes.push({ type: 'text', text: plain });
+        plain = '';
+      }
+      nodes.push(found.node);
+      index += found.length;
+    } else {
+      plain += text[index];
+      index += 1;
+    }
+  }
+
+  if (plain) {
+    nodes.push({ type: 'text', text: plain });
+  }
+  return nodes;
+};
+
+const startsBlock = (line) =>
+  FENCE_PATTERN.test(line) || QUOTE_PATTERN.test(line) || BULLET_PATTERN.test(line) || ORDERED_PATTERN.test(line);
+
+const parseBlocks = (lines) => {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    const fence = FENCE_PATTERN.exec(line);
+    if (fence) {
+      const code = [];
+      index += 1;
+      while (index < lines.length && !/^\s*```\s*$/.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      // An unclosed fence runs to the end of the message.
+      index += 1;
+      blocks.push({ type: 'code', language: fence[1] || null, text: code.join('\n') });
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+        quoted.push(lines[index].replace(QUOTE_PATTERN, ''));
+        index += 1;
+      }
+      blocks.push({ type: 'quote', children: parseBlocks(quoted) });
+      continue;
+    }
+
+    const ordered = ORDERED_PATTERN.exec(line);
+    if (ordered || BULLET_PATTERN.test(line)) {
+      const pattern = ordered ? ORDERED_PATTERN : BULLET_PATTERN;
+      const items = [];
+      while (index < lines.length && pattern.test(lines[index])) {
+        items.push(parseInline(lines[index].replace(pattern, '')));
+        index += 1;
+      }
+      blocks.push({ type: 'list', ordered: Boolean(ordered), start: ordered ? Number(ordered[1]) : 1, items });
+      continue;
+    }
+
+    const paragraph = [line];
+    index += 1;
+    while (index < lines.length && lines[index].trim() && !startsBlock(lines[index])) {
+      paragraph.push(lines[index]);
+      index += 1;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+  }
+
+  return blocks;
+};
+
+// Block nodes: { type: 'paragraph', children }, { type: 'code', language, text }, { type: 'quote', children }
+// or { type: 'list', ordered, start, items }, where `items` are arrays of inline nodes.
+export const parseMarkdown = (text) => parseBlocks(String(text || '').replace(/\r\n?/g, '\n').split('\n'));
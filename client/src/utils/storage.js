@@ -1,25 +1,36 @@
-const USERNAME_KEY = 'rtc-username';
+const SESSION_KEY = 'rtc-session';
 const ACTIVE_CONVERSATION_KEY = 'rtc-active-conversation';
 
 const isBrowser = typeof window !== 'undefined';
 
-export const loadUsername = () => {
+export const loadSession = () => {
   if (!isBrowser) {
     return null;
   }
 
-  return window.localStorage.getItem(USERNAME_KEY);
+  const raw = window.localStorage.getItem(SESSION_KEY);
+
+  if (!raw) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    window.localStorage.removeItem(SESSION_KEY);
+    return null;
+  }
 };
 
-export const saveUsername = (username) => {
+export const saveSession = (session) => {
   if (!isBrowser) {
     return;
   }
 
-  if (username) {
-    window.localStorage.setItem(USERNAME_KEY, username);
+  if (session) {
+    window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
   } else {
-    window.localStorage.removeItem(USERNAME_KEY);
+    window.localStorage.removeItem(SESSION_KEY);
   }
 };
 
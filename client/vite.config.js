@@ -6,12 +6,21 @@ export default defineConfig({
   server: {
     port: 5173,
     host: '0.0.0.0',
+    // The socket payload schema lives in ../shared and is imported by both the client and the server.
+    fs: {
+      allow: ['..'],
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:5000',
         changeOrigin: true,
         secure: false,
       },
+      '/uploads': {
+        target: 'http://localhost:5000',
+        changeOrigin: true,
+        secure: false,
+      },
     },
   },
 });
@@ -0,0 +1,85 @@
+// auth.js - Password hashing and signed session tokens for chat accounts
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { USERNAME_PATTERN } = require('../shared/eventSchemas.mjs');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const DEFAULT_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+const toBase64Url = (value) => Buffer.from(value).toString('base64url');
+
+const validateCredentials = ({ username, password }) => {
+  if (!username || !USERNAME_PATTERN.test(username)) {
+    return 'Usernames must be 2-24 letters, numbers, dots, dashes or underscores';
+  }
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+const createAuth = ({ secret, tokenTtlMs = DEFAULT_TOKEN_TTL_MS }) => {
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    return `${salt}:${derived.toString('hex')}`;
+  };
+
+  const verifyPassword = async (password, stored) => {
+    const [salt, hash] = (stored || '').split(':');
+
+    if (!salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const derived = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, derived);
+  };
+
+  const issueToken = (account) => {
+    const payload = toBase64Url(
+      JSON.stringify({ sub: account.id, username: account.username, exp: Date.now() + tokenTtlMs })
+    );
+    return `${payload}.${sign(payload)}`;
+  };
+
+  // Returns { id, username } for a valid, unexpired token and null otherwise.
+  const verifyToken = (token) => {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const [payload, signature] = token.split('.');
+
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const received = Buffer.from(signature);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return claims.exp > Date.now() ? { id: claims.sub, username: claims.username } : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return { hashPassword, verifyPassword, issueToken, verifyToken };
+};
+
+module.exports = { createAuth, validateCredentials };
@@ -0,0 +1,320 @@
+// linkPreviews.js - Open Graph previews for links in messages, fetched through a pluggable fetcher and cached
+//
+// A fetcher exposes fetch(url) -> Promise<{ url, body } | null>, where `body` is the page's HTML and `url`
+// where it was finally served from. LINK_PREVIEW_FETCHER picks one:
+//   http - fetches public http(s) pages, refusing private and loopback addresses (the default)
+//   stub - never touches the network; serves canned pages, or a generated one per URL, for local testing
+//   off  - no previews
+
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+const MAX_LINK_PREVIEWS = 3;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const USER_AGENT = 'socket-chat-link-preview/1.0';
+
+// Addresses a preview fetch must never reach: loopback, private networks, link-local and the like.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return !blockedAddresses.check(mapped[1], 'ipv4');
+  }
+  return !blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Stands in for dns.lookup when connecting, so the address checked is the one the socket connects to and a
+// name cannot resolve to a public address for a check and a private one for the request. Every address the
+// name resolves to must be public. Sockets skip the lookup for IP literals, which fetchPage checks itself.
+const createPublicLookup = (lookup) => (hostname, options, callback) => {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    if (!addresses.length || !addresses.every(({ address }) => isPublicAddress(address))) {
+      const refused = new Error(`${hostname} resolves to a private address`);
+      refused.code = 'ENOTPUBLIC';
+      callback(refused);
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+const isPublicLiteral = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  return !net.isIP(host) || isPublicAddress(host);
+};
+
+const readBody = async (response, maxBytes) => {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  while (size < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    size += value.length;
+  }
+
+  reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8');
+};
+
+const createHttpFetcher = ({
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxBytes = DEFAULT_MAX_BYTES,
+  lookup = dns.lookup,
+} = {}) => {
+  const dispatcher = new Agent({ connect: { lookup: createPublicLookup(lookup) } });
+
+  const fetchPage = async (url) => {
+    let target = new URL(url);
+
+    // Redirects are followed by hand so every hop is checked again. Hosts that resolve to private addresses
+    // make the request itself fail, which the preview cache treats like any other unreachable page.
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+      if (!['http:', 'https:'].includes(target.protocol) || !isPublicLiteral(target.hostname)) {
+        return null;
+      }
+
+      const response = await fetch(target, {
+        dispatcher,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+        headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' },
+      });
+      const location = response.headers.get('location');
+
+      if (response.status >= 300 && response.status < 400 && location) {
+        response.body?.cancel().catch(() => {});
+        target = new URL(location, target);
+        continue;
+      }
+
+      if (!response.ok || !/^(text\/html|application\/xhtml\+xml)/i.test(response.headers.get('content-type') || '')) {
+        response.body?.cancel().catch(() => {});
+        return null;
+      }
+
+      return { url: target.href, body: await readBody(response, maxBytes) };
+    }
+
+    return null;
+  };
+
+  return { driver: 'http', fetch: fetchPage };
+};
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// `pages` maps URLs to canned HTML. Other URLs get a generated page titled after the host, except hosts under
+// .invalid, which fail like an unreachable site would.
+const createStubFetcher = ({ pages = {} } = {}) => {
+  const fetchPage = async (url) => {
+    if (pages[url] !== undefined) {
+      return { url, body: pages[url] };
+    }
+
+    const { hostname, pathname } = new URL(url);
+
+    if (hostname.endsWith('.invalid')) {
+      return null;
+    }
+
+    return {
+      url,
+      body: [
+        `<title>${escapeHtml(hostname)}</title>`,
+        `<meta property="og:title" content="Preview of ${escapeHtml(hostname + pathname)}">`,
+        `<meta property="og:description" content="A stub preview for ${escapeHtml(url)}">`,
+        `<meta property="og:site_name" content="${escapeHtml(hostname)}">`,
+      ].join('\n'),
+    };
+  };
+
+  return { driver: 'stub', fetch: fetchPage };
+};
+
+const createLinkFetcher = ({ driver = process.env.LINK_PREVIEW_FETCHER || 'http' } = {}) => {
+  if (driver === 'http') {
+    return createHttpFetcher({ timeoutMs: Number(process.env.LINK_PREVIEW_TIMEOUT_MS) || undefined });
+  }
+
+  if (driver === 'stub') {
+    return createStubFetcher();
+  }
+
+  if (driver === 'off') {
+    return { driver: 'off', fetch: async () => null };
+  }
+
+  throw new Error(`Unknown LINK_PREVIEW_FETCHER driver "${driver}"`);
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+
+const cleanText = (text, maxLength) => {
+  const clean = decodeEntities(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > maxLength ? `${clean.slice(0, maxLength - 1).trimEnd()}…` : clean;
+};
+
+const readAttributes = (tag) => {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attributes;
+};
+
+// Builds { url, title, description, siteName, image } from a page's Open Graph, Twitter and plain meta tags.
+// Returns null for pages without a title. `url` is the link as written; `pageUrl` resolves relative images.
+const parsePreview = (html, url, pageUrl = url) => {
+  const head = html.split(/<\/head>/i)[0];
+  const meta = {};
+
+  for (const [tag] of head.matchAll(/<meta\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi)) {
+    const attributes = readAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  }
+
+  const titleTag = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(head);
+  const title = cleanText(meta['og:title'] || meta['twitter:title'] || titleTag?.[1], MAX_TITLE_LENGTH);
+
+  if (!title) {
+    return null;
+  }
+
+  let image = null;
+  const imageUrl = meta['og:image'] || meta['og:image:url'] || meta['twitter:image'];
+
+  if (imageUrl) {
+    try {
+      const resolved = new URL(decodeEntities(imageUrl.trim()), pageUrl);
+      image = ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+      image = null;
+    }
+  }
+
+  return {
+    url,
+    title,
+    description:
+      cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_DESCRIPTION_LENGTH) ||
+      null,
+    siteName: cleanText(meta['og:site_name'], MAX_TITLE_LENGTH) || new URL(pageUrl).hostname.replace(/^www\./, ''),
+    image,
+  };
+};
+
+// Caches previews (and failures, for less time) by URL and shares one fetch between concurrent requests.
+const createLinkPreviews = ({
+  fetcher,
+  ttlMs = 60 * 60 * 1000,
+  failureTtlMs = 10 * 60 * 1000,
+  maxEntries = 500,
+} = {}) => {
+  const cache = new Map();
+  const inFlight = new Map();
+
+  const remember = (url, preview) => {
+    cache.delete(url);
+    cache.set(url, { preview, expiresAt: Date.now() + (preview ? ttlMs : failureTtlMs) });
+
+    // Maps keep insertion order, so the first key is the least recently used.
+    if (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  };
+
+  const previewLink = (url) => {
+    const cached = cache.get(url);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      remember(url, cached.preview);
+      return Promise.resolve(cached.preview);
+    }
+
+    if (!inFlight.has(url)) {
+      const request = fetcher
+        .fetch(url)
+        .then((page) => (page ? parsePreview(page.body, url, page.url) : null))
+        .catch(() => null)
+        .then((preview) => {
+          inFlight.delete(url);
+          remember(url, preview);
+          return preview;
+        });
+      inFlight.set(url, request);
+    }
+
+    return inFlight.get(url);
+  };
+
+  // Previews for the first MAX_LINK_PREVIEWS urls, skipping links that have none.
+  const previewLinks = async (urls) => {
+    const previews = await Promise.all(urls.slice(0, MAX_LINK_PREVIEWS).map(previewLink));
+    return previews.filter(Boolean);
+  };
+
+  return { driver: fetcher.driver, previewLinks };
+};
+
+module.exports = {
+  MAX_LINK_PREVIEWS,
+  createLinkFetcher,
+  createHttpFetcher,
+  createStubFetcher,
+  createLinkPreviews,
+  parsePreview,
+};
@@ -0,0 +1,159 @@
+// liveState.js - Presence, room membership, typing and pending sign-outs, kept in the shared state (see state/)
+//
+// Keys:
+//   online                  - usernames with a live session
+//   user:<name>             - { id, username, status, customStatus, activeRoom, lastSeen }
+//   user:<name>:sockets     - connected socket ids, on any instance
+//   user:<name>:idle        - the subset of those sockets whose tab reports idle
+//   user:<name>:rooms       - rooms the user is in
+//   user:<name>:resume      - resume tokens, one per socket
+//   room:<id>:members       - usernames in the room
+//   room:<id>:typing        - JSON [parentId, username] pairs; parentId is null for the room timeline
+//   signout:<name>          - the token of the grace period started when the user's last socket dropped
+//
+// Users are read as a snapshot with Sets for their sockets, idle sockets and rooms; handlers change them through
+// these functions, never by mutating the snapshot. Changes to the user record are last-write-wins.
+
+const USER_FIELDS = ['id', 'username', 'status', 'customStatus', 'activeRoom', 'lastSeen'];
+
+const userKey = (username) => `user:${username}`;
+const membersKey = (roomId) => `room:${roomId}:members`;
+const typingKey = (roomId) => `room:${roomId}:typing`;
+const signOutKey = (username) => `signout:${username}`;
+
+const pick = (record) =>
+  Object.fromEntries(USER_FIELDS.filter((field) => field in record).map((field) => [field, record[field]]));
+
+const createLiveState = (state) => {
+  const getUser = async (username) => {
+    const record = username ? await state.get(userKey(username)) : null;
+
+    if (!record) {
+      return null;
+    }
+
+    const [sockets, idleSockets, rooms] = await Promise.all([
+      state.members(`${userKey(username)}:sockets`),
+      state.members(`${userKey(username)}:idle`),
+      state.members(`${userKey(username)}:rooms`),
+    ]);
+
+    return { ...record, sockets: new Set(sockets), idleSockets: new Set(idleSockets), rooms: new Set(rooms) };
+  };
+
+  const listUsers = async () => {
+    const users = await Promise.all((await state.members('online')).map(getUser));
+    return users.filter(Boolean);
+  };
+
+  // Resolves false when another socket brought the user online first.
+  const createUser = async (record) => {
+    await state.set(userKey(record.username), pick(record));
+    return state.add('online', record.username);
+  };
+
+  // Applies `changes` to the snapshot and to the stored record.
+  const updateUser = async (user, changes) => {
+    Object.assign(user, changes);
+    const current = await state.get(userKey(user.username));
+
+    if (current) {
+      await state.set(userKey(user.username), { ...current, ...pick(changes) });
+    }
+  };
+
+  const removeUser = async (username) => {
+    const rooms = await state.members(`${userKey(username)}:rooms`);
+    await Promise.all(rooms.map((roomId) => state.remove(membersKey(roomId), username)));
+    await Promise.all(
+      ['', ':sockets', ':idle', ':rooms', ':resume'].map((suffix) => state.delete(`${userKey(username)}${suffix}`))
+    );
+    await state.remove('online', username);
+  };
+
+  const addSocket = (username, socketId) => state.add(`${userKey(username)}:sockets`, socketId);
+
+  const removeSocket = async (username, socketId) => {
+    await state.remove(`${userKey(username)}:idle`, socketId);
+    await state.remove(`${userKey(username)}:sockets`, socketId);
+  };
+
+  const setIdle = (username, socketId, idle) =>
+    idle ? state.add(`${userKey(username)}:idle`, socketId) : state.remove(`${userKey(username)}:idle`, socketId);
+
+  const addResumeToken = (username, token) => state.add(`${userKey(username)}:resume`, token);
+
+  // Resolves whether the token was valid; each token resumes one connection.
+  const takeResumeToken = (username, token) =>
+    token ? state.remove(`${userKey(username)}:resume`, token) : Promise.resolve(false);
+
+  const joinRoom = async (username, roomId) => {
+    await state.add(membersKey(roomId), username);
+    return state.add(`${userKey(username)}:rooms`, roomId);
+  };
+
+  const leaveRoom = async (username, roomId) => {
+    await state.remove(membersKey(roomId), username);
+    return state.remove(`${userKey(username)}:rooms`, roomId);
+  };
+
+  const roomMembers = (roomId) => state.members(membersKey(roomId));
+
+  const isMember = (roomId, username) => state.has(membersKey(roomId), username);
+
+  const memberCount = (roomId) => state.count(membersKey(roomId));
+
+  // Resolves whether anything changed.
+  const setTyping = (roomId, parentId, username, isTyping) => {
+    const entry = JSON.stringify([parentId || null, username]);
+    return isTyping ? state.add(typingKey(roomId), entry) : state.remove(typingKey(roomId), entry);
+  };
+
+  const typingUsers = async (roomId, parentId) =>
+    (await state.members(typingKey(roomId)))
+      .map((entry) => JSON.parse(entry))
+      .filter(([entryParentId]) => entryParentId === (parentId || null))
+      .map(([, username]) => username);
+
+  // Stops the user typing anywhere in the room and resolves the parentIds (null for the timeline) they left.
+  const clearTyping = async (roomId, username) => {
+    const entries = (await state.members(typingKey(roomId))).filter((entry) => JSON.parse(entry)[1] === username);
+    await Promise.all(entries.map((entry) => state.remove(typingKey(roomId), entry)));
+    return entries.map((entry) => JSON.parse(entry)[0]);
+  };
+
+  // Whichever instance started the latest grace period signs the user out, unless they come back first.
+  const markSignOut = (username, token, ttlMs) => state.set(signOutKey(username), token, { ttlMs });
+
+  const cancelSignOut = (username) => state.delete(signOutKey(username));
+
+  const claimSignOut = (username, token) => state.deleteIf(signOutKey(username), token);
+
+  return {
+    getUser,
+    listUsers,
+    isOnline: (username) => state.has('online', username),
+    createUser,
+    updateUser,
+    removeUser,
+    addSocket,
+    removeSocket,
+    socketCount: (username) => state.count(`${userKey(username)}:sockets`),
+    setIdle,
+    addResumeToken,
+    takeResumeToken,
+    joinRoom,
+    leaveRoom,
+    roomMembers,
+    isMember,
+    memberCount,
+    setTyping,
+    typingUsers,
+    clearTyping,
+    markSignOut,
+    cancelSignOut,
+    claimSignOut,
+  };
+};
+
+module.exports = { createLiveState };
@@ -0,0 +1,241 @@
+// rateLimit.js - Token-bucket limits for socket events and REST routes, with temporary mutes for repeat offenders
+
+// `capacity` is the burst size and `perSecond` the refill rate. Events marked `mutes` are the ones a
+// muted user can no longer send; everything else stays usable so reading and receipts keep working.
+const DEFAULT_BUDGETS = {
+  default: { capacity: 30, perSecond: 10 },
+  user_join: { capacity: 5, perSecond: 0.5 },
+  send_message: { capacity: 8, perSecond: 1, mutes: true },
+  private_message: { capacity: 8, perSecond: 1, mutes: true },
+  edit_message: { capacity: 10, perSecond: 1, mutes: true },
+  edit_private_message: { capacity: 10, perSecond: 1, mutes: true },
+  delete_message: { capacity: 10, perSecond: 1, mutes: true },
+  delete_private_message: { capacity: 10, perSecond: 1, mutes: true },
+  typing: { capacity: 10, perSecond: 2, mutes: true },
+  private_typing: { capacity: 10, perSecond: 2, mutes: true },
+  react_to_message: { capacity: 10, perSecond: 2, mutes: true },
+  react_to_private_message: { capacity: 10, perSecond: 2, mutes: true },
+  join_room: { capacity: 5, perSecond: 0.5, mutes: true },
+  leave_room: { capacity: 10, perSecond: 1 },
+  respond_to_invite: { capacity: 10, perSecond: 1, mutes: true },
+  update_room: { capacity: 5, perSecond: 0.2, mutes: true },
+  kick_member: { capacity: 10, perSecond: 0.5, mutes: true },
+  ban_member: { capacity: 10, perSecond: 0.5, mutes: true },
+  unban_member: { capacity: 10, perSecond: 0.5, mutes: true },
+  mute_member: { capacity: 10, perSecond: 0.5, mutes: true },
+  unmute_member: { capacity: 10, perSecond: 0.5, mutes: true },
+  set_member_role: { capacity: 10, perSecond: 0.5, mutes: true },
+  invite_to_room: { capacity: 5, perSecond: 0.2, mutes: true },
+  create_group_thread: { capacity: 5, perSecond: 0.2, mutes: true },
+  add_thread_participants: { capacity: 5, perSecond: 0.2, mutes: true },
+  remove_thread_participant: { capacity: 10, perSecond: 0.5, mutes: true },
+  request_room_history: { capacity: 20, perSecond: 2 },
+  request_thread_history: { capacity: 20, perSecond: 2 },
+  request_reply_history: { capacity: 20, perSecond: 2 },
+  request_last_seen: { capacity: 20, perSecond: 2 },
+  message_delivered: { capacity: 100, perSecond: 50 },
+  message_read: { capacity: 100, perSecond: 50 },
+  private_message_read: { capacity: 100, perSecond: 50 },
+  set_active_room: { capacity: 30, perSecond: 5 },
+  set_idle: { capacity: 10, perSecond: 1 },
+  set_status: { capacity: 5, perSecond: 0.5 },
+  set_custom_status: { capacity: 5, perSecond: 0.5 },
+  set_notification_preference: { capacity: 10, perSecond: 1 },
+  dismiss_link_previews: { capacity: 10, perSecond: 1 },
+  pin_message: { capacity: 10, perSecond: 1 },
+  add_bookmark: { capacity: 10, perSecond: 1 },
+  remove_bookmark: { capacity: 10, perSecond: 1 },
+  unpin_message: { capacity: 10, perSecond: 1 },
+  'POST /api/auth/login': { capacity: 5, perSecond: 0.1 },
+  'POST /api/auth/register': { capacity: 5, perSecond: 0.1 },
+  'POST /api/uploads': { capacity: 5, perSecond: 0.2 },
+  'GET /api/search': { capacity: 10, perSecond: 2 },
+  rest: { capacity: 60, perSecond: 20 },
+};
+
+// A user's buckets are shared by all their sockets, so they hold a few sockets' worth of tokens.
+const USER_BUDGET_SCALE = 3;
+const DEFAULT_STRIKE_LIMIT = 5;
+const DEFAULT_STRIKE_WINDOW_MS = 30 * 1000;
+const DEFAULT_MUTE_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+// RATE_LIMITS holds JSON overrides, e.g. {"send_message":{"capacity":5,"perSecond":0.5}}. Entries that would
+// leave a budget without a positive capacity and refill rate are skipped with a warning.
+const readBudgetOverrides = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  let parsed;
+
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    console.warn('Ignoring RATE_LIMITS: it is not valid JSON');
+    return {};
+  }
+
+  if (!isObject(parsed)) {
+    console.warn('Ignoring RATE_LIMITS: it must be a JSON object');
+    return {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(parsed).filter(([name, budget]) => {
+      const merged = isObject(budget) ? { ...DEFAULT_BUDGETS[name], ...budget } : {};
+
+      if (isPositive(merged.capacity) && isPositive(merged.perSecond)) {
+        return true;
+      }
+
+      console.warn(`Ignoring RATE_LIMITS entry "${name}": capacity and perSecond must be positive numbers`);
+      return false;
+    })
+  );
+};
+
+const createRateLimiter = ({
+  budgets: overrides = {},
+  strikeLimit = DEFAULT_STRIKE_LIMIT,
+  strikeWindowMs = DEFAULT_STRIKE_WINDOW_MS,
+  muteMs = DEFAULT_MUTE_MS,
+  now = Date.now,
+} = {}) => {
+  const budgets = { ...DEFAULT_BUDGETS };
+
+  Object.entries(overrides).forEach(([name, budget]) => {
+    budgets[name] = { ...budgets[name], ...budget };
+  });
+
+  const buckets = new Map();
+  const strikes = new Map();
+  const mutes = new Map();
+
+  const hasBudget = (name) => Object.prototype.hasOwnProperty.call(budgets, name);
+
+  const budgetFor = (name) => budgets[name] || budgets.default;
+
+  // Refills lazily from the time elapsed since the bucket was last touched.
+  const take = (key, budget) => {
+    const current = now();
+    const bucket = buckets.get(key) || { tokens: budget.capacity, updatedAt: current, budget };
+    const elapsed = (current - bucket.updatedAt) / 1000;
+
+    bucket.tokens = Math.min(budget.capacity, bucket.tokens + elapsed * budget.perSecond);
+    bucket.updatedAt = current;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+
+    return Math.ceil(((1 - bucket.tokens) / budget.perSecond) * 1000);
+  };
+
+  const addStrike = (offender) => {
+    const current = now();
+    const recent = (strikes.get(offender) || []).filter((time) => current - time < strikeWindowMs);
+    recent.push(current);
+    strikes.set(offender, recent);
+
+    if (recent.length >= strikeLimit) {
+      strikes.delete(offender);
+      mutes.set(offender, current + muteMs);
+      return true;
+    }
+
+    return false;
+  };
+
+  const mutedFor = (offender) => {
+    const until = mutes.get(offender);
+
+    if (!until) {
+      return 0;
+    }
+
+    if (until <= now()) {
+      mutes.delete(offender);
+      return 0;
+    }
+
+    return until - now();
+  };
+
+  // Charges one token from the connection's bucket (socket or IP) and, when signed in, the user's bucket,
+  // and reports the longer wait. The user, or else the connection, collects strikes and mutes.
+  // Returns { ok: true } or { ok: false, retryAfterMs, muted }.
+  const consume = ({ name, connection, user }) => {
+    const budget = budgetFor(name);
+    const offender = user ? `user:${user}` : connection;
+    const muteRemaining = budget.mutes ? mutedFor(offender) : 0;
+
+    if (muteRemaining) {
+      return { ok: false, retryAfterMs: muteRemaining, muted: true };
+    }
+
+    const waits = [take(`${connection}|${name}`, budget)];
+
+    if (user) {
+      const userBudget = {
+        capacity: budget.capacity * USER_BUDGET_SCALE,
+        perSecond: budget.perSecond * USER_BUDGET_SCALE,
+      };
+      waits.push(take(`user:${user}|${name}`, userBudget));
+    }
+
+    const retryAfterMs = Math.max(...waits);
+
+    if (!retryAfterMs) {
+      return { ok: true };
+    }
+
+    if (addStrike(offender) && budget.mutes) {
+      return { ok: false, retryAfterMs: muteMs, muted: true };
+    }
+
+    return { ok: false, retryAfterMs, muted: false };
+  };
+
+  // Drops buckets that have refilled completely, strikes older than the window and finished mutes so idle
+  // sockets and users do not accumulate.
+  const sweep = () => {
+    const current = now();
+
+    buckets.forEach((bucket, key) => {
+      const elapsed = (current - bucket.updatedAt) / 1000;
+
+      if (bucket.tokens + elapsed * bucket.budget.perSecond >= bucket.budget.capacity) {
+        buckets.delete(key);
+      }
+    });
+
+    strikes.forEach((times, offender) => {
+      const recent = times.filter((time) => current - time < strikeWindowMs);
+
+      if (recent.length) {
+        strikes.set(offender, recent);
+      } else {
+        strikes.delete(offender);
+      }
+    });
+
+    mutes.forEach((until, offender) => {
+      if (until <= current) {
+        mutes.delete(offender);
+      }
+    });
+  };
+
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return { consume, hasBudget, sweep };
+};
+
+module.exports = { createRateLimiter, readBudgetOverrides, DEFAULT_BUDGETS };
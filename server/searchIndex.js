@@ -0,0 +1,224 @@
+// searchIndex.js - In-memory inverted index over message bodies for /api/search
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const SNIPPET_LENGTH = 160;
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercases and strips accents so "Café" and "cafe" index to the same token.
+const normalize = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+
+const tokenize = (text) => normalize(text).match(TOKEN_PATTERN) || [];
+
+// Cursors are opaque to clients; they encode the sort key of the last result on the page.
+const encodeCursor = (entry) =>
+  Buffer.from(JSON.stringify([entry.score, entry.timestamp, entry.id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [score, timestamp, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const isValid = Number.isFinite(score) && typeof timestamp === 'string' && typeof id === 'string';
+    return isValid ? { score, timestamp, id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Higher scores first, then newest first; the id keeps the order total so cursors never skip or repeat.
+const compareResults = (a, b) =>
+  b.score - a.score || b.timestamp.localeCompare(a.timestamp) || a.id.localeCompare(b.id);
+
+// Finds every word in `body` that matches a query term, with positions in the original (un-normalized) text.
+const findHighlights = (body, terms) => {
+  const highlights = [];
+
+  for (const match of body.matchAll(TOKEN_PATTERN)) {
+    const token = normalize(match[0]);
+
+    if (terms.some((term) => token.startsWith(term))) {
+      highlights.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  return highlights;
+};
+
+// A window of the body around the first match, with highlight ranges relative to the snippet.
+const buildSnippet = (body, terms) => {
+  const highlights = terms.length ? findHighlights(body, terms) : [];
+
+  if (body.length <= SNIPPET_LENGTH) {
+    return { snippet: body, highlights };
+  }
+
+  const first = highlights.length ? highlights[0][0] : 0;
+  const start = Math.max(0, Math.min(first - Math.floor(SNIPPET_LENGTH / 3), body.length - SNIPPET_LENGTH));
+  const end = start + SNIPPET_LENGTH;
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < body.length ? '…' : '';
+
+  return {
+    snippet: `${prefix}${body.slice(start, end)}${suffix}`,
+    highlights: highlights
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]),
+  };
+};
+
+// Index of the first entry in the sorted `list` that is not less than `value`.
+const lowerBound = (list, value) => {
+  let low = 0;
+  let high = list.length;
+
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+
+    if (list[middle] < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+};
+
+const createSearchIndex = () => {
+  const documents = new Map();
+  const postings = new Map();
+  // Every indexed token in sorted order, so the tokens sharing a prefix sit next to each other.
+  const sortedTokens = [];
+
+  const remove = (id) => {
+    const existing = documents.get(id);
+
+    if (!existing) {
+      return;
+    }
+
+    existing.terms.forEach((count, token) => {
+      const ids = postings.get(token);
+      ids.delete(id);
+
+      if (!ids.size) {
+        postings.delete(token);
+        sortedTokens.splice(lowerBound(sortedTokens, token), 1);
+      }
+    });
+
+    documents.delete(id);
+  };
+
+  // Adds or re-indexes a message; deleted and system messages are simply dropped from the index.
+  const add = (message) => {
+    remove(message.id);
+
+    if (message.isSystem || message.deletedAt) {
+      return;
+    }
+
+    const terms = new Map();
+    tokenize(message.body).forEach((token) => terms.set(token, (terms.get(token) || 0) + 1));
+
+    documents.set(message.id, {
+      id: message.id,
+      conversationId: message.roomId,
+      parentId: message.parentId || null,
+      sender: message.sender,
+      timestamp: message.timestamp,
+      body: message.body || '',
+      hasAttachment: Boolean(message.attachments?.length),
+      terms,
+    });
+
+    terms.forEach((count, token) => {
+      if (!postings.has(token)) {
+        postings.set(token, new Set());
+        sortedTokens.splice(lowerBound(sortedTokens, token), 0, token);
+      }
+
+      postings.get(token).add(message.id);
+    });
+  };
+
+  // Every query term must match the start of some word in the message (so "mee" finds "meeting").
+  const matchIds = (terms) => {
+    let matched = null;
+
+    for (const term of terms) {
+      const ids = new Set();
+
+      for (let index = lowerBound(sortedTokens, term); sortedTokens[index]?.startsWith(term); index += 1) {
+        postings.get(sortedTokens[index]).forEach((id) => ids.add(id));
+      }
+
+      matched = matched ? new Set([...matched].filter((id) => ids.has(id))) : ids;
+
+      if (!matched.size) {
+        break;
+      }
+    }
+
+    return matched;
+  };
+
+  // Whole-word matches count more than prefix matches, and repeated words count more than one mention.
+  const scoreDocument = (document, terms) =>
+    terms.reduce((total, term) => {
+      let score = 0;
+
+      document.terms.forEach((count, token) => {
+        if (token === term) {
+          score += 2 * count;
+        } else if (token.startsWith(term)) {
+          score += count;
+        }
+      });
+
+      return total + score;
+    }, 0);
+
+  // `filter(document)` decides access and the caller's filters; with no query every allowed message matches.
+  const search = ({ query, filter = () => true, cursor, limit = DEFAULT_PAGE_SIZE }) => {
+    const terms = Array.from(new Set(tokenize(query)));
+    const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const candidates = terms.length ? matchIds(terms) : new Set(documents.keys());
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    const ranked = [];
+
+    candidates.forEach((id) => {
+      const document = documents.get(id);
+
+      if (document && filter(document)) {
+        ranked.push({ document, id, timestamp: document.timestamp, score: scoreDocument(document, terms) });
+      }
+    });
+
+    ranked.sort(compareResults);
+
+    const startIndex = after ? ranked.findIndex((entry) => compareResults(entry, after) > 0) : 0;
+    const page = startIndex === -1 ? [] : ranked.slice(startIndex, startIndex + pageSize);
+    const hasMore = startIndex !== -1 && startIndex + pageSize < ranked.length;
+
+    return {
+      total: ranked.length,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      results: page.map((entry) => ({
+        id: entry.id,
+        conversationId: entry.document.conversationId,
+        score: entry.score,
+        ...buildSnippet(entry.document.body, terms),
+      })),
+    };
+  };
+
+  return { add, remove, search, size: () => documents.size };
+};
+
+module.exports = { createSearchIndex, decodeCursor, tokenize, normalize };
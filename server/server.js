@@ -7,7 +7,28 @@ const cors = require('cors');
 const Sentry = require('@sentry/node');
 const dotenv = require('dotenv');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./store');
+const { createAuth, validateCredentials } = require('./auth');
+const { createUploads } = require('./uploads');
+const { createSearchIndex, decodeCursor } = require('./searchIndex');
+const { createRateLimiter, readBudgetOverrides } = require('./rateLimit');
+const { createState } = require('./state');
+const { createLiveState } = require('./liveState');
+const { MAX_LINK_PREVIEWS, createLinkFetcher, createLinkPreviews } = require('./linkPreviews');
+const {
+  validatePayload,
+  MAX_ROOM_NAME_LENGTH,
+  MAX_ROOM_DESCRIPTION_LENGTH,
+  ROOM_VISIBILITIES,
+  MIN_ROOM_PASSWORD_LENGTH,
+  MAX_GROUP_PARTICIPANTS,
+  MAX_GROUP_NAME_LENGTH,
+} = require('../shared/eventSchemas.mjs');
+const { findMentions, SPECIAL_MENTIONS } = require('../shared/mentions.mjs');
+const { findLinks } = require('../shared/links.mjs');
+const { toRoomRecord, toThreadRecord, toMessageRecord, fromMessageRecord } = require('./store/records');
 
 dotenv.config();
 
@@ -37,6 +58,15 @@ const DEFAULT_ROOMS = [
 const MAX_ROOM_MESSAGES = 250;
 const MAX_PRIVATE_MESSAGES = 250;
 const TYPING_TIMEOUT_MS = 4000;
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS) || 30000;
+const MAX_REPLAY_MESSAGES = 100;
+const REPLY_PREVIEW_LENGTH = 140;
+const STATUS_SWEEP_MS = 30 * 1000;
+const MAX_UNREAD_MENTIONS = 99;
+const MAX_PINNED_MESSAGES = 50;
+const MAX_BOOKMARKS = 200;
+// Ordered from least to most privileged.
+const ROOM_ROLES = ['member', 'moderator', 'owner'];
 
 const parseOrigins = (value) =>
   value
@@ -44,6 +74,24 @@ const parseOrigins = (value) =>
     .map((origin) => origin.trim())
     .filter(Boolean);
 
+// TRUST_PROXY feeds Express's "trust proxy" setting: a hop count ("1" behind a single proxy such as Render's),
+// "true", or addresses and subnets like "loopback, 10.0.0.0/8". Left unset, req.ip is the direct peer.
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') {
+    return false;
+  }
+
+  if (value === 'true') {
+    return true;
+  }
+
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+// SOCKET_ADAPTER names a module whose export returns a Socket.io adapter (for example one built with
+// @socket.io/redis-adapter); without it the server runs as a single instance with the default adapter.
+const loadAdapter = (modulePath) => (modulePath ? require(path.resolve(modulePath))() : undefined);
+
 const allowedOrigins = parseOrigins(process.env.CLIENT_URL || process.env.CLIENT_ORIGIN || '');
 
 // If no CLIENT_URL is provided in the environment, allow all origins (useful for quick deploys).
@@ -51,12 +99,17 @@ const allowAllOrigins = allowedOrigins.length === 0;
 console.log('Allowed origins for CORS:', allowAllOrigins ? 'ALL (no CLIENT_URL set)' : allowedOrigins);
 
 const app = express();
+// Anonymous REST requests are rate limited by req.ip, which is only the client's own address when the
+// proxies in front of the server are trusted to report it.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 // Attach Sentry request handler early so it can capture requests
 if (process.env.SENTRY_DSN) {
   app.use(Sentry.Handlers.requestHandler());
 }
 const server = http.createServer(app);
+const adapter = loadAdapter(process.env.SOCKET_ADAPTER);
 const io = new Server(server, {
+  adapter,
   cors: {
     origin: allowAllOrigins ? true : allowedOrigins,
     methods: ['GET', 'POST'],
@@ -73,19 +126,76 @@ app.use(
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+const rateLimiter = createRateLimiter({
+  budgets: readBudgetOverrides(process.env.RATE_LIMITS),
+  muteMs: Number(process.env.RATE_LIMIT_MUTE_MS) || undefined,
+});
+
+const rateLimitedError = ({ retryAfterMs, muted }) => ({
+  error: muted ? 'You are temporarily muted for sending too fast' : 'You are doing that too fast',
+  code: 'rate_limited',
+  retryAfterMs,
+  muted,
+});
+
 // Respond to browser favicon requests with 204 No Content to avoid noisy 404s.
 // If you'd rather serve a real favicon, place `favicon.ico` in `server/public/`.
 app.get('/favicon.ico', (req, res) => res.status(204).end());
 
-const users = new Map();
-const usernameToSocketId = new Map();
+const store = createStore();
+console.log('Message store:', store.driver);
+
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set; using a random secret, so sessions will not survive a restart');
+}
+
+// Instances only accept each other's tokens when they share a secret.
+const auth = createAuth({ secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex') });
+
+const uploads = createUploads({
+  directory: process.env.UPLOAD_DIR || path.join(__dirname, 'data', 'uploads'),
+  maxBytes: Number(process.env.UPLOAD_MAX_BYTES) || undefined,
+  store,
+});
+app.use('/uploads', uploads.serve());
+
+const searchIndex = createSearchIndex();
+const linkPreviews = createLinkPreviews({ fetcher: createLinkFetcher() });
+console.log('Link previews:', linkPreviews.driver);
+
+// Presence, membership and typing are shared by every instance; rooms and threads are cached here and kept in
+// step with the other instances through the adapter (see `announce`).
+const state = createState();
+console.log('Live state:', state.driver);
+const live = createLiveState(state);
 const rooms = new Map();
 const privateThreads = new Map();
+// Typing timers belong to the instance that holds the socket, so they stay local.
 const typingTimers = new Map();
 
 const normalizeRoomId = (value) =>
   value.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '') || `room-${uuidv4()}`;
 
+// Other instances cache the same rooms, threads and recent messages; each save is passed on to them so they
+// can update their copy. Without an adapter there is nobody to tell.
+const announce = (event, record) => {
+  if (adapter) {
+    io.serverSideEmit(event, record);
+  }
+};
+
+const persistRoom = (room) => {
+  const record = toRoomRecord(room);
+  store.saveRoom(record);
+  announce('room_saved', record);
+};
+
+const persistThread = (thread) => {
+  const record = toThreadRecord(thread);
+  store.saveThread(record);
+  announce('thread_saved', record);
+};
+
 const createRoom = (name, options = {}) => {
   const roomId = options.id || normalizeRoomId(name);
 
@@ -98,17 +208,57 @@ const createRoom = (name, options = {}) => {
     id: roomId,
     name: options.name || name,
     description: options.description || '',
-    createdAt: now,
+    createdAt: options.createdAt || now,
     createdBy: options.createdBy || 'system',
-    messages: [],
-    members: new Set(),
-    typing: new Set(),
+    messages: options.messages || [],
+    // Ids of pinned messages, most recently pinned first.
+    pinned: options.pinned || [],
+    // Anyone without an entry is a plain member; mutes map usernames to an expiry (null = until lifted).
+    roles: new Map(Object.entries(options.roles || {})),
+    bans: new Set(options.bans || []),
+    mutes: new Map(Object.entries(options.mutes || {})),
+    visibility: options.visibility || 'public',
+    passwordHash: options.passwordHash || null,
+    // Users who may read a private or password room without re-entering;
+    // invites map usernames to { from, invitedAt }.
+    allowed: new Set(options.allowed || []),
+    invites: new Map(Object.entries(options.invites || {})),
   };
 
+  if (!options.roles && room.createdBy !== 'system') {
+    room.roles.set(room.createdBy, 'owner');
+  }
+
+  if (!options.allowed && room.visibility !== 'public') {
+    room.allowed.add(room.createdBy);
+  }
+
   rooms.set(roomId, room);
+
+  if (!options.messages) {
+    persistRoom(room);
+  }
+
   return room;
 };
 
+// Only the most recent window of each conversation is kept in memory; older
+// history is paged straight from the store. Pinned messages are always kept.
+const loadRecentMessages = (conversationId, limit, pinned = []) => {
+  const messages = store.listMessages(conversationId, { limit }).messages.map(fromMessageRecord);
+  const older = pinned
+    .filter((messageId) => !messages.some((message) => message.id === messageId))
+    .map((messageId) => store.getMessage(conversationId, messageId))
+    .filter(Boolean)
+    .map(fromMessageRecord);
+
+  return [...older, ...messages].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+};
+
+store.listRooms().forEach((record) =>
+  createRoom(record.name, { ...record, messages: loadRecentMessages(record.id, MAX_ROOM_MESSAGES, record.pinned) })
+);
+
 DEFAULT_ROOMS.forEach((room) => createRoom(room.name, room));
 
 const makeThreadKey = (a, b) => [a, b].sort((x, y) => x.localeCompare(y)).join('::');
@@ -117,17 +267,64 @@ const ensurePrivateThread = (userA, userB) => {
   const key = makeThreadKey(userA, userB);
 
   if (!privateThreads.has(key)) {
-    privateThreads.set(key, {
+    const thread = {
       id: key,
       participants: [userA, userB],
       messages: [],
+      pinned: [],
       createdAt: new Date().toISOString(),
-    });
+    };
+
+    privateThreads.set(key, thread);
+    persistThread(thread);
   }
 
   return privateThreads.get(key);
 };
 
+// Group threads get a random id; their participant list changes, so it cannot be derived from the members.
+const createGroupThread = (creator, participants, name) => {
+  const thread = {
+    id: `group:${uuidv4()}`,
+    participants: [creator, ...participants.filter((participant) => participant !== creator)],
+    messages: [],
+    pinned: [],
+    createdAt: new Date().toISOString(),
+    isGroup: true,
+    name: name || null,
+    createdBy: creator,
+  };
+
+  privateThreads.set(thread.id, thread);
+  persistThread(thread);
+  return thread;
+};
+
+const cacheThread = (record) => {
+  privateThreads.set(record.id, {
+    ...record,
+    pinned: record.pinned || [],
+    messages: loadRecentMessages(record.id, MAX_PRIVATE_MESSAGES, record.pinned),
+  });
+};
+
+store.listThreads().forEach(cacheThread);
+
+// The index covers full history, not just the in-memory window, so it is built from the store.
+const indexStoredMessages = (conversationId) => {
+  let before;
+
+  do {
+    const page = store.listMessages(conversationId, { before, limit: 500 });
+    page.messages.forEach((record) => searchIndex.add(fromMessageRecord(record)));
+    // Pages come oldest first, so the next one ends just before this page's first message.
+    before = page.hasMore && page.messages.length ? page.messages[0].id : null;
+  } while (before);
+};
+
+[...rooms.keys(), ...privateThreads.keys()].forEach(indexStoredMessages);
+console.log('Search index:', searchIndex.size(), 'messages');
+
 const setWith = (collection, key, valueFactory) => {
   if (!collection.has(key)) {
     collection.set(key, valueFactory());
@@ -164,10 +361,23 @@ const serializeMessage = (message) => ({
   deliveredTo: Array.from(message.deliveredTo || []),
   readBy: Array.from(message.readBy || []),
   tempId: message.tempId || null,
+  editedAt: message.editedAt || null,
+  history: message.history || [],
+  parentId: message.parentId || null,
+  replyCount: message.replyCount || 0,
+  lastReply: message.lastReply || null,
+  mentions: message.mentions || [],
+  linkPreviews: message.linkPreviews || [],
+  pinnedAt: message.pinnedAt || null,
+  pinnedBy: message.pinnedBy || null,
+  isDeleted: Boolean(message.deletedAt),
+  deletedAt: message.deletedAt || null,
+  deletedBy: message.deletedBy || null,
 });
 
-const serializeRoom = (room, { limit = 30 } = {}) => {
-  const messages = room.messages.slice(-limit).map(serializeMessage);
+// Room details without history, sent again whenever settings or membership change.
+const serializeRoomSettings = async (room) => {
+  const members = await live.roomMembers(room.id);
 
   return {
     id: room.id,
@@ -175,66 +385,381 @@ const serializeRoom = (room, { limit = 30 } = {}) => {
     description: room.description,
     createdAt: room.createdAt,
     createdBy: room.createdBy,
-    memberCount: room.members.size,
-    hasMore: room.messages.length > messages.length,
+    memberCount: members.length,
+    members,
+    roles: Object.fromEntries(room.roles),
+    muted: Object.fromEntries(room.mutes),
+    banned: Array.from(room.bans),
+    visibility: room.visibility,
+    invites: Array.from(room.invites.keys()),
+  };
+};
+
+// Pinned messages are kept in the in-memory window, so this never reaches the store.
+const serializePinned = (conversation) =>
+  conversation.pinned
+    .map((messageId) => conversation.messages.find((message) => message.id === messageId))
+    .filter(Boolean)
+    .map(serializeMessage);
+
+const serializeRoom = async (room, { limit = 30 } = {}) => {
+  // Replies live in their parent's thread, not in the room timeline.
+  const timeline = room.messages.filter((message) => !message.parentId);
+  const messages = timeline.slice(-limit).map(serializeMessage);
+
+  return {
+    ...(await serializeRoomSettings(room)),
+    hasMore: timeline.length > messages.length || room.messages.length >= MAX_ROOM_MESSAGES,
     messages,
+    pinned: serializePinned(room),
   };
 };
 
+// Everything but the messages, so participant changes can be pushed without resending history.
+const serializeThreadSettings = (thread, viewer) => ({
+  id: thread.id,
+  participants: [...thread.participants],
+  counterpart: thread.isGroup
+    ? null
+    : thread.participants.find((participant) => participant !== viewer) || null,
+  isGroup: Boolean(thread.isGroup),
+  name: thread.name || null,
+  createdBy: thread.createdBy || null,
+  createdAt: thread.createdAt,
+});
+
 const serializeThread = (thread, viewer) => {
   const messages = thread.messages.slice(-30).map(serializeMessage);
-  const counterpart = thread.participants.find((participant) => participant !== viewer) || null;
 
   return {
-    id: thread.id,
-    participants: thread.participants,
-    counterpart,
-    createdAt: thread.createdAt,
+    ...serializeThreadSettings(thread, viewer),
     hasMore: thread.messages.length > messages.length,
     messages,
+    pinned: serializePinned(thread),
   };
 };
 
-const getPublicUsers = () =>
-  Array.from(users.values()).map((user) => ({
-    id: user.id,
-    username: user.username,
-    status: user.status,
-    activeRoom: user.activeRoom,
-    rooms: Array.from(user.rooms),
-    lastSeen: user.lastSeen,
-  }));
-
-const emitUserList = () => {
-  io.emit('user_list', getPublicUsers());
-};
-
-const emitRoomList = () => {
-  io.emit(
-    'room_list',
-    Array.from(rooms.values()).map((room) => ({
-      id: room.id,
-      name: room.name,
-      description: room.description,
-      memberCount: room.members.size,
+// `user.status` is what the user picked; others see "away" while every one of their tabs reports idle.
+const presenceOf = (user) => {
+  if (user.status !== 'online') {
+    return user.status;
+  }
+
+  const sockets = Array.from(user.sockets);
+  return sockets.length && sockets.every((socketId) => user.idleSockets.has(socketId)) ? 'away' : 'online';
+};
+
+const activeCustomStatus = (user) => {
+  const custom = user.customStatus;
+  return custom && (!custom.expiresAt || Date.parse(custom.expiresAt) > Date.now()) ? custom : null;
+};
+
+// Invisible users are left out entirely, so they look the same as someone who is offline.
+const getPublicUsers = async () =>
+  (await live.listUsers())
+    .filter((user) => user.status !== 'invisible')
+    .map((user) => ({
+      id: user.id,
+      username: user.username,
+      status: presenceOf(user),
+      customStatus: activeCustomStatus(user),
+      activeRoom: user.activeRoom,
+      rooms: Array.from(user.rooms),
+      connections: user.sockets.size,
+      lastSeen: user.lastSeen,
+    }));
+
+const emitUserList = async () => {
+  io.emit('user_list', await getPublicUsers());
+};
+
+// The user's own view of their presence, including a status that hides them from everyone else.
+const serializeOwnPresence = (user) => ({
+  status: user.status,
+  idle: user.status === 'online' && presenceOf(user) === 'away',
+  customStatus: activeCustomStatus(user),
+});
+
+const emitOwnPresence = (user) => {
+  io.to(userChannel(user.username)).emit('presence_updated', serializeOwnPresence(user));
+};
+
+// The chosen status, custom status and last-seen time live on the account so they outlast the session.
+const updateAccount = (username, changes) => {
+  const account = store.getAccount(username);
+
+  if (account) {
+    store.saveAccount({ ...account, ...changes });
+  }
+};
+
+const savePresence = (user) => {
+  updateAccount(user.username, { presence: { status: user.status, customStatus: user.customStatus } });
+};
+
+// Per-conversation notification levels keyed by room or thread id; conversations left at "all" have no entry.
+const getNotificationPreferences = (username) => store.getAccount(username)?.notificationPreferences || {};
+
+// Null for anyone others can currently see online; otherwise when they were last seen, if ever.
+const lastSeenOf = async (username) => {
+  const user = await live.getUser(username);
+
+  if (user && user.status !== 'invisible') {
+    return null;
+  }
+
+  return store.getAccount(username)?.lastSeenAt || null;
+};
+
+// Who can be @mentioned: a room's members and the people allowed into it, or a DM thread's participants.
+const mentionableIn = async (conversation) =>
+  conversation.participants
+    ? [...conversation.participants]
+    : Array.from(new Set([...(await live.roomMembers(conversation.id)), ...conversation.allowed])).filter(
+        (username) => !conversation.bans.has(username)
+      );
+
+// The `mentions` stored on a message: { type: 'user', username } for each person who can be mentioned in the
+// conversation, plus { type: 'here' } and { type: 'room' }. Names that match nobody stay plain text.
+const resolveMentions = async (body, conversation) => {
+  const audience = await mentionableIn(conversation);
+  const mentions = [];
+
+  findMentions(body).forEach(({ name }) => {
+    const key = name.toLowerCase();
+    const mention = SPECIAL_MENTIONS.includes(key)
+      ? { type: key }
+      : { type: 'user', username: audience.find((username) => username.toLowerCase() === key) };
+    const isNew = !mentions.some((entry) => entry.type === mention.type && entry.username === mention.username);
+
+    if ((mention.type !== 'user' || mention.username) && isNew) {
+      mentions.push(mention);
+    }
+  });
+
+  return mentions;
+};
+
+// Everyone a message's mentions reach: the people named, members who are online (not away or busy) for
+// @here and every member for @room. The sender is never notified of their own mentions.
+const mentionRecipients = async (message, conversation) => {
+  const mentions = message.mentions || [];
+  const members = conversation.participants || (await live.roomMembers(conversation.id));
+  const here = mentions.some((mention) => mention.type === 'here')
+    ? (await Promise.all(members.map(live.getUser))).filter((user) => user && presenceOf(user) === 'online')
+    : [];
+  const recipients = new Set();
+
+  mentions.forEach((mention) => {
+    if (mention.type === 'user') {
+      recipients.add(mention.username);
+      return;
+    }
+
+    members
+      .filter((username) => mention.type === 'room' || here.some((user) => user.username === username))
+      .forEach((username) => recipients.add(username));
+  });
+
+  recipients.delete(message.sender);
+  return recipients;
+};
+
+// Unread mentions per conversation as [{ id, timestamp }], kept on the account so the mention badge
+// outlasts reloads and matches on every device. Reading a conversation past a mention clears it.
+const getMentionInbox = (username) => store.getAccount(username)?.unreadMentions || {};
+
+const countMentions = (inbox) =>
+  Object.fromEntries(Object.entries(inbox).map(([conversationId, entries]) => [conversationId, entries.length]));
+
+const saveMentionInbox = (username, inbox) => {
+  updateAccount(username, { unreadMentions: inbox });
+  io.to(userChannel(username)).emit('mention_counts_updated', countMentions(inbox));
+};
+
+const recordMentions = (message, recipients) => {
+  recipients.forEach((username) => {
+    const inbox = getMentionInbox(username);
+    const entries = (inbox[message.roomId] || []).filter((entry) => entry.id !== message.id);
+
+    inbox[message.roomId] = [...entries, { id: message.id, timestamp: message.timestamp }].slice(
+      -MAX_UNREAD_MENTIONS
+    );
+    saveMentionInbox(username, inbox);
+  });
+};
+
+const clearMentionsThrough = (username, message) => {
+  const inbox = getMentionInbox(username);
+  const entries = inbox[message.roomId];
+
+  if (!entries) {
+    return;
+  }
+
+  const remaining = entries.filter((entry) => entry.timestamp > message.timestamp);
+
+  if (remaining.length === entries.length) {
+    return;
+  }
+
+  if (remaining.length) {
+    inbox[message.roomId] = remaining;
+  } else {
+    delete inbox[message.roomId];
+  }
+
+  saveMentionInbox(username, inbox);
+};
+
+// Private rooms are hidden from everyone but the people allowed in or invited; password rooms are listed but locked.
+const canSeeRoom = (room, username) =>
+  room.visibility !== 'private' || room.allowed.has(username) || room.invites.has(username);
+
+// Only public rooms can be read and posted to without being let in first.
+const canReadRoom = (room, username) => room.visibility === 'public' || room.allowed.has(username);
+
+// Room list entries for every room; each user is shown the ones they can see.
+const summarizeRooms = () =>
+  Promise.all(
+    Array.from(rooms.values()).map(async (room) => ({
+      room,
+      summary: {
+        id: room.id,
+        name: room.name,
+        description: room.description,
+        memberCount: await live.memberCount(room.id),
+        visibility: room.visibility,
+        createdAt: room.createdAt,
+      },
     }))
   );
+
+const filterVisibleRooms = (summaries, username) =>
+  summaries.filter(({ room }) => canSeeRoom(room, username)).map(({ summary }) => summary);
+
+const listVisibleRooms = async (username) => filterVisibleRooms(await summarizeRooms(), username);
+
+// Each user gets their own list because private rooms differ per person.
+const emitRoomList = async () => {
+  const [users, summaries] = await Promise.all([live.listUsers(), summarizeRooms()]);
+
+  users.forEach((user) => {
+    io.to(userChannel(user.username)).emit('room_list', filterVisibleRooms(summaries, user.username));
+  });
 };
 
+const serializeInvite = (room, username) => ({
+  roomId: room.id,
+  roomName: room.name,
+  visibility: room.visibility,
+  ...room.invites.get(username),
+});
+
+const listInvites = (username) =>
+  Array.from(rooms.values())
+    .filter((room) => room.invites.has(username))
+    .map((room) => serializeInvite(room, username));
+
+// Drops the oldest messages beyond `max`. Pinned ones are skipped so they never scroll out of memory.
 const trimMessages = (collection, max) => {
-  if (collection.length > max) {
-    collection.splice(0, collection.length - max);
+  let excess = collection.length - max;
+  let index = 0;
+
+  while (excess > 0 && index < collection.length) {
+    if (collection[index].pinnedAt) {
+      index += 1;
+    } else {
+      collection.splice(index, 1);
+      excess -= 1;
+    }
   }
 };
 
+// Every save stamps `updatedAt`, which lets a resuming client catch up on changes it missed.
+const persistMessage = (message) => {
+  message.updatedAt = new Date().toISOString();
+  const record = toMessageRecord(message);
+  store.saveMessage(record);
+  announce('message_saved', record);
+};
+
 const addMessageToRoom = (room, message) => {
   room.messages.push(message);
   trimMessages(room.messages, MAX_ROOM_MESSAGES);
+  persistMessage(message);
+  searchIndex.add(message);
 };
 
 const addMessageToThread = (thread, message) => {
   thread.messages.push(message);
   trimMessages(thread.messages, MAX_PRIVATE_MESSAGES);
+  persistMessage(message);
+  searchIndex.add(message);
+};
+
+// Looks in the in-memory window first, then falls back to the store for older history.
+const findMessage = (conversation, messageId) => {
+  const cached = conversation.messages.find((item) => item.id === messageId);
+
+  if (cached) {
+    return cached;
+  }
+
+  const record = messageId ? store.getMessage(conversation.id, messageId) : null;
+  return record ? fromMessageRecord(record) : null;
+};
+
+// Pages a conversation from the store. `before` walks back from a message, `after` walks forward
+// from one and `around` centres a window on one. `hasMore` says older messages exist and `hasNewer`
+// says newer ones do; clients continue from the oldest or newest id they hold.
+// Returns null when a cursor message does not exist in this conversation (or at this thread level).
+const readHistory = (conversationId, { before, after, around, limit = 30, parentId = null } = {}) => {
+  const parsedLimit = Math.min(Math.max(Number(limit) || 30, 1), 100);
+  const serializePage = (page) => page.messages.map((record) => serializeMessage(fromMessageRecord(record)));
+  const cursorId = around || after || before;
+
+  if (cursorId) {
+    const cursor = store.getMessage(conversationId, cursorId);
+
+    if (!cursor || (cursor.parentId || null) !== parentId) {
+      return null;
+    }
+  }
+
+  if (around) {
+    // At least one message either side of the target.
+    const windowSize = Math.max(parsedLimit, 3);
+    const olderLimit = Math.floor((windowSize - 1) / 2);
+    const older = store.listMessages(conversationId, { before: around, limit: olderLimit, parentId });
+    const newer = store.listMessages(conversationId, { after: around, limit: windowSize - 1 - olderLimit, parentId });
+
+    return {
+      messages: [
+        ...serializePage(older),
+        serializeMessage(fromMessageRecord(store.getMessage(conversationId, around))),
+        ...serializePage(newer),
+      ],
+      hasMore: older.hasMore,
+      nextCursor: older.nextCursor,
+      hasNewer: newer.hasMore,
+    };
+  }
+
+  if (after) {
+    const page = store.listMessages(conversationId, { after, limit: parsedLimit, parentId });
+
+    return { messages: serializePage(page), hasMore: true, nextCursor: null, hasNewer: page.hasMore };
+  }
+
+  const page = store.listMessages(conversationId, { before, limit: parsedLimit, parentId });
+
+  return {
+    messages: serializePage(page),
+    hasMore: page.hasMore,
+    nextCursor: page.nextCursor,
+    hasNewer: Boolean(before),
+  };
 };
 
 const registerDelivered = (message, username) => {
@@ -243,6 +768,7 @@ const registerDelivered = (message, username) => {
   }
 
   message.deliveredTo.add(username);
+  persistMessage(message);
 };
 
 const registerRead = (message, username) => {
@@ -251,6 +777,7 @@ const registerRead = (message, username) => {
   }
 
   message.readBy.add(username);
+  persistMessage(message);
 };
 
 const toggleReaction = (message, emoji, username) => {
@@ -265,9 +792,238 @@ const toggleReaction = (message, emoji, username) => {
   } else {
     userSet.add(username);
   }
+
+  persistMessage(message);
+};
+
+// Keeps the previous body in the message's history before replacing it.
+const applyEdit = (message, body, mentions) => {
+  message.history = message.history || [];
+  message.history.push({ body: message.body, timestamp: message.editedAt || message.timestamp });
+  message.body = body;
+  message.mentions = mentions;
+  message.editedAt = new Date().toISOString();
+  persistMessage(message);
+  searchIndex.add(message);
+};
+
+// Deleted messages stay in place as tombstones so replies, receipts and pagination cursors keep working.
+const applyDelete = (message, username) => {
+  message.body = '';
+  message.attachments = [];
+  message.mentions = [];
+  message.linkPreviews = [];
+  message.pinnedAt = null;
+  message.pinnedBy = null;
+  message.reactions = new Map();
+  message.history = [];
+  message.deletedAt = new Date().toISOString();
+  message.deletedBy = username;
+  persistMessage(message);
+  searchIndex.remove(message.id);
+};
+
+// Sends `event` to everyone who can see the room or thread, tagged with its roomId or threadId.
+const emitToConversation = (conversation, event, payload) => {
+  if (conversation.participants) {
+    io.to(conversation.participants.map(userChannel)).emit(event, { threadId: conversation.id, ...payload });
+  } else {
+    io.to(conversation.id).emit(event, { roomId: conversation.id, ...payload });
+  }
+};
+
+const emitMessageUpdated = (conversation, message) => {
+  emitToConversation(conversation, 'message_updated', { message: serializeMessage(message) });
+};
+
+// The room or thread a `{ roomId }` or `{ threadId }` payload names, as long as the user is in it.
+const resolveConversation = (user, { roomId, threadId }) => {
+  if (roomId) {
+    const room = rooms.get(roomId);
+    return room && user.rooms.has(roomId) ? { conversation: room } : { error: 'Room not found' };
+  }
+
+  const thread = privateThreads.get(threadId);
+  return thread && thread.participants.includes(user.username)
+    ? { conversation: thread }
+    : { error: 'Conversation not found' };
+};
+
+const persistConversation = (conversation) => {
+  if (conversation.participants) {
+    persistThread(conversation);
+  } else {
+    persistRoom(conversation);
+  }
+};
+
+// Pins a message, or unpins it when `pinnedBy` is null, and tells the conversation.
+const setPinned = (conversation, message, pinnedBy) => {
+  conversation.pinned = conversation.pinned.filter((messageId) => messageId !== message.id);
+
+  if (pinnedBy) {
+    conversation.pinned.unshift(message.id);
+    message.pinnedAt = new Date().toISOString();
+    message.pinnedBy = pinnedBy;
+
+    // A message pinned from older history joins the in-memory window so it is kept from now on.
+    if (!conversation.messages.some((item) => item.id === message.id)) {
+      const index = conversation.messages.findIndex((item) => item.timestamp > message.timestamp);
+      conversation.messages.splice(index === -1 ? conversation.messages.length : index, 0, message);
+    }
+  } else {
+    message.pinnedAt = null;
+    message.pinnedBy = null;
+  }
+
+  persistMessage(message);
+  persistConversation(conversation);
+  emitMessageUpdated(conversation, message);
+  emitToConversation(conversation, 'pins_updated', { pinned: serializePinned(conversation) });
+};
+
+// Bookmarks live on the account, newest first, as { messageId, conversationType, conversationId, note,
+// savedAt, snapshot }. The snapshot only records who sent the message and when: once a message is deleted
+// or out of reach its content is gone from bookmarks too, and just the note and this metadata remain.
+const getBookmarks = (username) => store.getAccount(username)?.bookmarks || [];
+
+const snapshotOf = (message) => ({ sender: message.sender, timestamp: message.timestamp });
+
+// `status` is "available", "deleted" or "unavailable" (the user can no longer read the conversation).
+// Available bookmarks carry the current message and a history link that opens the page around it.
+const serializeBookmark = (username, bookmark) => {
+  const { messageId, conversationType, conversationId, note, savedAt, snapshot } = bookmark;
+  const room = conversationType === 'room' ? rooms.get(conversationId) : null;
+  const thread = conversationType === 'thread' ? privateThreads.get(conversationId) : null;
+  const readable = room ? canReadRoom(room, username) : Boolean(thread?.participants.includes(username));
+  const message = readable ? findMessage(room || thread, messageId) : null;
+  const status = !readable ? 'unavailable' : message && !message.deletedAt ? 'available' : 'deleted';
+  // Replies are reached through the message they answer.
+  const anchorId = message?.parentId || messageId;
+  const path = `/api/${room ? 'rooms' : 'threads'}/${encodeURIComponent(conversationId)}/messages`;
+
+  return {
+    messageId,
+    conversationType,
+    ...(conversationType === 'room'
+      ? { roomId: conversationId, roomName: room?.name || null }
+      : { threadId: conversationId, thread: readable ? serializeThreadSettings(thread, username) : null }),
+    note,
+    savedAt,
+    status,
+    message: status === 'available' ? serializeMessage(message) : null,
+    snapshot,
+    link: status === 'available' ? `${path}?around=${encodeURIComponent(anchorId)}` : null,
+  };
+};
+
+const saveBookmarks = (username, bookmarks) => {
+  updateAccount(username, { bookmarks });
+  io.to(userChannel(username)).emit('bookmarks_updated', {
+    bookmarks: bookmarks.map((bookmark) => serializeBookmark(username, bookmark)),
+  });
+};
+
+// Deleted messages drop out of the pinned list.
+const dropPin = (conversation, message) => {
+  if (conversation.pinned.includes(message.id)) {
+    conversation.pinned = conversation.pinned.filter((messageId) => messageId !== message.id);
+    persistConversation(conversation);
+    emitToConversation(conversation, 'pins_updated', { pinned: serializePinned(conversation) });
+  }
 };
 
-const buildMessage = ({ roomId, sender, body, attachments = [], isSystem = false, isPrivate = false, tempId }) => {
+// Previews are fetched after a message is sent or edited and arrive as a message_updated. A message that
+// was edited or deleted while they loaded is left alone; the edit brings its own previews.
+const refreshLinkPreviews = async (conversation, message) => {
+  const { id, body } = message;
+  const urls = message.linkPreviewsDismissed ? [] : findLinks(body).slice(0, MAX_LINK_PREVIEWS);
+  const shown = (message.linkPreviews || []).map((preview) => preview.url);
+
+  if (urls.join(' ') === shown.join(' ')) {
+    return;
+  }
+
+  try {
+    const previews = urls.length ? await linkPreviews.previewLinks(urls) : [];
+    const latest = findMessage(conversation, id);
+
+    if (!latest || latest.deletedAt || latest.body !== body || latest.linkPreviewsDismissed) {
+      return;
+    }
+
+    if (JSON.stringify(previews) !== JSON.stringify(latest.linkPreviews || [])) {
+      latest.linkPreviews = previews;
+      persistMessage(latest);
+      emitMessageUpdated(conversation, latest);
+    }
+  } catch (error) {
+    console.error('Failed to attach link previews', error);
+  }
+};
+
+const getRoomRole = (room, username) => room.roles.get(username) || 'member';
+
+const roleRank = (role) => ROOM_ROLES.indexOf(role);
+
+// Owners and moderators can remove other people's messages and use the moderation events.
+const canModerateRoom = (room, user) => roleRank(getRoomRole(room, user.username)) >= roleRank('moderator');
+
+const outranks = (room, actorName, targetName) =>
+  roleRank(getRoomRole(room, actorName)) > roleRank(getRoomRole(room, targetName));
+
+// Expired mutes are dropped lazily the next time they are checked.
+const isMuted = (room, username) => {
+  if (!room.mutes.has(username)) {
+    return false;
+  }
+
+  const until = room.mutes.get(username);
+
+  if (until && Date.parse(until) <= Date.now()) {
+    room.mutes.delete(username);
+    persistRoom(room);
+    return false;
+  }
+
+  return true;
+};
+
+const recordReply = (parent, reply) => {
+  parent.replyCount = (parent.replyCount || 0) + 1;
+  parent.lastReply = {
+    id: reply.id,
+    sender: reply.sender,
+    body: reply.body.slice(0, REPLY_PREVIEW_LENGTH),
+    timestamp: reply.timestamp,
+  };
+  persistMessage(parent);
+};
+
+// Keeps the parent's last-reply preview in step when that reply is edited or deleted.
+const syncReplyPreview = (room, reply) => {
+  const parent = reply.parentId ? findMessage(room, reply.parentId) : null;
+
+  if (!parent || parent.lastReply?.id !== reply.id) {
+    return;
+  }
+
+  parent.lastReply = { ...parent.lastReply, body: reply.body.slice(0, REPLY_PREVIEW_LENGTH) };
+  persistMessage(parent);
+  io.to(room.id).emit('message_updated', { roomId: room.id, message: serializeMessage(parent) });
+};
+
+const buildMessage = ({
+  roomId,
+  sender,
+  body,
+  attachments = [],
+  isSystem = false,
+  isPrivate = false,
+  tempId,
+  parentId = null,
+  mentions = [],
+}) => {
   const now = new Date().toISOString();
 
   return {
@@ -284,6 +1040,12 @@ const buildMessage = ({ roomId, sender, body, attachments = [], isSystem = false
     deliveredTo: new Set([sender.username]),
     readBy: new Set(isSystem ? [] : [sender.username]),
     tempId: tempId || null,
+    editedAt: null,
+    history: [],
+    parentId,
+    replyCount: 0,
+    lastReply: null,
+    mentions,
   };
 };
 
@@ -306,83 +1068,450 @@ const addSystemMessage = (roomId, text) => {
   io.to(roomId).emit('receive_message', serializeMessage(message));
 };
 
-const listUserThreads = (username) =>
-  Array.from(privateThreads.values())
-    .filter((thread) => thread.participants.includes(username))
-    .map((thread) => serializeThread(thread, username));
+// Every socket of a signed-in user joins this channel, so per-user events reach all their devices.
+const userChannel = (username) => `user:${username}`;
 
-app.get('/api/rooms', (req, res) => {
-  const payload = Array.from(rooms.values()).map((room) => ({
-    id: room.id,
-    name: room.name,
-    description: room.description,
-    memberCount: room.members.size,
-    createdAt: room.createdAt,
-  }));
+const countUnreadThreads = (username) => {
+  const unread = {};
 
-  res.json(payload);
-});
+  privateThreads.forEach((thread) => {
+    if (!thread.participants.includes(username)) {
+      return;
+    }
 
-app.get('/api/rooms/:roomId/messages', (req, res) => {
-  const { roomId } = req.params;
-  const { before, limit = 30 } = req.query;
-  const room = rooms.get(roomId);
+    const count = thread.messages.filter(
+      (message) => message.sender !== username && !message.readBy?.has(username)
+    ).length;
 
-  if (!room) {
-    res.status(404).json({ error: 'Room not found' });
-    return;
-  }
+    if (count) {
+      unread[thread.id] = count;
+    }
+  });
 
-  const parsedLimit = Math.min(Number(limit) || 30, 100);
-  const beforeIndex = before ? room.messages.findIndex((message) => message.id === before) : -1;
+  return unread;
+};
 
-  const endIndex = beforeIndex === -1 ? room.messages.length : beforeIndex;
-  const startIndex = Math.max(0, endIndex - parsedLimit);
-  const slice = room.messages.slice(startIndex, endIndex).map(serializeMessage);
-  const hasMore = startIndex > 0;
-  const nextCursor = hasMore ? room.messages[startIndex - 1]?.id || null : null;
+// DMs sent while a user was offline are delivered when their first socket joins.
+const deliverQueuedMessages = (username) => {
+  privateThreads.forEach((thread) => {
+    if (!thread.participants.includes(username)) {
+      return;
+    }
 
-  res.json({
-    roomId,
-    messages: slice,
-    hasMore,
-    nextCursor,
-  });
-});
+    const queued = thread.messages.filter(
+      (message) => message.sender !== username && !message.deliveredTo?.has(username)
+    );
 
-app.get('/api/search', (req, res) => {
-  const { roomId, q } = req.query;
+    if (!queued.length) {
+      return;
+    }
 
-  if (!q) {
-    res.json([]);
+    queued.forEach((message) => {
+      registerDelivered(message, username);
+      io.to(userChannel(message.sender)).emit('private_delivery_update', {
+        threadId: thread.id,
+        messageId: message.id,
+        deliveredTo: Array.from(message.deliveredTo),
+      });
+    });
+
+    io.to(userChannel(username)).emit('private_notification', {
+      from: queued[queued.length - 1].sender,
+      threadId: thread.id,
+      count: queued.length,
+      queued: true,
+    });
+  });
+};
+
+const listUserThreads = (username) =>
+  Array.from(privateThreads.values())
+    .filter((thread) => thread.participants.includes(username))
+    .map((thread) => serializeThread(thread, username));
+
+const emitThreadUpdate = (thread) => {
+  thread.participants.forEach((participant) => {
+    io.to(userChannel(participant)).emit('thread_updated', serializeThreadSettings(thread, participant));
+  });
+};
+
+// Maps requested usernames to existing accounts' canonical names, dropping duplicates.
+const resolveUsernames = (input) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Participants are required' };
+  }
+
+  const names = [];
+
+  for (const username of input) {
+    const account = typeof username === 'string' ? store.getAccount(username) : null;
+
+    if (!account) {
+      return { error: `User not found: ${String(username)}` };
+    }
+
+    if (!names.includes(account.username)) {
+      names.push(account.username);
+    }
+  }
+
+  return { names };
+};
+
+const toAccountResponse = (account) => ({
+  token: auth.issueToken(account),
+  user: { id: account.id, username: account.username },
+});
+
+// REST counterpart of the socket middleware: expects `Authorization: Bearer <token>`.
+const readIdentity = (req) => {
+  const header = req.get('authorization') || '';
+  return auth.verifyToken(header.startsWith('Bearer ') ? header.slice(7) : null);
+};
+
+const requireAuth = (req, res, next) => {
+  const identity = readIdentity(req);
+
+  if (!identity) {
+    res.status(401).json({ error: 'Unauthorized' });
     return;
   }
 
-  const targetRooms = roomId ? [rooms.get(roomId)] : Array.from(rooms.values());
-  const term = q.toLowerCase();
-  const results = [];
+  req.user = identity;
+  next();
+};
+
+// Routes without their own budget (e.g. "POST /api/auth/login") share the `rest` budget per client.
+app.use('/api', (req, res, next) => {
+  const name = `${req.method} ${req.baseUrl}${req.path}`;
+  const result = rateLimiter.consume({
+    name: rateLimiter.hasBudget(name) ? name : 'rest',
+    connection: `ip:${req.ip}`,
+    user: readIdentity(req)?.username,
+  });
+
+  if (result.ok) {
+    next();
+    return;
+  }
+
+  res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+  res.status(429).json(rateLimitedError(result));
+});
 
-  targetRooms.forEach((room) => {
-    if (!room) {
+app.post('/api/auth/register', async (req, res, next) => {
+  const username = typeof req.body?.username === 'string' ? req.body.username.trim() : '';
+  const password = typeof req.body?.password === 'string' ? req.body.password : '';
+  const validationError = validateCredentials({ username, password });
+
+  if (validationError) {
+    res.status(400).json({ error: validationError });
+    return;
+  }
+
+  try {
+    if (store.getAccount(username)) {
+      res.status(409).json({ error: 'That username is already taken' });
       return;
     }
 
-    room.messages.forEach((message) => {
-      if (message.body.toLowerCase().includes(term)) {
-        results.push({
-          roomId: room.id,
-          roomName: room.name,
-          message: serializeMessage(message),
-        });
+    const account = {
+      id: uuidv4(),
+      username,
+      passwordHash: await auth.hashPassword(password),
+      createdAt: new Date().toISOString(),
+    };
+
+    // Re-check after hashing in case a concurrent registration claimed the name.
+    if (store.getAccount(username)) {
+      res.status(409).json({ error: 'That username is already taken' });
+      return;
+    }
+
+    store.saveAccount(account);
+    res.status(201).json(toAccountResponse(account));
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/api/auth/login', async (req, res, next) => {
+  const username = typeof req.body?.username === 'string' ? req.body.username.trim() : '';
+  const password = typeof req.body?.password === 'string' ? req.body.password : '';
+
+  if (!username || !password) {
+    res.status(400).json({ error: 'Username and password are required' });
+    return;
+  }
+
+  try {
+    const account = store.getAccount(username);
+
+    if (!account || !(await auth.verifyPassword(password, account.passwordHash))) {
+      res.status(401).json({ error: 'Invalid username or password' });
+      return;
+    }
+
+    res.json(toAccountResponse(account));
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/api/uploads', requireAuth, (req, res, next) => {
+  uploads.receive(req, res, async (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        res.status(413).json({ error: `Files must be ${uploads.limitLabel} or smaller` });
+        return;
       }
-    });
+
+      if (err.code === 'UNSUPPORTED_TYPE') {
+        res.status(415).json({ error: err.message });
+        return;
+      }
+
+      if (err.name === 'MulterError') {
+        res.status(400).json({ error: err.message });
+        return;
+      }
+
+      next(err);
+      return;
+    }
+
+    if (!req.file) {
+      res.status(400).json({ error: 'A file is required' });
+      return;
+    }
+
+    try {
+      const attachment = await uploads.saveUpload(req.file, req.user);
+
+      if (!attachment) {
+        res.status(415).json({ error: 'The file contents do not match its image type' });
+        return;
+      }
+
+      res.status(201).json({ attachment });
+    } catch (error) {
+      next(error);
+    }
+  });
+});
+
+// Signed-out callers only see public and password rooms.
+app.get('/api/rooms', async (req, res, next) => {
+  try {
+    res.json(await listVisibleRooms(readIdentity(req)?.username));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Repeated (`?limit=1&limit=2`) and bracketed (`?limit[]=1`) parameters parse to arrays and objects.
+const hasSingleValues = (query, names) =>
+  names.every((name) => query[name] === undefined || typeof query[name] === 'string');
+
+const HISTORY_PARAMS = ['before', 'after', 'around', 'limit'];
+
+app.get('/api/rooms/:roomId/messages', (req, res) => {
+  const { roomId } = req.params;
+  const { before, after, around, limit = 30 } = req.query;
+  const room = rooms.get(roomId);
+
+  if (!hasSingleValues(req.query, HISTORY_PARAMS)) {
+    res.status(400).json({ error: 'Query parameters must be single values' });
+    return;
+  }
+
+  if (!room || !canReadRoom(room, readIdentity(req)?.username)) {
+    res.status(404).json({ error: 'Room not found' });
+    return;
+  }
+
+  const history = readHistory(room.id, { before, after, around, limit });
+
+  if (!history) {
+    res.status(404).json({ error: 'Message not found' });
+    return;
+  }
+
+  res.json({ roomId, ...history });
+});
+
+app.get('/api/rooms/:roomId/messages/:messageId/replies', (req, res) => {
+  const { roomId, messageId } = req.params;
+  const { before, limit = 30 } = req.query;
+  const room = rooms.get(roomId);
+  const parent = room && canReadRoom(room, readIdentity(req)?.username) ? findMessage(room, messageId) : null;
+
+  if (!hasSingleValues(req.query, HISTORY_PARAMS)) {
+    res.status(400).json({ error: 'Query parameters must be single values' });
+    return;
+  }
+
+  if (!parent) {
+    res.status(404).json({ error: 'Message not found' });
+    return;
+  }
+
+  const history = readHistory(room.id, { before, limit, parentId: parent.id });
+
+  if (!history) {
+    res.status(404).json({ error: 'Message not found' });
+    return;
+  }
+
+  res.json({
+    roomId,
+    parentId: parent.id,
+    parent: serializeMessage(parent),
+    messages: history.messages,
+    hasMore: history.hasMore,
+    nextCursor: history.nextCursor,
+  });
+});
+
+app.get('/api/threads/:threadId/messages', requireAuth, (req, res) => {
+  const { threadId } = req.params;
+  const { before, after, around, limit = 30 } = req.query;
+  const thread = privateThreads.get(threadId);
+
+  if (!hasSingleValues(req.query, HISTORY_PARAMS)) {
+    res.status(400).json({ error: 'Query parameters must be single values' });
+    return;
+  }
+
+  if (!thread || !thread.participants.includes(req.user.username)) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return;
+  }
+
+  const history = readHistory(thread.id, { before, after, around, limit });
+
+  if (!history) {
+    res.status(404).json({ error: 'Message not found' });
+    return;
+  }
+
+  res.json({ threadId: thread.id, ...history });
+});
+
+const SEARCH_TYPES = ['room', 'dm'];
+const SEARCH_PARAMS = [
+  'q', 'roomId', 'threadId', 'sender', 'since', 'until', 'hasAttachment', 'type', 'cursor', 'limit',
+];
+
+// Ranked full-text search over every room the caller can read and every DM they take part in.
+// Signed-out callers only search public rooms.
+app.get('/api/search', (req, res) => {
+  const { q = '', roomId, threadId, sender, since, until, hasAttachment, type, cursor, limit } = req.query;
+
+  if (!hasSingleValues(req.query, SEARCH_PARAMS)) {
+    res.status(400).json({ error: 'Query parameters must be single values' });
+    return;
+  }
+
+  const viewer = readIdentity(req)?.username;
+  const sinceTime = since ? new Date(since) : null;
+  const untilTime = until ? new Date(until) : null;
+
+  if (cursor && !decodeCursor(cursor)) {
+    res.status(400).json({ error: 'Invalid cursor' });
+    return;
+  }
+
+  if ((sinceTime && Number.isNaN(sinceTime.getTime())) || (untilTime && Number.isNaN(untilTime.getTime()))) {
+    res.status(400).json({ error: 'since and until must be dates' });
+    return;
+  }
+
+  if (type && !SEARCH_TYPES.includes(type)) {
+    res.status(400).json({ error: `type must be one of ${SEARCH_TYPES.join(', ')}` });
+    return;
+  }
+
+  const hasFilter = Boolean(roomId || threadId || sender || since || until || hasAttachment);
+
+  if (!String(q).trim() && !hasFilter) {
+    res.json({ results: [], total: 0, hasMore: false, nextCursor: null });
+    return;
+  }
+
+  const senderName = sender ? String(sender).toLowerCase() : null;
+  const sinceIso = sinceTime ? sinceTime.toISOString() : null;
+  const untilIso = untilTime ? untilTime.toISOString() : null;
+
+  const canSearch = (conversationId) => {
+    const room = rooms.get(conversationId);
+
+    if (room) {
+      return type !== 'dm' && canReadRoom(room, viewer);
+    }
+
+    const thread = privateThreads.get(conversationId);
+    return Boolean(thread && viewer && type !== 'room' && thread.participants.includes(viewer));
+  };
+
+  const page = searchIndex.search({
+    query: String(q),
+    cursor,
+    limit,
+    filter: (document) =>
+      (!roomId || document.conversationId === roomId) &&
+      (!threadId || document.conversationId === threadId) &&
+      (!senderName || document.sender.toLowerCase() === senderName) &&
+      (!sinceIso || document.timestamp >= sinceIso) &&
+      (!untilIso || document.timestamp <= untilIso) &&
+      (hasAttachment !== 'true' || document.hasAttachment) &&
+      canSearch(document.conversationId),
   });
 
-  res.json(results.slice(-100));
+  const results = page.results
+    .map((result) => {
+      const room = rooms.get(result.conversationId);
+      const conversation = room || privateThreads.get(result.conversationId);
+      const message = conversation ? findMessage(conversation, result.id) : null;
+
+      if (!message) {
+        return null;
+      }
+
+      const { id, conversationId, ...match } = result;
+
+      return room
+        ? {
+            conversationType: 'room',
+            roomId: room.id,
+            roomName: room.name,
+            message: serializeMessage(message),
+            ...match,
+          }
+        : {
+            conversationType: 'thread',
+            threadId: conversation.id,
+            thread: serializeThreadSettings(conversation, viewer),
+            message: serializeMessage(message),
+            ...match,
+          };
+    })
+    .filter(Boolean);
+
+  res.json({ results, total: page.total, hasMore: page.hasMore, nextCursor: page.nextCursor });
+});
+
+app.get('/api/bookmarks', requireAuth, (req, res) => {
+  const { username } = req.user;
+  res.json({ bookmarks: getBookmarks(username).map((bookmark) => serializeBookmark(username, bookmark)) });
 });
 
-app.get('/api/users', (req, res) => {
-  res.json(getPublicUsers());
+app.get('/api/users', async (req, res, next) => {
+  try {
+    res.json(await getPublicUsers());
+  } catch (error) {
+    next(error);
+  }
 });
 
 app.get('/', (req, res) => {
@@ -412,492 +1541,1908 @@ app.get('/client-config', (req, res) => {
 });
 
 
-io.on('connection', (socket) => {
-  socket.on('user_join', (payload, ack) => {
-    const rawUsername = typeof payload === 'string' ? payload : payload?.username;
-    const username = rawUsername ? rawUsername.trim() : '';
+// Every socket must present a session token from /api/auth/login or /api/auth/register.
+io.use((socket, next) => {
+  const identity = auth.verifyToken(socket.handshake.auth?.token);
+
+  if (!identity) {
+    next(new Error('Unauthorized'));
+    return;
+  }
+
+  socket.data.user = identity;
+  next();
+});
+
+const getSocketUser = async (socket) => (socket.data.joined ? live.getUser(socket.data.user.username) : null);
+
+const emitTypingUsers = async (roomId, parentId) => {
+  io.to(roomId).emit('typing_users', {
+    roomId,
+    parentId: parentId || null,
+    users: await live.typingUsers(roomId, parentId),
+  });
+};
+
+const clearTyping = async (socketId, user) => {
+  Array.from(typingTimers.entries()).forEach(([key, timer]) => {
+    if (key.startsWith(`${socketId}:`)) {
+      clearTimeout(timer);
+      typingTimers.delete(key);
+    }
+  });
+
+  await Promise.all(
+    Array.from(user.rooms).map(async (roomId) => {
+      const parentIds = await live.clearTyping(roomId, user.username);
+      await Promise.all(parentIds.map((parentId) => emitTypingUsers(roomId, parentId)));
+    })
+  );
+};
+
+// Called once the user's last socket is gone for good.
+const removeUser = async (username) => {
+  const user = await live.getUser(username);
+
+  if (!user || user.sockets.size > 0) {
+    return;
+  }
+
+  // An invisible user already looked offline, and their last-seen time stays at the moment they hid.
+  const hidden = user.status === 'invisible';
+
+  await live.removeUser(username);
+
+  for (const roomId of user.rooms) {
+    const room = rooms.get(roomId);
+
+    if (room) {
+      if (!hidden) {
+        addSystemMessage(room.id, `${username} left the room`);
+      }
+      await emitRoomUpdate(room);
+    }
+  }
+
+  await emitUserList();
+  await emitRoomList();
+
+  if (!hidden) {
+    updateAccount(username, { lastSeenAt: user.lastSeen });
+    io.emit('user_left', { username, id: user.id, leftAt: user.lastSeen });
+  }
+};
+
+// Takes a user out of a room on every device; their active room falls back to #general.
+// Access to a private or password room goes with it, so coming back needs a new invite or the password.
+const removeFromRoom = async (room, username) => {
+  const user = await live.getUser(username);
+
+  await live.leaveRoom(username, room.id);
+
+  if (room.allowed.delete(username)) {
+    persistRoom(room);
+  }
+
+  if (!user) {
+    return;
+  }
+
+  io.in(userChannel(username)).socketsLeave(room.id);
+
+  if (user.activeRoom === room.id) {
+    await live.updateUser(user, { activeRoom: 'general' });
+    io.to(userChannel(username)).emit('active_room_changed', { roomId: user.activeRoom });
+  }
+};
+
+const emitRoomUpdate = async (room) => {
+  io.to(room.id).emit('room_updated', await serializeRoomSettings(room));
+};
+
+// Adds the user to a room they have been let into and makes it their active room.
+const enterRoom = async (socket, user, room) => {
+  const invited = room.invites.delete(user.username);
+  const granted = room.visibility !== 'public' && !room.allowed.has(user.username);
+
+  if (granted) {
+    room.allowed.add(user.username);
+  }
+
+  if (invited || granted) {
+    persistRoom(room);
+  }
+
+  if (await live.joinRoom(user.username, room.id)) {
+    io.in(userChannel(user.username)).socketsJoin(room.id);
+    addSystemMessage(room.id, `${user.username} joined ${room.name}`);
+    await emitRoomUpdate(room);
+  }
+
+  await live.updateUser(user, { activeRoom: room.id });
+
+  const payloadRoom = await serializeRoom(room);
+  socket.emit('room_joined', payloadRoom);
+  socket.to(room.id).emit('room_user_joined', {
+    roomId: room.id,
+    user: {
+      id: user.id,
+      username: user.username,
+    },
+  });
+
+  await emitRoomList();
+  return payloadRoom;
+};
+
+// Shared checks for events that act on another user: the actor must moderate the room
+// and rank above the target, so moderators cannot act on each other or on the owner.
+const checkModeration = (actor, roomId, targetName) => {
+  const room = rooms.get(roomId);
+
+  if (!actor || !room) {
+    return { error: 'Room not found' };
+  }
+
+  if (!canModerateRoom(room, actor)) {
+    return { error: 'Only room moderators can do that' };
+  }
+
+  const account = typeof targetName === 'string' ? store.getAccount(targetName) : null;
+
+  if (!account) {
+    return { error: 'User not found' };
+  }
+
+  if (!outranks(room, actor.username, account.username)) {
+    return { error: 'You cannot moderate that user' };
+  }
+
+  return { room, target: account.username };
+};
+
+const attachSocket = async (socket, user) => {
+  await live.cancelSignOut(user.username);
+  await live.addSocket(user.username, socket.id);
+  user.sockets.add(socket.id);
+  socket.data.joined = true;
+  socket.join(userChannel(user.username));
+  user.rooms.forEach((roomId) => socket.join(roomId));
+
+  // Each socket holds one resume token; a resumed or re-joined socket gets a fresh one.
+  if (socket.data.resumeToken) {
+    await live.takeResumeToken(user.username, socket.data.resumeToken);
+  }
+
+  socket.data.resumeToken = uuidv4();
+  await live.addResumeToken(user.username, socket.data.resumeToken);
+  await live.updateUser(user, { lastSeen: new Date().toISOString() });
+};
+
+// What changed in a conversation since the client's newest message `lastMessageId`: the messages posted after
+// it, the current version of every message saved since it was posted (edits, deletions, reactions, pins, receipts
+// and reply counts; this may repeat changes the client already saw) and the pinned list. Null when the client must
+// take a fresh snapshot (it never saw the conversation, or missed more than we are willing to replay).
+const collectMissedChanges = (conversation, lastMessageId) => {
+  const last = lastMessageId ? store.getMessage(conversation.id, lastMessageId) : null;
+
+  if (!last) {
+    return null;
+  }
+
+  const page = store.listMessages(conversation.id, { after: lastMessageId, limit: MAX_REPLAY_MESSAGES });
+  const saved = store.listUpdatedMessages(conversation.id, { since: last.timestamp, limit: MAX_REPLAY_MESSAGES });
+
+  if (page.hasMore || saved.hasMore) {
+    return null;
+  }
+
+  const posted = new Set(page.messages.map((record) => record.id));
+
+  return {
+    messages: page.messages.map((record) => serializeMessage(fromMessageRecord(record))),
+    updated: saved.messages
+      .filter((record) => !posted.has(record.id))
+      .map((record) => serializeMessage(fromMessageRecord(record))),
+    pinned: serializePinned(conversation),
+  };
+};
+
+const buildResumePayload = async (user, lastMessageIds = {}) => ({
+  activeRoom: user.activeRoom,
+  users: await getPublicUsers(),
+  presence: serializeOwnPresence(user),
+  notificationPreferences: getNotificationPreferences(user.username),
+  mentionCounts: countMentions(getMentionInbox(user.username)),
+  bookmarks: getBookmarks(user.username).map((bookmark) => serializeBookmark(user.username, bookmark)),
+  invites: listInvites(user.username),
+  rooms: await Promise.all(
+    Array.from(user.rooms)
+      .map((roomId) => rooms.get(roomId))
+      .filter(Boolean)
+      .map(async (room) => {
+        const changes = collectMissedChanges(room, lastMessageIds[room.id]);
+        return changes ? { roomId: room.id, ...changes } : { roomId: room.id, room: await serializeRoom(room) };
+      })
+  ),
+  threads: Array.from(privateThreads.values())
+    .filter((thread) => thread.participants.includes(user.username))
+    .map((thread) => {
+      const changes = collectMissedChanges(thread, lastMessageIds[thread.id]);
+      return changes
+        ? { threadId: thread.id, ...changes }
+        : { threadId: thread.id, thread: serializeThread(thread, user.username) };
+    }),
+});
+
+// Saves made on other instances, passed on by `announce`. Rooms and threads are updated in place so handlers
+// holding them see the change; messages join the cached window under the same rules as local ones.
+io.on('room_saved', (record) => {
+  const cached = rooms.get(record.id);
+  const messages = cached?.messages || loadRecentMessages(record.id, MAX_ROOM_MESSAGES, record.pinned);
+
+  rooms.delete(record.id);
+  const room = createRoom(record.name, { ...record, messages });
+
+  if (cached) {
+    rooms.set(record.id, Object.assign(cached, room));
+  }
+});
+
+io.on('thread_saved', (record) => {
+  const cached = privateThreads.get(record.id);
+
+  if (cached) {
+    Object.assign(cached, record);
+  } else {
+    cacheThread(record);
+  }
+});
+
+io.on('message_saved', (record) => {
+  const message = fromMessageRecord(record);
+  const room = rooms.get(record.roomId);
+  const conversation = room || privateThreads.get(record.roomId);
+
+  if (message.deletedAt) {
+    searchIndex.remove(message.id);
+  } else {
+    searchIndex.add(message);
+  }
+
+  if (!conversation) {
+    return;
+  }
+
+  const cached = conversation.messages.find((item) => item.id === message.id);
+
+  if (cached) {
+    Object.assign(cached, message);
+    return;
+  }
+
+  const index = conversation.messages.findIndex((item) => item.timestamp > message.timestamp);
+
+  if (index === -1 || message.pinnedAt) {
+    conversation.messages.splice(index === -1 ? conversation.messages.length : index, 0, message);
+    trimMessages(conversation.messages, room ? MAX_ROOM_MESSAGES : MAX_PRIVATE_MESSAGES);
+  }
+});
+
+io.on('connection', (socket) => {
+  // Handlers wait on the shared state, so a failure there is logged and answered through the ack instead of
+  // escaping as an unhandled rejection.
+  const on = (event, handler) => {
+    socket.on(event, async (...args) => {
+      try {
+        await handler(...args);
+      } catch (error) {
+        console.error(`Failed to handle ${event}`, error);
+        const ack = args[args.length - 1];
+
+        if (typeof ack === 'function') {
+          ack({ ok: false, error: 'Something went wrong, please try again' });
+        }
+      }
+    });
+  };
+
+  // Every event is charged against this socket and its user before any handler runs; a rejected
+  // event never reaches its handler and is answered through its ack (if any) and `rate_limited`.
+  // Events without their own budget, including unknown ones, share the `default` bucket.
+  socket.use(([event, ...args], next) => {
+    const result = rateLimiter.consume({
+      name: rateLimiter.hasBudget(event) ? event : 'default',
+      connection: `socket:${socket.id}`,
+      user: socket.data.user.username,
+    });
+
+    if (result.ok) {
+      next();
+      return;
+    }
+
+    const ack = args[args.length - 1];
+
+    if (typeof ack === 'function') {
+      ack({ ok: false, ...rateLimitedError(result) });
+    }
+
+    socket.emit('rate_limited', { event, retryAfterMs: result.retryAfterMs, muted: result.muted });
+  });
+
+  // Payloads are checked against shared/eventSchemas.mjs before any handler runs. Handlers then always
+  // receive a cleaned object (undeclared keys dropped, strings trimmed where the schema says so).
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+    const result = validatePayload(event, args[0]);
+
+    if (!result.ok) {
+      ack?.({ ok: false, error: result.error, code: result.code, field: result.field });
+      return;
+    }
+
+    packet.splice(1, packet.length - 1, result.value, ...(ack ? [ack] : []));
+    next();
+  });
+
+  on('user_join', async (payload, ack) => {
+    const { id: userId, username } = socket.data.user;
+    const { resumeToken, lastMessageIds } = payload || {};
+    const now = new Date().toISOString();
+    const existingUser = await live.getUser(username);
+    const resumed = Boolean(existingUser && (await live.takeResumeToken(username, resumeToken)));
+    let isNew = false;
+
+    if (!existingUser) {
+      const presence = store.getAccount(username)?.presence;
+      // Another tab may have brought the user online on another instance in the meantime.
+      isNew = await live.createUser({
+        id: userId,
+        username,
+        status: presence?.status || 'online',
+        customStatus: presence?.customStatus || null,
+        activeRoom: 'general',
+        lastSeen: now,
+      });
+      const defaultRoom = rooms.get('general') || createRoom('General', { id: 'general' });
+      await live.joinRoom(username, defaultRoom.id);
+    }
+
+    const userRecord = await live.getUser(username);
+    await attachSocket(socket, userRecord);
+
+    if (resumed) {
+      socket.emit('session_resumed', await buildResumePayload(userRecord, lastMessageIds));
+    } else {
+      socket.emit('initial_state', {
+        rooms: await Promise.all(Array.from(userRecord.rooms).map((roomId) => serializeRoom(rooms.get(roomId)))),
+        threads: listUserThreads(username),
+        unreadThreads: countUnreadThreads(username),
+        invites: listInvites(username),
+        activeRoom: userRecord.activeRoom,
+        users: await getPublicUsers(),
+        presence: serializeOwnPresence(userRecord),
+        notificationPreferences: getNotificationPreferences(username),
+        mentionCounts: countMentions(getMentionInbox(username)),
+        bookmarks: getBookmarks(username).map((bookmark) => serializeBookmark(username, bookmark)),
+      });
+    }
+
+    await emitUserList();
+
+    // Extra tabs, devices and resumed connections join silently, and so do invisible users.
+    if (isNew) {
+      deliverQueuedMessages(username);
+      await emitRoomList();
+      if (userRecord.status !== 'invisible') {
+        io.emit('user_joined', { username, id: userId, joinedAt: now });
+        addSystemMessage('general', `${username} joined the chat`);
+      }
+      await emitRoomUpdate(rooms.get('general'));
+    }
+
+    ack?.({
+      ok: true,
+      resumed,
+      activeRoom: userRecord.activeRoom,
+      resumeToken: socket.data.resumeToken,
+    });
+  });
+
+  on('join_room', async (payload, ack) => {
+    const { roomId: requestedRoom, roomName, description, visibility = 'public', password } = payload || {};
+    const user = await getSocketUser(socket);
+
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
+      return;
+    }
+
+    const targetName = requestedRoom || roomName;
+
+    if (!targetName) {
+      ack?.({ ok: false, error: 'Room name is required' });
+      return;
+    }
+
+    const existing = rooms.get(requestedRoom || normalizeRoomId(targetName));
+
+    if (existing?.bans.has(user.username)) {
+      ack?.({ ok: false, error: 'You are banned from this room' });
+      return;
+    }
+
+    try {
+      if (existing && !canReadRoom(existing, user.username) && !existing.invites.has(user.username)) {
+        // Private rooms stay indistinguishable from missing ones.
+        if (existing.visibility === 'private') {
+          ack?.({ ok: false, error: 'Room not found' });
+          return;
+        }
+
+        if (!password || !(await auth.verifyPassword(String(password), existing.passwordHash))) {
+          ack?.({ ok: false, error: 'Incorrect room password', passwordRequired: true });
+          return;
+        }
+      }
+
+      let passwordHash = null;
+
+      if (!existing) {
+        if (!ROOM_VISIBILITIES.includes(visibility)) {
+          ack?.({ ok: false, error: 'Visibility must be public, private or password' });
+          return;
+        }
+
+        if (visibility === 'password') {
+          if (!password || String(password).length < MIN_ROOM_PASSWORD_LENGTH) {
+            ack?.({ ok: false, error: `Room passwords must be at least ${MIN_ROOM_PASSWORD_LENGTH} characters` });
+            return;
+          }
+
+          passwordHash = await auth.hashPassword(String(password));
+        }
+      }
+
+      // Re-read after awaiting: someone else may have created the room meanwhile.
+      const room =
+        rooms.get(existing?.id) ||
+        createRoom(targetName, {
+          id: requestedRoom,
+          name: roomName,
+          description,
+          createdBy: user.username,
+          visibility,
+          passwordHash,
+        });
+
+      const payloadRoom = await enterRoom(socket, user, room);
+      ack?.({ ok: true, roomId: room.id, room: payloadRoom });
+    } catch (error) {
+      console.error('Failed to join room', error);
+      ack?.({ ok: false, error: 'Unable to join room' });
+    }
+  });
+
+  on('invite_to_room', async (payload, ack) => {
+    const { roomId, username } = payload || {};
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+
+    if (!user || !room || !(await live.isMember(room.id, user.username))) {
+      ack?.({ ok: false, error: 'Room not found' });
+      return;
+    }
+
+    const account = typeof username === 'string' ? store.getAccount(username) : null;
+
+    if (!account) {
+      ack?.({ ok: false, error: 'User not found' });
+      return;
+    }
+
+    const target = account.username;
+
+    if (room.bans.has(target)) {
+      ack?.({ ok: false, error: 'That user is banned from this room' });
+      return;
+    }
+
+    if (await live.isMember(room.id, target)) {
+      ack?.({ ok: false, error: 'That user is already in the room' });
+      return;
+    }
+
+    room.invites.set(target, { from: user.username, invitedAt: new Date().toISOString() });
+    persistRoom(room);
+
+    io.to(userChannel(target)).emit('room_invite', serializeInvite(room, target));
+    await emitRoomUpdate(room);
+    await emitRoomList();
+    ack?.({ ok: true });
+  });
+
+  on('respond_to_invite', async (payload, ack) => {
+    const { roomId, accept } = payload || {};
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+
+    if (!user || !room || !room.invites.has(user.username)) {
+      ack?.({ ok: false, error: 'Invitation not found' });
+      return;
+    }
+
+    if (!accept) {
+      room.invites.delete(user.username);
+      persistRoom(room);
+      await emitRoomUpdate(room);
+      await emitRoomList();
+      ack?.({ ok: true });
+      return;
+    }
+
+    if (room.bans.has(user.username)) {
+      ack?.({ ok: false, error: 'You are banned from this room' });
+      return;
+    }
+
+    const payloadRoom = await enterRoom(socket, user, room);
+    ack?.({ ok: true, roomId: room.id, room: payloadRoom });
+  });
+
+  on('leave_room', async ({ roomId }, ack) => {
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+
+    if (!user || !room) {
+      ack?.({ ok: false, error: 'Unable to leave room' });
+      return;
+    }
+
+    await removeFromRoom(room, user.username);
+    addSystemMessage(room.id, `${user.username} left ${room.name}`);
+    await emitRoomUpdate(room);
+
+    socket.to(room.id).emit('room_user_left', {
+      roomId: room.id,
+      user: {
+        id: user.id,
+        username: user.username,
+      },
+    });
+
+    await emitRoomList();
+    ack?.({ ok: true });
+  });
+
+  on('send_message', async (payload, ack) => {
+    const { roomId, message, attachments = [], tempId, parentId } = payload || {};
+    const user = await getSocketUser(socket);
+    const trimmed = message ? String(message).trim() : '';
+
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
+      return;
+    }
+
+    if (!roomId) {
+      ack?.({ ok: false, error: 'Room is required' });
+      return;
+    }
+
+    const resolved = uploads.resolveAttachments(attachments, user);
+
+    if (resolved.error) {
+      ack?.({ ok: false, error: resolved.error });
+      return;
+    }
+
+    if (!trimmed && !resolved.attachments.length) {
+      ack?.({ ok: false, error: 'Message cannot be empty' });
+      return;
+    }
+
+    const room = rooms.get(roomId);
+
+    if (!room || !canReadRoom(room, user.username)) {
+      ack?.({ ok: false, error: 'Room not found' });
+      return;
+    }
+
+    if (room.bans.has(user.username)) {
+      ack?.({ ok: false, error: 'You are banned from this room' });
+      return;
+    }
+
+    if (isMuted(room, user.username)) {
+      ack?.({ ok: false, error: 'You are muted in this room' });
+      return;
+    }
+
+    const parent = parentId ? findMessage(room, parentId) : null;
+
+    if (parentId && (!parent || parent.isSystem || parent.parentId || parent.deletedAt)) {
+      ack?.({ ok: false, error: 'You can only reply to an existing top-level message' });
+      return;
+    }
+
+    const messageRecord = buildMessage({
+      roomId,
+      sender: user,
+      body: trimmed,
+      attachments: resolved.attachments,
+      tempId: tempId || null,
+      parentId: parent ? parent.id : null,
+      mentions: await resolveMentions(trimmed, room),
+    });
+
+    addMessageToRoom(room, messageRecord);
+    io.to(roomId).emit('receive_message', serializeMessage(messageRecord));
+    recordMentions(messageRecord, await mentionRecipients(messageRecord, room));
+    refreshLinkPreviews(room, messageRecord);
+
+    if (parent) {
+      recordReply(parent, messageRecord);
+      io.to(roomId).emit('message_updated', { roomId, message: serializeMessage(parent) });
+    }
+
+    ack?.({ ok: true, messageId: messageRecord.id });
+  });
+
+  on('edit_message', async (payload, ack) => {
+    const { roomId, messageId, message } = payload || {};
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+    const trimmed = message ? String(message).trim() : '';
+
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
+      return;
+    }
+
+    if (!room || !canReadRoom(room, user.username)) {
+      ack?.({ ok: false, error: 'Room not found' });
+      return;
+    }
+
+    if (room.bans.has(user.username)) {
+      ack?.({ ok: false, error: 'You are banned from this room' });
+      return;
+    }
+
+    if (!trimmed) {
+      ack?.({ ok: false, error: 'Message cannot be empty' });
+      return;
+    }
+
+    const target = findMessage(room, messageId);
+
+    if (!target) {
+      ack?.({ ok: false, error: 'Message not found' });
+      return;
+    }
+
+    if (target.isSystem || target.senderId !== user.id) {
+      ack?.({ ok: false, error: 'You can only edit your own messages' });
+      return;
+    }
+
+    if (target.deletedAt) {
+      ack?.({ ok: false, error: 'Deleted messages cannot be edited' });
+      return;
+    }
+
+    // Only people an edit newly mentions are notified.
+    if (target.body !== trimmed) {
+      const alreadyMentioned = await mentionRecipients(target, room);
+      applyEdit(target, trimmed, await resolveMentions(trimmed, room));
+      io.to(room.id).emit('message_updated', { roomId: room.id, message: serializeMessage(target) });
+      syncReplyPreview(room, target);
+      const mentioned = await mentionRecipients(target, room);
+      recordMentions(target, [...mentioned].filter((name) => !alreadyMentioned.has(name)));
+      refreshLinkPreviews(room, target);
+    }
+
+    ack?.({ ok: true, messageId: target.id });
+  });
+
+  on('delete_message', async (payload, ack) => {
+    const { roomId, messageId } = payload || {};
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
+      return;
+    }
+
+    if (!room || !canReadRoom(room, user.username)) {
+      ack?.({ ok: false, error: 'Room not found' });
+      return;
+    }
+
+    const target = findMessage(room, messageId);
+
+    if (!target || target.isSystem) {
+      ack?.({ ok: false, error: 'Message not found' });
+      return;
+    }
+
+    if (target.senderId !== user.id && !canModerateRoom(room, user)) {
+      ack?.({ ok: false, error: 'You can only delete your own messages' });
+      return;
+    }
+
+    if (!target.deletedAt) {
+      applyDelete(target, user.username);
+      io.to(room.id).emit('message_deleted', { roomId: room.id, message: serializeMessage(target) });
+      syncReplyPreview(room, target);
+      dropPin(room, target);
+    }
+
+    ack?.({ ok: true, messageId: target.id });
+  });
+
+  on('update_room', async (payload, ack) => {
+    const { roomId, name, description, visibility, password } = payload || {};
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+
+    if (!user || !room) {
+      ack?.({ ok: false, error: 'Room not found' });
+      return;
+    }
+
+    if (!canModerateRoom(room, user)) {
+      ack?.({ ok: false, error: 'Only room moderators can do that' });
+      return;
+    }
+
+    const nextName = name === undefined ? room.name : String(name).trim();
+    const nextDescription = description === undefined ? room.description : String(description).trim();
+
+    if (!nextName || nextName.length > MAX_ROOM_NAME_LENGTH) {
+      ack?.({ ok: false, error: `Room names must be 1-${MAX_ROOM_NAME_LENGTH} characters` });
+      return;
+    }
+
+    if (nextDescription.length > MAX_ROOM_DESCRIPTION_LENGTH) {
+      ack?.({ ok: false, error: `Descriptions must be at most ${MAX_ROOM_DESCRIPTION_LENGTH} characters` });
+      return;
+    }
+
+    const nextVisibility = visibility === undefined ? room.visibility : visibility;
+
+    if (!ROOM_VISIBILITIES.includes(nextVisibility)) {
+      ack?.({ ok: false, error: 'Visibility must be public, private or password' });
+      return;
+    }
+
+    if ((nextVisibility !== room.visibility || password) && getRoomRole(room, user.username) !== 'owner') {
+      ack?.({ ok: false, error: 'Only the room owner can change who can join' });
+      return;
+    }
+
+    const needsPassword = nextVisibility === 'password' && (password || !room.passwordHash);
+
+    if (needsPassword && (!password || String(password).length < MIN_ROOM_PASSWORD_LENGTH)) {
+      ack?.({ ok: false, error: `Room passwords must be at least ${MIN_ROOM_PASSWORD_LENGTH} characters` });
+      return;
+    }
+
+    try {
+      const passwordHash = needsPassword ? await auth.hashPassword(String(password)) : room.passwordHash;
+      room.passwordHash = nextVisibility === 'password' ? passwordHash : null;
+    } catch (error) {
+      console.error('Failed to hash room password', error);
+      ack?.({ ok: false, error: 'Unable to update room' });
+      return;
+    }
+
+    // Whoever is in the room keeps access when it stops being public.
+    if (room.visibility === 'public' && nextVisibility !== 'public') {
+      (await live.roomMembers(room.id)).forEach((username) => room.allowed.add(username));
+    }
+
+    room.visibility = nextVisibility;
+    room.name = nextName;
+    room.description = nextDescription;
+    persistRoom(room);
+
+    addSystemMessage(room.id, `${user.username} updated the room details`);
+    await emitRoomUpdate(room);
+    await emitRoomList();
+    ack?.({ ok: true });
+  });
+
+  on('kick_member', async (payload, ack) => {
+    const { roomId, username } = payload || {};
+    const user = await getSocketUser(socket);
+    const { room, target, error } = checkModeration(user, roomId, username);
+
+    if (error) {
+      ack?.({ ok: false, error });
+      return;
+    }
+
+    if (!(await live.isMember(room.id, target))) {
+      ack?.({ ok: false, error: 'That user is not in the room' });
+      return;
+    }
+
+    await removeFromRoom(room, target);
+    io.to(userChannel(target)).emit('room_removed', { roomId: room.id, reason: 'kicked', by: user.username });
+    addSystemMessage(room.id, `${target} was removed by ${user.username}`);
+    await emitRoomUpdate(room);
+    await emitRoomList();
+    ack?.({ ok: true });
+  });
+
+  on('ban_member', async (payload, ack) => {
+    const { roomId, username } = payload || {};
+    const user = await getSocketUser(socket);
+    const { room, target, error } = checkModeration(user, roomId, username);
+
+    if (error) {
+      ack?.({ ok: false, error });
+      return;
+    }
+
+    room.bans.add(target);
+    room.roles.delete(target);
+    room.mutes.delete(target);
+    room.allowed.delete(target);
+    room.invites.delete(target);
+    persistRoom(room);
+
+    if (await live.isMember(room.id, target)) {
+      await removeFromRoom(room, target);
+    }
+
+    io.to(userChannel(target)).emit('room_removed', { roomId: room.id, reason: 'banned', by: user.username });
+    addSystemMessage(room.id, `${target} was banned by ${user.username}`);
+    await emitRoomUpdate(room);
+    await emitRoomList();
+    ack?.({ ok: true });
+  });
+
+  on('unban_member', async (payload, ack) => {
+    const { roomId, username } = payload || {};
+    const user = await getSocketUser(socket);
+    const { room, target, error } = checkModeration(user, roomId, username);
+
+    if (error) {
+      ack?.({ ok: false, error });
+      return;
+    }
+
+    if (!room.bans.delete(target)) {
+      ack?.({ ok: false, error: 'That user is not banned' });
+      return;
+    }
+
+    persistRoom(room);
+    addSystemMessage(room.id, `${target} was unbanned by ${user.username}`);
+    await emitRoomUpdate(room);
+    ack?.({ ok: true });
+  });
+
+  on('mute_member', async (payload, ack) => {
+    const { roomId, username, minutes } = payload || {};
+    const user = await getSocketUser(socket);
+    const { room, target, error } = checkModeration(user, roomId, username);
+    const duration = Number(minutes);
+
+    if (error) {
+      ack?.({ ok: false, error });
+      return;
+    }
+
+    const until = duration > 0 ? new Date(Date.now() + duration * 60 * 1000).toISOString() : null;
+    room.mutes.set(target, until);
+    persistRoom(room);
+
+    if (await live.setTyping(room.id, null, target, false)) {
+      await emitTypingUsers(room.id, null);
+    }
+
+    addSystemMessage(
+      room.id,
+      `${target} was muted by ${user.username}${until ? ` for ${duration} minute${duration === 1 ? '' : 's'}` : ''}`
+    );
+    await emitRoomUpdate(room);
+    ack?.({ ok: true, until });
+  });
+
+  on('unmute_member', async (payload, ack) => {
+    const { roomId, username } = payload || {};
+    const user = await getSocketUser(socket);
+    const { room, target, error } = checkModeration(user, roomId, username);
+
+    if (error) {
+      ack?.({ ok: false, error });
+      return;
+    }
+
+    if (!room.mutes.delete(target)) {
+      ack?.({ ok: false, error: 'That user is not muted' });
+      return;
+    }
+
+    persistRoom(room);
+    addSystemMessage(room.id, `${target} was unmuted by ${user.username}`);
+    await emitRoomUpdate(room);
+    ack?.({ ok: true });
+  });
+
+  // Only the owner hands out or takes away the moderator role.
+  on('set_member_role', async (payload, ack) => {
+    const { roomId, username, role } = payload || {};
+    const user = await getSocketUser(socket);
+    const { room, target, error } = checkModeration(user, roomId, username);
+
+    if (error) {
+      ack?.({ ok: false, error });
+      return;
+    }
+
+    if (getRoomRole(room, user.username) !== 'owner') {
+      ack?.({ ok: false, error: 'Only the room owner can change roles' });
+      return;
+    }
+
+    if (role !== 'moderator' && role !== 'member') {
+      ack?.({ ok: false, error: 'Role must be moderator or member' });
+      return;
+    }
+
+    if (!(await live.isMember(room.id, target))) {
+      ack?.({ ok: false, error: 'That user is not in the room' });
+      return;
+    }
+
+    if (getRoomRole(room, target) === role) {
+      ack?.({ ok: true });
+      return;
+    }
+
+    if (role === 'member') {
+      room.roles.delete(target);
+    } else {
+      room.roles.set(target, role);
+    }
+
+    persistRoom(room);
+    addSystemMessage(
+      room.id,
+      role === 'moderator' ? `${target} is now a moderator` : `${target} is no longer a moderator`
+    );
+    await emitRoomUpdate(room);
+    ack?.({ ok: true });
+  });
+
+  on('message_delivered', async ({ messageId, roomId }) => {
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+
+    if (!user || !room || !canReadRoom(room, user.username)) {
+      return;
+    }
+
+    const message = findMessage(room, messageId);
+
+    if (!message) {
+      return;
+    }
+
+    registerDelivered(message, user.username);
+    io.to(roomId).emit('message_delivery_update', {
+      roomId,
+      messageId,
+      deliveredTo: Array.from(message.deliveredTo || []),
+    });
+  });
+
+  on('message_read', async ({ messageId, roomId }) => {
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+
+    if (!user || !room || !canReadRoom(room, user.username)) {
+      return;
+    }
+
+    const message = findMessage(room, messageId);
+
+    if (!message) {
+      return;
+    }
+
+    registerRead(message, user.username);
+    clearMentionsThrough(user.username, message);
+    io.to(roomId).emit('message_read_update', {
+      roomId,
+      messageId,
+      readBy: Array.from(message.readBy || []),
+    });
+  });
+
+  on('react_to_message', async ({ roomId, messageId, emoji }) => {
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+
+    if (!user || !room || !canReadRoom(room, user.username) || room.bans.has(user.username)) {
+      return;
+    }
+
+    const message = findMessage(room, messageId);
+
+    if (!message || message.deletedAt) {
+      return;
+    }
+
+    toggleReaction(message, emoji, user.username);
+    io.to(roomId).emit('message_reaction_update', {
+      roomId,
+      messageId,
+      reactions: serializeReactions(message.reactions),
+    });
+  });
+
+  on('typing', async ({ roomId, parentId, isTyping }) => {
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+
+    if (
+      !user ||
+      !room ||
+      !canReadRoom(room, user.username) ||
+      room.bans.has(user.username) ||
+      (isTyping && isMuted(room, user.username))
+    ) {
+      return;
+    }
+
+    // Typing inside a reply thread is tracked separately from the room timeline.
+    const key = parentId ? `${socket.id}:${roomId}:${parentId}` : `${socket.id}:${roomId}`;
+
+    clearTimeout(typingTimers.get(key));
+    typingTimers.delete(key);
+    await live.setTyping(roomId, parentId, user.username, isTyping);
+    await emitTypingUsers(roomId, parentId);
+
+    if (isTyping) {
+      const timer = setTimeout(async () => {
+        typingTimers.delete(key);
+
+        try {
+          await live.setTyping(roomId, parentId, user.username, false);
+          await emitTypingUsers(roomId, parentId);
+        } catch (error) {
+          console.error('Failed to clear typing', error);
+        }
+      }, TYPING_TIMEOUT_MS);
+
+      typingTimers.set(key, timer);
+    }
+  });
+
+  on('request_reply_history', async ({ roomId, parentId, before, limit = 30 } = {}, ack) => {
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+    const parent = room && user && parentId && canReadRoom(room, user.username) ? findMessage(room, parentId) : null;
+
+    if (!user || !parent) {
+      ack?.({ ok: false, error: 'Message not found' });
+      return;
+    }
+
+    const history = readHistory(room.id, { before, limit, parentId: parent.id });
+
+    if (!history) {
+      ack?.({ ok: false, error: 'Message not found' });
+      return;
+    }
+
+    ack?.({
+      ok: true,
+      roomId,
+      parentId: parent.id,
+      parent: serializeMessage(parent),
+      messages: history.messages,
+      nextCursor: history.nextCursor,
+      hasMore: history.hasMore,
+    });
+  });
+
+  on('request_room_history', async ({ roomId, before, after, around, limit = 30 } = {}, ack) => {
+    const user = await getSocketUser(socket);
+    const room = rooms.get(roomId);
+
+    if (!user || !room || !canReadRoom(room, user.username)) {
+      ack?.({ ok: false, error: 'Room not found' });
+      return;
+    }
+
+    const history = readHistory(room.id, { before, after, around, limit });
+
+    if (!history) {
+      ack?.({ ok: false, error: 'Message not found' });
+      return;
+    }
+
+    ack?.({ ok: true, roomId, ...history });
+  });
+
+  on('request_thread_history', async ({ threadId, before, after, around, limit = 30 } = {}, ack) => {
+    const user = await getSocketUser(socket);
+    const thread = privateThreads.get(threadId);
+
+    if (!user || !thread || !thread.participants.includes(user.username)) {
+      ack?.({ ok: false, error: 'Conversation not found' });
+      return;
+    }
+
+    const history = readHistory(thread.id, { before, after, around, limit });
+
+    if (!history) {
+      ack?.({ ok: false, error: 'Message not found' });
+      return;
+    }
+
+    ack?.({ ok: true, threadId: thread.id, ...history });
+  });
+
+  on('private_message', async (payload, ack) => {
+    const { to, threadId, message, attachments = [], tempId } = payload || {};
+    const user = await getSocketUser(socket);
+    const trimmed = message ? String(message).trim() : '';
+
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
+      return;
+    }
+
+    if (!to && !threadId) {
+      ack?.({ ok: false, error: 'Recipient is required' });
+      return;
+    }
+
+    const resolved = uploads.resolveAttachments(attachments, user);
+
+    if (resolved.error) {
+      ack?.({ ok: false, error: resolved.error });
+      return;
+    }
+
+    if (!trimmed && !resolved.attachments.length) {
+      ack?.({ ok: false, error: 'Message cannot be empty' });
+      return;
+    }
+
+    let thread;
+
+    if (threadId) {
+      thread = privateThreads.get(threadId);
+
+      if (!thread || !thread.participants.includes(user.username)) {
+        ack?.({ ok: false, error: 'Conversation not found' });
+        return;
+      }
+    } else {
+      // Offline recipients are fine as long as the account exists; delivery happens when they next join.
+      const recipientAccount = typeof to === 'string' ? store.getAccount(to) : null;
+
+      if (!recipientAccount) {
+        ack?.({ ok: false, error: 'Recipient not found' });
+        return;
+      }
+
+      thread = ensurePrivateThread(user.username, recipientAccount.username);
+    }
+
+    const recipients = thread.participants.filter((participant) => participant !== user.username);
+    const online = await Promise.all(recipients.map((recipient) => live.isOnline(recipient)));
+    const messageRecord = buildMessage({
+      roomId: thread.id,
+      sender: user,
+      body: trimmed,
+      attachments: resolved.attachments,
+      isPrivate: true,
+      tempId: tempId || null,
+      mentions: await resolveMentions(trimmed, thread),
+    });
+
+    addMessageToThread(thread, messageRecord);
+
+    recipients.forEach((recipient, index) => {
+      if (online[index]) {
+        registerDelivered(messageRecord, recipient);
+      }
+    });
+
+    const serialized = serializeMessage(messageRecord);
+
+    io.to(userChannel(user.username)).emit('private_message', {
+      thread: serializeThread(thread, user.username),
+      message: serialized,
+    });
+
+    recipients.forEach((recipient) => {
+      io.to(userChannel(recipient)).emit('private_message', {
+        thread: serializeThread(thread, recipient),
+        message: serialized,
+      });
+
+      io.to(userChannel(recipient)).emit('private_notification', {
+        from: user.username,
+        threadId: thread.id,
+      });
+    });
+
+    recordMentions(messageRecord, await mentionRecipients(messageRecord, thread));
+    refreshLinkPreviews(thread, messageRecord);
+
+    ack?.({
+      ok: true,
+      messageId: messageRecord.id,
+      threadId: thread.id,
+      queued: online.includes(false),
+    });
+  });
+
+  on('create_group_thread', async (payload, ack) => {
+    const { participants, name } = payload || {};
+    const user = await getSocketUser(socket);
+
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
+      return;
+    }
+
+    const resolved = resolveUsernames(participants);
+
+    if (resolved.error) {
+      ack?.({ ok: false, error: resolved.error });
+      return;
+    }
+
+    const others = resolved.names.filter((username) => username !== user.username);
+
+    if (others.length < 2) {
+      ack?.({ ok: false, error: 'Group messages need at least two other people' });
+      return;
+    }
+
+    if (others.length + 1 > MAX_GROUP_PARTICIPANTS) {
+      ack?.({ ok: false, error: `Groups can have up to ${MAX_GROUP_PARTICIPANTS} people` });
+      return;
+    }
+
+    const groupName = name ? String(name).trim().slice(0, MAX_GROUP_NAME_LENGTH) : '';
+    const thread = createGroupThread(user.username, others, groupName);
+
+    emitThreadUpdate(thread);
+
+    ack?.({ ok: true, thread: serializeThread(thread, user.username) });
+  });
+
+  on('add_thread_participants', async (payload, ack) => {
+    const { threadId, usernames } = payload || {};
+    const user = await getSocketUser(socket);
+    const thread = privateThreads.get(threadId);
+
+    if (!user || !thread || !thread.participants.includes(user.username)) {
+      ack?.({ ok: false, error: 'Conversation not found' });
+      return;
+    }
+
+    if (!thread.isGroup) {
+      ack?.({ ok: false, error: 'Start a group message to add more people' });
+      return;
+    }
+
+    const resolved = resolveUsernames(usernames);
+
+    if (resolved.error) {
+      ack?.({ ok: false, error: resolved.error });
+      return;
+    }
+
+    const added = resolved.names.filter((username) => !thread.participants.includes(username));
+
+    if (!added.length) {
+      ack?.({ ok: false, error: 'Everyone is already in this conversation' });
+      return;
+    }
+
+    if (thread.participants.length + added.length > MAX_GROUP_PARTICIPANTS) {
+      ack?.({ ok: false, error: `Groups can have up to ${MAX_GROUP_PARTICIPANTS} people` });
+      return;
+    }
+
+    thread.participants.push(...added);
+    persistThread(thread);
+
+    // New participants get the recent history, everyone else just the new member list.
+    added.forEach((participant) => {
+      io.to(userChannel(participant)).emit('thread_updated', serializeThread(thread, participant));
+    });
+    thread.participants
+      .filter((participant) => !added.includes(participant))
+      .forEach((participant) => {
+        io.to(userChannel(participant)).emit('thread_updated', serializeThreadSettings(thread, participant));
+      });
+
+    ack?.({ ok: true, added });
+  });
+
+  // Anyone may leave a group; only its owner (`createdBy`) may remove someone else. When the owner leaves,
+  // ownership passes to whoever has been in the group longest, since participants are kept in join order.
+  on('remove_thread_participant', async (payload, ack) => {
+    const { threadId, username } = payload || {};
+    const user = await getSocketUser(socket);
+    const thread = privateThreads.get(threadId);
+
+    if (!user || !thread || !thread.participants.includes(user.username)) {
+      ack?.({ ok: false, error: 'Conversation not found' });
+      return;
+    }
+
+    if (!thread.isGroup) {
+      ack?.({ ok: false, error: 'Only group messages have removable participants' });
+      return;
+    }
+
+    const target = username || user.username;
+
+    if (!thread.participants.includes(target)) {
+      ack?.({ ok: false, error: 'That user is not in this conversation' });
+      return;
+    }
+
+    if (target !== user.username && thread.createdBy !== user.username) {
+      ack?.({ ok: false, error: 'Only the group owner can remove people' });
+      return;
+    }
+
+    thread.participants = thread.participants.filter((participant) => participant !== target);
+
+    if (thread.createdBy === target) {
+      thread.createdBy = thread.participants[0] || null;
+    }
+
+    persistThread(thread);
+
+    io.to(userChannel(target)).emit('thread_removed', {
+      threadId: thread.id,
+      by: user.username,
+      left: target === user.username,
+    });
+    emitThreadUpdate(thread);
+    ack?.({ ok: true });
+  });
+
+  on('edit_private_message', async (payload, ack) => {
+    const { threadId, messageId, message } = payload || {};
+    const user = await getSocketUser(socket);
+    const thread = privateThreads.get(threadId);
+    const trimmed = message ? String(message).trim() : '';
+
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
+      return;
+    }
+
+    if (!thread || !thread.participants.includes(user.username)) {
+      ack?.({ ok: false, error: 'Conversation not found' });
+      return;
+    }
+
+    if (!trimmed) {
+      ack?.({ ok: false, error: 'Message cannot be empty' });
+      return;
+    }
+
+    const target = findMessage(thread, messageId);
+
+    if (!target) {
+      ack?.({ ok: false, error: 'Message not found' });
+      return;
+    }
+
+    if (target.senderId !== user.id) {
+      ack?.({ ok: false, error: 'You can only edit your own messages' });
+      return;
+    }
+
+    if (target.deletedAt) {
+      ack?.({ ok: false, error: 'Deleted messages cannot be edited' });
+      return;
+    }
+
+    if (target.body !== trimmed) {
+      const alreadyMentioned = await mentionRecipients(target, thread);
+      applyEdit(target, trimmed, await resolveMentions(trimmed, thread));
+      io.to(thread.participants.map(userChannel)).emit('message_updated', {
+        threadId: thread.id,
+        message: serializeMessage(target),
+      });
+      const mentioned = await mentionRecipients(target, thread);
+      recordMentions(target, [...mentioned].filter((name) => !alreadyMentioned.has(name)));
+      refreshLinkPreviews(thread, target);
+    }
+
+    ack?.({ ok: true, messageId: target.id });
+  });
 
-    if (!username) {
-      ack?.({ ok: false, error: 'Username is required' });
+  on('delete_private_message', async (payload, ack) => {
+    const { threadId, messageId } = payload || {};
+    const user = await getSocketUser(socket);
+    const thread = privateThreads.get(threadId);
+
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
       return;
     }
 
-    if (usernameToSocketId.has(username)) {
-      ack?.({ ok: false, error: 'That username is already in use' });
+    if (!thread || !thread.participants.includes(user.username)) {
+      ack?.({ ok: false, error: 'Conversation not found' });
       return;
     }
 
-    const now = new Date().toISOString();
-    const userRecord = {
-      id: socket.id,
-      username,
-      status: 'online',
-      activeRoom: 'general',
-      rooms: new Set(),
-      lastSeen: now,
-    };
-
-    users.set(socket.id, userRecord);
-    usernameToSocketId.set(username, socket.id);
+    const target = findMessage(thread, messageId);
 
-    const defaultRoom = rooms.get('general') || createRoom('General', { id: 'general' });
-    userRecord.rooms.add(defaultRoom.id);
-    socket.join(defaultRoom.id);
-    defaultRoom.members.add(socket.id);
-
-    const initialRooms = Array.from(userRecord.rooms).map((roomId) => serializeRoom(rooms.get(roomId)));
-    const initialThreads = listUserThreads(username);
+    if (!target) {
+      ack?.({ ok: false, error: 'Message not found' });
+      return;
+    }
 
-    socket.emit('initial_state', {
-      rooms: initialRooms,
-      threads: initialThreads,
-      activeRoom: userRecord.activeRoom,
-      users: getPublicUsers(),
-    });
+    if (target.senderId !== user.id) {
+      ack?.({ ok: false, error: 'You can only delete your own messages' });
+      return;
+    }
 
-    emitUserList();
-    emitRoomList();
-    io.emit('user_joined', { username, id: socket.id, joinedAt: now });
-    addSystemMessage(defaultRoom.id, `${username} joined the chat`);
+    if (!target.deletedAt) {
+      applyDelete(target, user.username);
+      io.to(thread.participants.map(userChannel)).emit('message_deleted', {
+        threadId: thread.id,
+        message: serializeMessage(target),
+      });
+      dropPin(thread, target);
+    }
 
-    ack?.({ ok: true, activeRoom: userRecord.activeRoom });
+    ack?.({ ok: true, messageId: target.id });
   });
 
-  socket.on('join_room', (payload, ack) => {
-    const { roomId: requestedRoom, roomName, description } = payload || {};
-    const user = users.get(socket.id);
+  // The sender can hide a message's link previews; later edits then leave them hidden.
+  on('dismiss_link_previews', async (payload, ack) => {
+    const user = await getSocketUser(socket);
 
     if (!user) {
       ack?.({ ok: false, error: 'Not authenticated' });
       return;
     }
 
-    const targetName = requestedRoom || roomName;
+    const { conversation, error } = resolveConversation(user, payload);
 
-    if (!targetName) {
-      ack?.({ ok: false, error: 'Room name is required' });
+    if (error) {
+      ack?.({ ok: false, error });
       return;
     }
 
-    const room = createRoom(targetName, { id: requestedRoom, name: roomName, description, createdBy: user.username });
+    const target = findMessage(conversation, payload.messageId);
 
-    if (!user.rooms.has(room.id)) {
-      user.rooms.add(room.id);
-      room.members.add(socket.id);
-      socket.join(room.id);
-      addSystemMessage(room.id, `${user.username} joined ${room.name}`);
+    if (!target || target.deletedAt) {
+      ack?.({ ok: false, error: 'Message not found' });
+      return;
     }
 
-    user.activeRoom = room.id;
+    if (target.isSystem || target.senderId !== user.id) {
+      ack?.({ ok: false, error: 'You can only dismiss previews on your own messages' });
+      return;
+    }
 
-    const payloadRoom = serializeRoom(room);
-    socket.emit('room_joined', payloadRoom);
-    socket.to(room.id).emit('room_user_joined', {
-      roomId: room.id,
-      user: {
-        id: user.id,
-        username: user.username,
-      },
-    });
+    if (!target.linkPreviewsDismissed) {
+      target.linkPreviewsDismissed = true;
+      target.linkPreviews = [];
+      persistMessage(target);
+      emitMessageUpdated(conversation, target);
+    }
 
-    emitRoomList();
-    ack?.({ ok: true, roomId: room.id, room: payloadRoom });
+    ack?.({ ok: true, messageId: target.id });
   });
 
-  socket.on('leave_room', ({ roomId }, ack) => {
-    const user = users.get(socket.id);
-    const room = rooms.get(roomId);
+  // Room moderators pin and unpin in rooms; anyone in a DM or group can.
+  const handlePin = (pin) => async (payload, ack) => {
+    const user = await getSocketUser(socket);
 
-    if (!user || !room) {
-      ack?.({ ok: false, error: 'Unable to leave room' });
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
       return;
     }
 
-    user.rooms.delete(room.id);
-    room.members.delete(socket.id);
-    socket.leave(room.id);
-    addSystemMessage(room.id, `${user.username} left ${room.name}`);
+    const { conversation, error } = resolveConversation(user, payload);
 
-    if (user.activeRoom === room.id) {
-      user.activeRoom = 'general';
-      socket.emit('active_room_changed', { roomId: user.activeRoom });
+    if (error) {
+      ack?.({ ok: false, error });
+      return;
     }
 
-    socket.to(room.id).emit('room_user_left', {
-      roomId: room.id,
-      user: {
-        id: user.id,
-        username: user.username,
-      },
-    });
+    if (!conversation.participants && !canModerateRoom(conversation, user)) {
+      ack?.({ ok: false, error: 'Only room moderators can pin messages' });
+      return;
+    }
 
-    emitRoomList();
-    ack?.({ ok: true });
-  });
+    const target = findMessage(conversation, payload.messageId);
 
-  socket.on('send_message', (payload, ack) => {
-    const { roomId, message, attachments = [], tempId } = payload || {};
-    const user = users.get(socket.id);
-    const trimmed = message ? String(message).trim() : '';
+    if (!target || target.isSystem || target.deletedAt || target.parentId) {
+      ack?.({ ok: false, error: 'Only messages in the conversation itself can be pinned' });
+      return;
+    }
+
+    if (pin && !target.pinnedAt && conversation.pinned.length >= MAX_PINNED_MESSAGES) {
+      ack?.({ ok: false, error: `Conversations can have up to ${MAX_PINNED_MESSAGES} pinned messages` });
+      return;
+    }
+
+    if (pin !== Boolean(target.pinnedAt)) {
+      setPinned(conversation, target, pin ? user.username : null);
+    }
+
+    ack?.({ ok: true, messageId: target.id });
+  };
+
+  on('pin_message', handlePin(true));
+  on('unpin_message', handlePin(false));
+
+  // Saving a message that is already saved just replaces its note, which still works once the message is
+  // deleted or out of reach.
+  on('add_bookmark', async (payload, ack) => {
+    const user = await getSocketUser(socket);
 
     if (!user) {
       ack?.({ ok: false, error: 'Not authenticated' });
       return;
     }
 
-    if (!roomId) {
-      ack?.({ ok: false, error: 'Room is required' });
+    const bookmarks = getBookmarks(user.username);
+    const existing = bookmarks.find((bookmark) => bookmark.messageId === payload.messageId);
+    const note = payload.note || '';
+
+    if (existing) {
+      const bookmark = { ...existing, note };
+      saveBookmarks(user.username, bookmarks.map((item) => (item === existing ? bookmark : item)));
+      ack?.({ ok: true, bookmark: serializeBookmark(user.username, bookmark) });
       return;
     }
 
-    if (!trimmed) {
-      ack?.({ ok: false, error: 'Message cannot be empty' });
+    const { conversation, error } = resolveConversation(user, payload);
+
+    if (error) {
+      ack?.({ ok: false, error });
       return;
     }
 
-    const room = rooms.get(roomId);
+    const target = findMessage(conversation, payload.messageId);
 
-    if (!room) {
-      ack?.({ ok: false, error: 'Room not found' });
+    if (!target || target.isSystem || target.deletedAt) {
+      ack?.({ ok: false, error: 'Message not found' });
       return;
     }
 
-    const messageRecord = buildMessage({
-      roomId,
-      sender: user,
-      body: trimmed,
-      attachments,
-      tempId: tempId || null,
-    });
+    if (bookmarks.length >= MAX_BOOKMARKS) {
+      ack?.({ ok: false, error: `You can save up to ${MAX_BOOKMARKS} messages` });
+      return;
+    }
 
-    addMessageToRoom(room, messageRecord);
-    io.to(roomId).emit('receive_message', serializeMessage(messageRecord));
+    const bookmark = {
+      messageId: target.id,
+      conversationType: conversation.participants ? 'thread' : 'room',
+      conversationId: conversation.id,
+      note,
+      savedAt: new Date().toISOString(),
+      snapshot: snapshotOf(target),
+    };
 
-    ack?.({ ok: true, messageId: messageRecord.id });
+    saveBookmarks(user.username, [bookmark, ...bookmarks]);
+    ack?.({ ok: true, bookmark: serializeBookmark(user.username, bookmark) });
   });
 
-  socket.on('message_delivered', ({ messageId, roomId }) => {
-    const user = users.get(socket.id);
-    const room = rooms.get(roomId);
+  on('remove_bookmark', async (payload, ack) => {
+    const user = await getSocketUser(socket);
 
-    if (!user || !room) {
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
       return;
     }
 
-    const message = room.messages.find((item) => item.id === messageId);
+    const bookmarks = getBookmarks(user.username);
+    const remaining = bookmarks.filter((bookmark) => bookmark.messageId !== payload.messageId);
 
-    if (!message) {
-      return;
+    if (remaining.length !== bookmarks.length) {
+      saveBookmarks(user.username, remaining);
     }
 
-    registerDelivered(message, user.username);
-    io.to(roomId).emit('message_delivery_update', {
-      roomId,
-      messageId,
-      deliveredTo: Array.from(message.deliveredTo || []),
-    });
+    ack?.({ ok: true, messageId: payload.messageId });
   });
 
-  socket.on('message_read', ({ messageId, roomId }) => {
-    const user = users.get(socket.id);
-    const room = rooms.get(roomId);
+  on('private_typing', async ({ to, threadId, isTyping }) => {
+    const user = await getSocketUser(socket);
 
-    if (!user || !room) {
+    if (!user) {
       return;
     }
 
-    const message = room.messages.find((item) => item.id === messageId);
+    if (threadId) {
+      const thread = privateThreads.get(threadId);
 
-    if (!message) {
+      if (!thread || !thread.participants.includes(user.username)) {
+        return;
+      }
+
+      thread.participants
+        .filter((participant) => participant !== user.username)
+        .forEach((participant) => {
+          io.to(userChannel(participant)).emit('private_typing', {
+            from: user.username,
+            threadId: thread.id,
+            isTyping: Boolean(isTyping),
+          });
+        });
       return;
     }
 
-    registerRead(message, user.username);
-    io.to(roomId).emit('message_read_update', {
-      roomId,
-      messageId,
-      readBy: Array.from(message.readBy || []),
+    if (!(await live.isOnline(to))) {
+      return;
+    }
+
+    io.to(userChannel(to)).emit('private_typing', {
+      from: user.username,
+      isTyping: Boolean(isTyping),
     });
   });
 
-  socket.on('react_to_message', ({ roomId, messageId, emoji }) => {
-    const user = users.get(socket.id);
-    const room = rooms.get(roomId);
+  on('private_message_read', async ({ threadId, messageId }) => {
+    const user = await getSocketUser(socket);
+    const thread = privateThreads.get(threadId);
 
-    if (!user || !room) {
+    if (!user || !thread || !thread.participants.includes(user.username)) {
       return;
     }
 
-    const message = room.messages.find((item) => item.id === messageId);
+    const message = findMessage(thread, messageId);
 
     if (!message) {
       return;
     }
 
-    toggleReaction(message, emoji, user.username);
-    io.to(roomId).emit('message_reaction_update', {
-      roomId,
+    registerRead(message, user.username);
+    clearMentionsThrough(user.username, message);
+
+    io.to(thread.participants.map(userChannel)).emit('private_read_receipt', {
+      threadId,
       messageId,
-      reactions: serializeReactions(message.reactions),
+      readBy: Array.from(message.readBy || []),
     });
   });
 
-  socket.on('typing', ({ roomId, isTyping }) => {
-    const user = users.get(socket.id);
-    const room = rooms.get(roomId);
+  on('react_to_private_message', async ({ threadId, messageId, emoji }) => {
+    const user = await getSocketUser(socket);
+    const thread = privateThreads.get(threadId);
 
-    if (!user || !room) {
+    if (!user || !thread || !thread.participants.includes(user.username)) {
       return;
     }
 
-    if (isTyping) {
-      room.typing.add(user.username);
-      io.to(roomId).emit('typing_users', {
-        roomId,
-        users: Array.from(room.typing),
-      });
-
-      const key = `${socket.id}:${roomId}`;
-      clearTimeout(typingTimers.get(key));
-      const timer = setTimeout(() => {
-        room.typing.delete(user.username);
-        typingTimers.delete(key);
-        io.to(roomId).emit('typing_users', {
-          roomId,
-          users: Array.from(room.typing),
-        });
-      }, TYPING_TIMEOUT_MS);
+    const message = findMessage(thread, messageId);
 
-      typingTimers.set(key, timer);
-    } else {
-      const key = `${socket.id}:${roomId}`;
-      room.typing.delete(user.username);
-      clearTimeout(typingTimers.get(key));
-      typingTimers.delete(key);
-      io.to(roomId).emit('typing_users', {
-        roomId,
-        users: Array.from(room.typing),
-      });
+    if (!message || message.deletedAt) {
+      return;
     }
+
+    toggleReaction(message, emoji, user.username);
+
+    io.to(thread.participants.map(userChannel)).emit('private_reaction_update', {
+      threadId,
+      messageId,
+      reactions: serializeReactions(message.reactions),
+    });
   });
 
-  socket.on('request_room_history', ({ roomId, before, limit = 30 }, ack) => {
-    const user = users.get(socket.id);
+  on('set_active_room', async ({ roomId }) => {
+    const user = await getSocketUser(socket);
     const room = rooms.get(roomId);
 
     if (!user || !room) {
-      ack?.({ ok: false, error: 'Room not found' });
       return;
     }
 
-    const parsedLimit = Math.min(Number(limit) || 30, 100);
-    const beforeIndex = before ? room.messages.findIndex((message) => message.id === before) : -1;
-    const endIndex = beforeIndex === -1 ? room.messages.length : beforeIndex;
-    const startIndex = Math.max(0, endIndex - parsedLimit);
-    const slice = room.messages.slice(startIndex, endIndex).map(serializeMessage);
-    const hasMore = startIndex > 0;
-    const nextCursor = hasMore ? room.messages[startIndex - 1]?.id || null : null;
-
-    ack?.({
-      ok: true,
-      roomId,
-      messages: slice,
-      nextCursor,
-      hasMore,
-    });
+    await live.updateUser(user, { activeRoom: roomId, lastSeen: new Date().toISOString() });
   });
 
-  socket.on('private_message', (payload, ack) => {
-    const { to, message, tempId } = payload || {};
-    const user = users.get(socket.id);
-    const trimmed = message ? String(message).trim() : '';
+  // Going invisible looks like signing out to everyone else; coming back looks like signing in.
+  on('set_status', async ({ status }, ack) => {
+    const user = await getSocketUser(socket);
 
     if (!user) {
       ack?.({ ok: false, error: 'Not authenticated' });
       return;
     }
 
-    if (!to) {
-      ack?.({ ok: false, error: 'Recipient is required' });
-      return;
-    }
-
-    if (!trimmed) {
-      ack?.({ ok: false, error: 'Message cannot be empty' });
-      return;
-    }
+    const wasHidden = user.status === 'invisible';
+    const now = new Date().toISOString();
 
-    const recipientSocketId = usernameToSocketId.get(to);
-    const recipientUser = recipientSocketId ? users.get(recipientSocketId) : null;
+    await live.updateUser(user, { status });
+    savePresence(user);
 
-    if (!recipientUser) {
-      ack?.({ ok: false, error: 'Recipient is offline' });
-      return;
+    if (!wasHidden && status === 'invisible') {
+      updateAccount(user.username, { lastSeenAt: now });
+      io.except(userChannel(user.username)).emit('user_left', { username: user.username, id: user.id, leftAt: now });
+    } else if (wasHidden && status !== 'invisible') {
+      io.except(userChannel(user.username)).emit('user_joined', {
+        username: user.username,
+        id: user.id,
+        joinedAt: now,
+      });
     }
 
-    const thread = ensurePrivateThread(user.username, recipientUser.username);
-    const messageRecord = buildMessage({
-      roomId: thread.id,
-      sender: user,
-      body: trimmed,
-      isPrivate: true,
-      tempId: tempId || null,
-    });
-
-    addMessageToThread(thread, messageRecord);
-    registerDelivered(messageRecord, recipientUser.username);
-
-    const serialized = serializeMessage(messageRecord);
+    await emitUserList();
+    emitOwnPresence(user);
+    ack?.({ ok: true, presence: serializeOwnPresence(user) });
+  });
 
-    socket.emit('private_message', {
-      thread: serializeThread(thread, user.username),
-      message: serialized,
-    });
+  // An empty text and emoji clear the custom status.
+  on('set_custom_status', async ({ text = '', emoji = '', expiresInMinutes }, ack) => {
+    const user = await getSocketUser(socket);
 
-    io.to(recipientSocketId).emit('private_message', {
-      thread: serializeThread(thread, recipientUser.username),
-      message: serialized,
-    });
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
+      return;
+    }
 
-    io.to(recipientSocketId).emit('private_notification', {
-      from: user.username,
-      threadId: thread.id,
+    await live.updateUser(user, {
+      customStatus:
+        text || emoji
+          ? {
+              text,
+              emoji,
+              expiresAt: expiresInMinutes ? new Date(Date.now() + expiresInMinutes * 60 * 1000).toISOString() : null,
+            }
+          : null,
     });
+    savePresence(user);
 
-    ack?.({ ok: true, messageId: messageRecord.id, threadId: thread.id });
+    await emitUserList();
+    emitOwnPresence(user);
+    ack?.({ ok: true, presence: serializeOwnPresence(user) });
   });
 
-  socket.on('private_typing', ({ to, isTyping }) => {
-    const user = users.get(socket.id);
-    const recipientSocketId = usernameToSocketId.get(to);
+  // `minutes` only applies to "muted" and makes the mute lift by itself. Every device gets the new settings.
+  on('set_notification_preference', async ({ roomId, threadId, level, minutes }, ack) => {
+    const user = await getSocketUser(socket);
 
-    if (!user || !recipientSocketId) {
+    if (!user) {
+      ack?.({ ok: false, error: 'Not authenticated' });
       return;
     }
 
-    io.to(recipientSocketId).emit('private_typing', {
-      from: user.username,
-      isTyping: Boolean(isTyping),
-    });
-  });
-
-  socket.on('private_message_read', ({ threadId, messageId }) => {
-    const user = users.get(socket.id);
-    const thread = privateThreads.get(threadId);
-
-    if (!user || !thread) {
+    if (roomId && !user.rooms.has(roomId)) {
+      ack?.({ ok: false, error: 'Room not found' });
       return;
     }
 
-    const message = thread.messages.find((item) => item.id === messageId);
+    const thread = roomId ? null : privateThreads.get(threadId);
 
-    if (!message) {
+    if (!roomId && !thread?.participants.includes(user.username)) {
+      ack?.({ ok: false, error: 'Conversation not found' });
       return;
     }
 
-    registerRead(message, user.username);
+    const now = Date.now();
+    const preferences = Object.fromEntries(
+      Object.entries(getNotificationPreferences(user.username)).filter(
+        ([, preference]) => !preference.until || Date.parse(preference.until) > now
+      )
+    );
+    const conversationId = roomId || threadId;
 
-    thread.participants.forEach((participant) => {
-      const targetSocket = usernameToSocketId.get(participant);
+    if (level === 'all') {
+      delete preferences[conversationId];
+    } else {
+      preferences[conversationId] = {
+        level,
+        until: level === 'muted' && minutes ? new Date(now + minutes * 60 * 1000).toISOString() : null,
+      };
+    }
 
-      if (targetSocket) {
-        io.to(targetSocket).emit('private_read_receipt', {
-          threadId,
-          messageId,
-          readBy: Array.from(message.readBy || []),
-        });
-      }
-    });
+    updateAccount(user.username, { notificationPreferences: preferences });
+    io.to(userChannel(user.username)).emit('notification_preferences_updated', preferences);
+    ack?.({ ok: true, preferences });
   });
 
-  socket.on('react_to_private_message', ({ threadId, messageId, emoji }) => {
-    const user = users.get(socket.id);
-    const thread = privateThreads.get(threadId);
+  // Clients report when their tab has gone idle and when activity resumes.
+  on('set_idle', async ({ idle }) => {
+    const user = await getSocketUser(socket);
 
-    if (!user || !thread) {
+    if (!user) {
       return;
     }
 
-    const message = thread.messages.find((item) => item.id === messageId);
-
-    if (!message) {
-      return;
-    }
+    const before = presenceOf(user);
 
-    toggleReaction(message, emoji, user.username);
+    await live.setIdle(user.username, socket.id, idle);
 
-    thread.participants.forEach((participant) => {
-      const targetSocket = usernameToSocketId.get(participant);
+    if (idle) {
+      user.idleSockets.add(socket.id);
+    } else {
+      user.idleSockets.delete(socket.id);
+      await live.updateUser(user, { lastSeen: new Date().toISOString() });
+    }
 
-      if (targetSocket) {
-        io.to(targetSocket).emit('private_reaction_update', {
-          threadId,
-          messageId,
-          reactions: serializeReactions(message.reactions),
-        });
-      }
-    });
+    if (presenceOf(user) !== before) {
+      await emitUserList();
+      emitOwnPresence(user);
+    }
   });
 
-  socket.on('set_active_room', ({ roomId }) => {
-    const user = users.get(socket.id);
-    const room = rooms.get(roomId);
-
-    if (!user || !room) {
+  on('request_last_seen', async ({ usernames }, ack) => {
+    if (!(await getSocketUser(socket))) {
+      ack?.({ ok: false, error: 'Not authenticated' });
       return;
     }
 
-    user.activeRoom = roomId;
-    user.lastSeen = new Date().toISOString();
+    const lastSeen = await Promise.all(usernames.map(lastSeenOf));
+    ack?.({ ok: true, lastSeen: Object.fromEntries(usernames.map((name, index) => [name, lastSeen[index]])) });
   });
 
-  socket.on('disconnect', () => {
-    const user = users.get(socket.id);
+  on('disconnect', async (reason) => {
+    const user = await getSocketUser(socket);
 
     if (!user) {
       return;
     }
 
-    const username = user.username;
+    const explicitSignOut = reason === 'client namespace disconnect';
 
-    user.rooms.forEach((roomId) => {
-      const room = rooms.get(roomId);
+    await live.removeSocket(user.username, socket.id);
+    await clearTyping(socket.id, user);
+    await live.updateUser(user, { lastSeen: new Date().toISOString() });
 
-      if (room) {
-        room.members.delete(socket.id);
-        room.typing.delete(username);
-        addSystemMessage(room.id, `${username} left the room`);
-        io.to(room.id).emit('typing_users', {
-          roomId: room.id,
-          users: Array.from(room.typing),
-        });
-      }
-    });
+    if (explicitSignOut) {
+      await live.takeResumeToken(user.username, socket.data.resumeToken);
+    }
 
-    users.delete(socket.id);
-    usernameToSocketId.delete(username);
+    // The user stays online while any of their tabs or devices, on any instance, is still connected.
+    if ((await live.socketCount(user.username)) > 0) {
+      await emitUserList();
+      return;
+    }
 
-    Array.from(typingTimers.entries()).forEach(([key, timer]) => {
-      if (key.startsWith(`${socket.id}:`)) {
-        clearTimeout(timer);
-        typingTimers.delete(key);
-      }
-    });
+    // An explicit sign-out leaves straight away; dropped connections get a grace period to resume.
+    if (explicitSignOut) {
+      await removeUser(user.username);
+      return;
+    }
 
-    emitUserList();
-    emitRoomList();
-    io.emit('user_left', { username, id: socket.id, leftAt: new Date().toISOString() });
+    // Coming back on any instance cancels the sign-out, and dropping again starts a new grace period whose
+    // token replaces this one, so at most one timer signs the user out.
+    const token = uuidv4();
+    await live.markSignOut(user.username, token, RESUME_GRACE_MS * 2);
+
+    setTimeout(async () => {
+      try {
+        if (await live.claimSignOut(user.username, token)) {
+          await removeUser(user.username);
+        }
+      } catch (error) {
+        console.error('Failed to sign out a disconnected user', error);
+      }
+    }, RESUME_GRACE_MS);
   });
 });
 
-const PORT = process.env.PORT || 5000;
-
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
-
-module.exports = { app, server, io };
-
 // Attach Sentry error handler (if enabled) and a generic error handler
 if (process.env.SENTRY_DSN) {
   // Sentry's error handler must be added after all routes
@@ -910,4 +3455,31 @@ app.use((err, req, res, next) => {
   if (!res.headersSent) {
     res.status(500).json({ error: 'Internal Server Error' });
   }
-});
\ No newline at end of file
+});
+
+// Expired custom statuses are already hidden from readers; this clears them and tells everyone once.
+const expireCustomStatuses = async () => {
+  const expired = (await live.listUsers()).filter((user) => user.customStatus && !activeCustomStatus(user));
+
+  for (const user of expired) {
+    await live.updateUser(user, { customStatus: null });
+    savePresence(user);
+    emitOwnPresence(user);
+  }
+
+  if (expired.length) {
+    await emitUserList();
+  }
+};
+
+setInterval(() => {
+  expireCustomStatuses().catch((error) => console.error('Failed to expire custom statuses', error));
+}, STATUS_SWEEP_MS).unref();
+
+const PORT = process.env.PORT || 5000;
+
+server.listen(PORT, () => {
+  console.log(`Server running on port ${server.address().port}`);
+});
+
+module.exports = { app, server, io };
@@ -0,0 +1,35 @@
+// state/index.js - Selects the driver for live state: presence, room membership, typing and pending sign-outs
+//
+// The store keeps what must outlast a restart; this keeps what only matters while people are connected. Every
+// server instance behind a load balancer must use the same state. Drivers expose the same asynchronous interface
+// over string keys, small enough for a networked key-value store such as Redis to implement:
+//   get(key) / set(key, value, { ttlMs }) / delete(key) - JSON values; expired keys read as null.
+//     `delete` removes the key whether it holds a value or a set.
+//   deleteIf(key, value)                     - deletes the key only while it holds `value`; resolves whether it did
+//   add(key, member) / remove(key, member)   - sets of strings; both resolve whether the set changed
+//   members(key) / has(key, member) / count(key)
+//   close()
+//
+// CHAT_STATE is "memory" (one process only), "sqlite" (a file shared by the processes on one machine) or the path
+// of a module whose export returns a driver, for stores shared between machines.
+
+const path = require('path');
+const createMemoryState = require('./memoryState');
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '..', 'data', 'state.db');
+
+const createState = ({ driver = process.env.CHAT_STATE || 'memory', filename } = {}) => {
+  if (driver === 'memory') {
+    return createMemoryState();
+  }
+
+  if (driver === 'sqlite') {
+    // Required lazily so the memory driver works without the native module.
+    const createSqliteState = require('./sqliteState');
+    return createSqliteState({ filename: filename || process.env.STATE_FILE || DEFAULT_STATE_FILE });
+  }
+
+  return require(path.resolve(driver))();
+};
+
+module.exports = { createState };
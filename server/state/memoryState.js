@@ -0,0 +1,78 @@
+// memoryState.js - Process-local live state (the default; only for a single server instance)
+
+const clone = (value) => (value == null ? null : structuredClone(value));
+
+const createMemoryState = () => {
+  // key -> { value, expiresAt }, with expiresAt null for keys that never expire
+  const values = new Map();
+  const sets = new Map();
+
+  const read = (key) => {
+    const entry = values.get(key);
+
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      values.delete(key);
+      return null;
+    }
+
+    return entry || null;
+  };
+
+  return {
+    driver: 'memory',
+
+    get: async (key) => clone(read(key)?.value),
+
+    set: async (key, value, { ttlMs } = {}) => {
+      values.set(key, { value: clone(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+
+    delete: async (key) => {
+      values.delete(key);
+      sets.delete(key);
+    },
+
+    deleteIf: async (key, value) => {
+      const entry = read(key);
+
+      if (!entry || JSON.stringify(entry.value) !== JSON.stringify(value)) {
+        return false;
+      }
+
+      values.delete(key);
+      return true;
+    },
+
+    add: async (key, member) => {
+      if (!sets.has(key)) {
+        sets.set(key, new Set());
+      }
+
+      const set = sets.get(key);
+      const added = !set.has(member);
+      set.add(member);
+      return added;
+    },
+
+    remove: async (key, member) => {
+      const set = sets.get(key);
+      const removed = Boolean(set?.delete(member));
+
+      if (set && !set.size) {
+        sets.delete(key);
+      }
+
+      return removed;
+    },
+
+    members: async (key) => Array.from(sets.get(key) || []),
+
+    has: async (key, member) => Boolean(sets.get(key)?.has(member)),
+
+    count: async (key) => sets.get(key)?.size || 0,
+
+    close: async () => {},
+  };
+};
+
+module.exports = createMemoryState;
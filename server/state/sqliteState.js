@@ -0,0 +1,88 @@
+// sqliteState.js - Live state in a SQLite file, shared by every server process on the same machine
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS state_values (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    expires_at INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS state_sets (
+    key TEXT NOT NULL,
+    member TEXT NOT NULL,
+    PRIMARY KEY (key, member)
+  );
+`;
+
+const createSqliteState = ({ filename }) => {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  // Expired values are ignored by every read and cleared by the next write to the same key.
+  const statements = {
+    get: db.prepare('SELECT value FROM state_values WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)'),
+    set: db.prepare(
+      `INSERT INTO state_values (key, value, expires_at) VALUES (@key, @value, @expiresAt)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`
+    ),
+    deleteValue: db.prepare('DELETE FROM state_values WHERE key = ?'),
+    deleteSet: db.prepare('DELETE FROM state_sets WHERE key = ?'),
+    deleteIf: db.prepare(
+      'DELETE FROM state_values WHERE key = ? AND value = ? AND (expires_at IS NULL OR expires_at > ?)'
+    ),
+    add: db.prepare('INSERT OR IGNORE INTO state_sets (key, member) VALUES (?, ?)'),
+    remove: db.prepare('DELETE FROM state_sets WHERE key = ? AND member = ?'),
+    members: db.prepare('SELECT member FROM state_sets WHERE key = ? ORDER BY rowid'),
+    has: db.prepare('SELECT 1 FROM state_sets WHERE key = ? AND member = ?'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM state_sets WHERE key = ?'),
+  };
+
+  const deleteKey = db.transaction((key) => {
+    statements.deleteValue.run(key);
+    statements.deleteSet.run(key);
+  });
+
+  return {
+    driver: 'sqlite',
+
+    get: async (key) => {
+      const row = statements.get.get(key, Date.now());
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    set: async (key, value, { ttlMs } = {}) => {
+      statements.set.run({ key, value: JSON.stringify(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+
+    delete: async (key) => {
+      deleteKey(key);
+    },
+
+    deleteIf: async (key, value) => statements.deleteIf.run(key, JSON.stringify(value), Date.now()).changes > 0,
+
+    add: async (key, member) => statements.add.run(key, member).changes > 0,
+
+    remove: async (key, member) => statements.remove.run(key, member).changes > 0,
+
+    members: async (key) => statements.members.all(key).map((row) => row.member),
+
+    has: async (key, member) => Boolean(statements.has.get(key, member)),
+
+    count: async (key) => statements.count.get(key).count,
+
+    close: async () => {
+      db.close();
+    },
+  };
+};
+
+module.exports = createSqliteState;
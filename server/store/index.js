@@ -0,0 +1,38 @@
+// store/index.js - Selects the persistence adapter for rooms, threads and messages
+//
+// Every adapter exposes the same synchronous interface:
+//   saveAccount(record) / getAccount(username)   - usernames are matched case-insensitively
+//   saveRoom(record) / listRooms()
+//   saveThread(record) / listThreads()
+//   saveMessage(record)                        - insert or update by message id
+//   getMessage(conversationId, messageId)      - record or null
+//   listMessages(conversationId, { before, after, limit, parentId }) - { messages, hasMore, nextCursor }, oldest first.
+//     `before` pages backwards (nextCursor is the next older id); `after` pages forwards from a
+//     known message (nextCursor is the newest id returned) and yields nothing for an unknown id.
+//     `parentId` scopes the page: omitted for every message, null for top-level messages only,
+//     or a message id for the replies to that message.
+//   listUpdatedMessages(conversationId, { since, limit }) - { messages, hasMore }: messages saved (posted or
+//     changed in any way) at or after the ISO time `since`, least recently saved first
+//   saveAttachment(record) / getAttachment(id)  - uploaded file metadata, record or null
+//   close()
+
+const path = require('path');
+const createMemoryStore = require('./memoryStore');
+
+const DEFAULT_DATABASE_FILE = path.join(__dirname, '..', 'data', 'chat.db');
+
+const createStore = ({ driver = process.env.CHAT_STORE || 'sqlite', filename } = {}) => {
+  if (driver === 'memory') {
+    return createMemoryStore();
+  }
+
+  if (driver === 'sqlite') {
+    // Required lazily so the memory adapter works without the native module.
+    const createSqliteStore = require('./sqliteStore');
+    return createSqliteStore({ filename: filename || process.env.DATABASE_FILE || DEFAULT_DATABASE_FILE });
+  }
+
+  throw new Error(`Unknown CHAT_STORE driver "${driver}"`);
+};
+
+module.exports = { createStore };
@@ -0,0 +1,111 @@
+// memoryStore.js - Process-local storage adapter (history is lost on restart; used for tests and quick demos)
+
+const clone = (value) => (value == null ? value : structuredClone(value));
+
+const createMemoryStore = () => {
+  const accounts = new Map();
+  const rooms = new Map();
+  const threads = new Map();
+  const conversations = new Map();
+  const messagesById = new Map();
+  const attachments = new Map();
+
+  const listFor = (conversationId) => {
+    if (!conversations.has(conversationId)) {
+      conversations.set(conversationId, []);
+    }
+
+    return conversations.get(conversationId);
+  };
+
+  return {
+    driver: 'memory',
+
+    saveAccount: (record) => {
+      accounts.set(record.username.toLowerCase(), clone(record));
+    },
+
+    getAccount: (username) => clone(accounts.get(username.toLowerCase())) || null,
+
+    saveRoom: (record) => {
+      rooms.set(record.id, clone(record));
+    },
+
+    listRooms: () => Array.from(rooms.values()).map(clone),
+
+    saveThread: (record) => {
+      threads.set(record.id, clone(record));
+    },
+
+    listThreads: () => Array.from(threads.values()).map(clone),
+
+    saveMessage: (record) => {
+      const existing = messagesById.get(record.id);
+      const copy = clone(record);
+
+      if (existing) {
+        const list = listFor(existing.roomId);
+        const index = list.indexOf(existing);
+        list[index] = copy;
+      } else {
+        listFor(record.roomId).push(copy);
+      }
+
+      messagesById.set(record.id, copy);
+    },
+
+    getMessage: (conversationId, messageId) => {
+      const record = messagesById.get(messageId);
+      return record && record.roomId === conversationId ? clone(record) : null;
+    },
+
+    listMessages: (conversationId, { before, after, limit = 30, parentId } = {}) => {
+      const all = conversations.get(conversationId) || [];
+      const list =
+        parentId === undefined ? all : all.filter((record) => (record.parentId || null) === parentId);
+
+      if (after) {
+        const afterIndex = list.findIndex((record) => record.id === after);
+        const startIndex = afterIndex === -1 ? list.length : afterIndex + 1;
+        const slice = list.slice(startIndex, startIndex + limit);
+        const hasMore = startIndex + limit < list.length;
+
+        return {
+          messages: slice.map(clone),
+          hasMore,
+          nextCursor: hasMore ? slice[slice.length - 1].id : null,
+        };
+      }
+
+      const beforeIndex = before ? list.findIndex((record) => record.id === before) : -1;
+      const endIndex = beforeIndex === -1 ? list.length : beforeIndex;
+      const startIndex = Math.max(0, endIndex - limit);
+      const hasMore = startIndex > 0;
+
+      return {
+        messages: list.slice(startIndex, endIndex).map(clone),
+        hasMore,
+        nextCursor: hasMore ? list[startIndex - 1].id : null,
+      };
+    },
+
+    listUpdatedMessages: (conversationId, { since, limit = 100 }) => {
+      const updatedAt = (record) => record.updatedAt || record.timestamp;
+      const list = (conversations.get(conversationId) || [])
+        .filter((record) => updatedAt(record) >= since)
+        .sort((a, b) => updatedAt(a).localeCompare(updatedAt(b)));
+
+      return { messages: list.slice(0, limit).map(clone), hasMore: list.length > limit };
+    },
+
+    saveAttachment: (record) => {
+      attachments.set(record.id, clone(record));
+    },
+
+    getAttachment: (id) => clone(attachments.get(id)) || null,
+
+    close: () => {},
+  };
+};
+
+module.exports = createMemoryStore;
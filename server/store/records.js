@@ -0,0 +1,84 @@
+// records.js - Converts live room, thread and message objects to plain storable records
+
+const toRoomRecord = (room) => ({
+  id: room.id,
+  name: room.name,
+  description: room.description,
+  createdAt: room.createdAt,
+  createdBy: room.createdBy,
+  roles: Object.fromEntries(room.roles || []),
+  bans: Array.from(room.bans || []),
+  mutes: Object.fromEntries(room.mutes || []),
+  visibility: room.visibility || 'public',
+  passwordHash: room.passwordHash || null,
+  allowed: Array.from(room.allowed || []),
+  invites: Object.fromEntries(room.invites || []),
+  pinned: room.pinned || [],
+});
+
+const toThreadRecord = (thread) => ({
+  id: thread.id,
+  participants: [...thread.participants],
+  createdAt: thread.createdAt,
+  isGroup: Boolean(thread.isGroup),
+  name: thread.name || null,
+  createdBy: thread.createdBy || null,
+  pinned: thread.pinned || [],
+});
+
+const toMessageRecord = (message) => {
+  const reactions = {};
+
+  if (message.reactions) {
+    message.reactions.forEach((userSet, emoji) => {
+      reactions[emoji] = Array.from(userSet);
+    });
+  }
+
+  return {
+    id: message.id,
+    roomId: message.roomId,
+    sender: message.sender,
+    senderId: message.senderId,
+    body: message.body,
+    timestamp: message.timestamp,
+    attachments: message.attachments || [],
+    isSystem: Boolean(message.isSystem),
+    isPrivate: Boolean(message.isPrivate),
+    reactions,
+    deliveredTo: Array.from(message.deliveredTo || []),
+    readBy: Array.from(message.readBy || []),
+    tempId: message.tempId || null,
+    editedAt: message.editedAt || null,
+    history: message.history || [],
+    parentId: message.parentId || null,
+    replyCount: message.replyCount || 0,
+    lastReply: message.lastReply || null,
+    mentions: message.mentions || [],
+    linkPreviews: message.linkPreviews || [],
+    linkPreviewsDismissed: Boolean(message.linkPreviewsDismissed),
+    pinnedAt: message.pinnedAt || null,
+    pinnedBy: message.pinnedBy || null,
+    deletedAt: message.deletedAt || null,
+    deletedBy: message.deletedBy || null,
+    updatedAt: message.updatedAt || message.timestamp,
+  };
+};
+
+const fromMessageRecord = (record) => ({
+  ...record,
+  attachments: record.attachments || [],
+  history: record.history || [],
+  reactions: new Map(
+    Object.entries(record.reactions || {}).map(([emoji, usernames]) => [emoji, new Set(usernames)])
+  ),
+  deliveredTo: new Set(record.deliveredTo || []),
+  readBy: new Set(record.readBy || []),
+});
+
+module.exports = {
+  toRoomRecord,
+  toThreadRecord,
+  toMessageRecord,
+  fromMessageRecord,
+};
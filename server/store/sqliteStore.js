@@ -0,0 +1,204 @@
+// sqliteStore.js - File-backed storage adapter built on better-sqlite3
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS accounts (
+    username_key TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS rooms (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS threads (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS messages (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    conversation_id TEXT NOT NULL,
+    parent_id TEXT,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS attachments (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`;
+
+// Columns added after the first release; older databases are upgraded in place.
+const MIGRATIONS = [
+  { table: 'messages', column: 'parent_id', definition: 'TEXT' },
+  { table: 'messages', column: 'updated_at', definition: 'TEXT' },
+];
+
+const INDEXES = `
+  CREATE INDEX IF NOT EXISTS messages_conversation_seq ON messages (conversation_id, seq);
+  CREATE INDEX IF NOT EXISTS messages_parent_seq ON messages (conversation_id, parent_id, seq);
+  CREATE INDEX IF NOT EXISTS messages_conversation_updated ON messages (conversation_id, updated_at);
+`;
+
+const createSqliteStore = ({ filename }) => {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  MIGRATIONS.forEach(({ table, column, definition }) => {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+    if (!columns.some((entry) => entry.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  });
+
+  db.exec(INDEXES);
+
+  const statements = {
+    saveAccount: db.prepare(
+      `INSERT INTO accounts (username_key, data) VALUES (@key, @data)
+       ON CONFLICT(username_key) DO UPDATE SET data = excluded.data`
+    ),
+    getAccount: db.prepare('SELECT data FROM accounts WHERE username_key = ?'),
+    saveRoom: db.prepare(
+      'INSERT INTO rooms (id, data) VALUES (@id, @data) ON CONFLICT(id) DO UPDATE SET data = excluded.data'
+    ),
+    listRooms: db.prepare('SELECT data FROM rooms ORDER BY rowid'),
+    saveThread: db.prepare(
+      'INSERT INTO threads (id, data) VALUES (@id, @data) ON CONFLICT(id) DO UPDATE SET data = excluded.data'
+    ),
+    listThreads: db.prepare('SELECT data FROM threads ORDER BY rowid'),
+    saveMessage: db.prepare(
+      `INSERT INTO messages (id, conversation_id, parent_id, updated_at, data)
+       VALUES (@id, @conversationId, @parentId, @updatedAt, @data)
+       ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`
+    ),
+    getMessage: db.prepare('SELECT data FROM messages WHERE conversation_id = ? AND id = ?'),
+    findSeq: db.prepare('SELECT seq FROM messages WHERE conversation_id = ? AND id = ?'),
+    // `@all = 1` ignores threading; otherwise `parent_id IS @parentId` matches top-level rows when parentId is null.
+    listBefore: db.prepare(
+      `SELECT data FROM messages
+       WHERE conversation_id = @conversationId AND seq < @seq AND (@all = 1 OR parent_id IS @parentId)
+       ORDER BY seq DESC LIMIT @limit`
+    ),
+    listAfter: db.prepare(
+      `SELECT data FROM messages
+       WHERE conversation_id = @conversationId AND seq > @seq AND (@all = 1 OR parent_id IS @parentId)
+       ORDER BY seq ASC LIMIT @limit`
+    ),
+    listUpdated: db.prepare(
+      `SELECT data FROM messages WHERE conversation_id = ? AND updated_at >= ? ORDER BY updated_at, seq LIMIT ?`
+    ),
+    saveAttachment: db.prepare(
+      'INSERT INTO attachments (id, data) VALUES (@id, @data) ON CONFLICT(id) DO UPDATE SET data = excluded.data'
+    ),
+    getAttachment: db.prepare('SELECT data FROM attachments WHERE id = ?'),
+  };
+
+  const parseRows = (rows) => rows.map((row) => JSON.parse(row.data));
+
+  return {
+    driver: 'sqlite',
+
+    saveAccount: (record) => {
+      statements.saveAccount.run({ key: record.username.toLowerCase(), data: JSON.stringify(record) });
+    },
+
+    getAccount: (username) => {
+      const row = statements.getAccount.get(username.toLowerCase());
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    saveRoom: (record) => {
+      statements.saveRoom.run({ id: record.id, data: JSON.stringify(record) });
+    },
+
+    listRooms: () => parseRows(statements.listRooms.all()),
+
+    saveThread: (record) => {
+      statements.saveThread.run({ id: record.id, data: JSON.stringify(record) });
+    },
+
+    listThreads: () => parseRows(statements.listThreads.all()),
+
+    saveMessage: (record) => {
+      statements.saveMessage.run({
+        id: record.id,
+        conversationId: record.roomId,
+        parentId: record.parentId || null,
+        updatedAt: record.updatedAt || record.timestamp,
+        data: JSON.stringify(record),
+      });
+    },
+
+    getMessage: (conversationId, messageId) => {
+      const row = statements.getMessage.get(conversationId, messageId);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    listMessages: (conversationId, { before, after, limit = 30, parentId } = {}) => {
+      const scope = { conversationId, all: parentId === undefined ? 1 : 0, parentId: parentId ?? null };
+
+      if (after) {
+        const cursor = statements.findSeq.get(conversationId, after);
+
+        if (!cursor) {
+          return { messages: [], hasMore: false, nextCursor: null };
+        }
+
+        const rows = parseRows(statements.listAfter.all({ ...scope, seq: cursor.seq, limit: limit + 1 }));
+        const hasMore = rows.length > limit;
+
+        return {
+          messages: rows.slice(0, limit),
+          hasMore,
+          nextCursor: hasMore ? rows[limit - 1].id : null,
+        };
+      }
+
+      const cursor = before ? statements.findSeq.get(conversationId, before) : null;
+      const upperSeq = cursor ? cursor.seq : Number.MAX_SAFE_INTEGER;
+      // Fetch one extra row so we know whether older history exists.
+      const rows = parseRows(statements.listBefore.all({ ...scope, seq: upperSeq, limit: limit + 1 }));
+      const hasMore = rows.length > limit;
+
+      return {
+        messages: rows.slice(0, limit).reverse(),
+        hasMore,
+        nextCursor: hasMore ? rows[limit].id : null,
+      };
+    },
+
+    listUpdatedMessages: (conversationId, { since, limit = 100 }) => {
+      const rows = parseRows(statements.listUpdated.all(conversationId, since, limit + 1));
+      return { messages: rows.slice(0, limit), hasMore: rows.length > limit };
+    },
+
+    saveAttachment: (record) => {
+      statements.saveAttachment.run({ id: record.id, data: JSON.stringify(record) });
+    },
+
+    getAttachment: (id) => {
+      const row = statements.getAttachment.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    close: () => {
+      db.close();
+    },
+  };
+};
+
+module.exports = createSqliteStore;
@@ -0,0 +1,53 @@
+// groupThreads.test.js - Group messages keep an owner who can manage them after the creator leaves
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment, startServer, waitFor, emitWithAck, register, joinChat } = require('./helpers');
+
+describe('group threads', () => {
+  const sessions = {};
+  let cleanUp;
+  let node;
+  let threadId;
+
+  before(async () => {
+    cleanUp = useTestEnvironment();
+    node = await startServer();
+
+    for (const username of ['ann', 'ben', 'cat', 'dan']) {
+      sessions[username] = await joinChat(node, await register(node, username));
+    }
+
+    const created = await emitWithAck(sessions.ann.socket, 'create_group_thread', { participants: ['ben', 'cat'] });
+    assert.ok(created.ok, created.error);
+    threadId = created.thread.id;
+
+    const added = await emitWithAck(sessions.ann.socket, 'add_thread_participants', { threadId, usernames: ['dan'] });
+    assert.ok(added.ok, added.error);
+  });
+
+  after(async () => {
+    Object.values(sessions).forEach(({ socket }) => socket.disconnect());
+    await node.close();
+    cleanUp();
+  });
+
+  test('only the owner can remove someone else', async () => {
+    const ack = await emitWithAck(sessions.cat.socket, 'remove_thread_participant', { threadId, username: 'dan' });
+    assert.equal(ack.ok, false);
+    assert.equal(ack.error, 'Only the group owner can remove people');
+  });
+
+  test('the longest-standing participant takes over when the owner leaves', async () => {
+    const updated = waitFor(sessions.cat.socket, 'thread_updated', (thread) => thread.id === threadId);
+    const left = await emitWithAck(sessions.ann.socket, 'remove_thread_participant', { threadId });
+    assert.ok(left.ok, left.error);
+
+    const thread = await updated;
+    assert.deepEqual(thread.participants, ['ben', 'cat', 'dan']);
+    assert.equal(thread.createdBy, 'ben');
+
+    const removed = await emitWithAck(sessions.ben.socket, 'remove_thread_participant', { threadId, username: 'dan' });
+    assert.ok(removed.ok, removed.error);
+  });
+});
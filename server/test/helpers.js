@@ -0,0 +1,140 @@
+// helpers.js - Starts chat servers inside the test process and drives them with socket.io-client
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { once } = require('node:events');
+const { io: connect } = require('socket.io-client');
+
+const SERVER_PATH = require.resolve('../server');
+const WAIT_MS = 3000;
+const PASSWORD = 'test-password';
+
+// The server reads its configuration from the environment when it loads. Each test file runs in its own
+// process, so this points it at a fresh data directory; the returned function removes it again.
+const useTestEnvironment = (overrides = {}) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-test-'));
+
+  Object.assign(process.env, {
+    PORT: '0',
+    CHAT_STORE: 'sqlite',
+    DATABASE_FILE: path.join(directory, 'chat.db'),
+    UPLOAD_DIR: path.join(directory, 'uploads'),
+    SESSION_SECRET: 'test-secret',
+    LINK_PREVIEW_FETCHER: 'off',
+    RESUME_GRACE_MS: '300',
+    RATE_LIMITS: JSON.stringify({ 'POST /api/auth/register': { capacity: 100 } }),
+    ...overrides,
+  });
+
+  return () => fs.rmSync(directory, { recursive: true, force: true });
+};
+
+// Loads server.js again, so every call is a separate instance with its own caches, as a separate process would be.
+const startServer = async () => {
+  delete require.cache[SERVER_PATH];
+  const { server, io } = require(SERVER_PATH);
+
+  if (!server.listening) {
+    await once(server, 'listening');
+  }
+
+  return {
+    io,
+    url: `http://localhost:${server.address().port}`,
+    close: () => new Promise((resolve) => io.close(resolve)),
+  };
+};
+
+const waitFor = (socket, event, predicate = () => true) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`Timed out waiting for "${event}"`));
+    }, WAIT_MS);
+
+    function listener(payload) {
+      if (predicate(payload)) {
+        clearTimeout(timer);
+        socket.off(event, listener);
+        resolve(payload);
+      }
+    }
+
+    socket.on(event, listener);
+  });
+
+// Resolves true when no matching `event` arrives within `ms`.
+const staysQuiet = (socket, event, predicate, ms) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      resolve(true);
+    }, ms);
+
+    function listener(payload) {
+      if (predicate(payload)) {
+        clearTimeout(timer);
+        socket.off(event, listener);
+        resolve(false);
+      }
+    }
+
+    socket.on(event, listener);
+  });
+
+const emitWithAck = (socket, event, payload) =>
+  new Promise((resolve) => {
+    socket.emit(event, payload, resolve);
+  });
+
+const register = async (node, username) => {
+  const response = await fetch(`${node.url}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password: PASSWORD }),
+  });
+  const result = await response.json();
+  assert.ok(response.ok, result.error);
+  return result.token;
+};
+
+// Connects to `node` and sends user_join. Resolves the socket, the join ack, which of initial_state and
+// session_resumed arrived and its payload.
+const joinChat = async (node, token, joinPayload = {}) => {
+  const socket = connect(node.url, { auth: { token }, transports: ['websocket'], forceNew: true, reconnection: false });
+  const snapshot = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.offAny(listener);
+      reject(new Error('Timed out waiting for the session state'));
+    }, WAIT_MS);
+
+    function listener(event, payload) {
+      if (event === 'initial_state' || event === 'session_resumed') {
+        clearTimeout(timer);
+        socket.offAny(listener);
+        resolve({ event, state: payload });
+      }
+    }
+
+    socket.onAny(listener);
+  });
+  const ack = await emitWithAck(socket, 'user_join', joinPayload);
+  assert.ok(ack.ok, ack.error);
+  return { socket, ack, ...(await snapshot) };
+};
+
+// Drops the connection without signing out, as a lost network would.
+const dropConnection = (socket) => socket.io.engine.close();
+
+module.exports = {
+  useTestEnvironment,
+  startServer,
+  waitFor,
+  staysQuiet,
+  emitWithAck,
+  register,
+  joinChat,
+  dropConnection,
+};
@@ -0,0 +1,143 @@
+// multiInstance.test.js - Two servers share live state and an adapter bus, and users on either see each other
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const {
+  useTestEnvironment,
+  startServer,
+  waitFor,
+  staysQuiet,
+  emitWithAck,
+  register,
+  joinChat,
+  dropConnection,
+} = require('./helpers');
+
+describe('two instances', () => {
+  const sockets = [];
+  let cleanUp;
+  let nodeA;
+  let nodeB;
+  let alice;
+  let bob;
+  let bobToken;
+
+  const track = (session) => {
+    sockets.push(session.socket);
+    return session;
+  };
+
+  before(async () => {
+    cleanUp = useTestEnvironment({
+      SOCKET_ADAPTER: path.join(__dirname, 'support', 'localAdapter.js'),
+      CHAT_STATE: path.join(__dirname, 'support', 'sharedState.js'),
+    });
+    nodeA = await startServer();
+    nodeB = await startServer();
+
+    const aliceToken = await register(nodeA, 'alice_a');
+    bobToken = await register(nodeA, 'bob_b');
+    alice = track(await joinChat(nodeA, aliceToken));
+  });
+
+  after(async () => {
+    sockets.forEach((socket) => socket.disconnect());
+    await Promise.all([nodeA.close(), nodeB.close()]);
+    cleanUp();
+  });
+
+  test('presence is shared between instances', async () => {
+    const joined = waitFor(alice.socket, 'user_joined', (payload) => payload.username === 'bob_b');
+    bob = track(await joinChat(nodeB, bobToken));
+
+    assert.ok(bob.state.users.some((user) => user.username === 'alice_a'));
+    await joined;
+
+    const users = await (await fetch(`${nodeA.url}/api/users`)).json();
+    assert.deepEqual(users.map((user) => user.username).sort(), ['alice_a', 'bob_b']);
+  });
+
+  test('room messages reach members on the other instance', async () => {
+    const received = waitFor(bob.socket, 'receive_message', (message) => message.body === 'hello from A');
+    const ack = await emitWithAck(alice.socket, 'send_message', { roomId: 'general', message: 'hello from A' });
+
+    assert.ok(ack.ok, ack.error);
+    assert.equal((await received).sender, 'alice_a');
+  });
+
+  test('a room created on one instance can be joined on the other', async () => {
+    const created = await emitWithAck(alice.socket, 'join_room', { roomName: 'Cross node' });
+    assert.ok(created.ok, created.error);
+
+    const joined = await emitWithAck(bob.socket, 'join_room', { roomId: created.roomId });
+    assert.ok(joined.ok, joined.error);
+    assert.equal(joined.room.createdBy, 'alice_a');
+    assert.deepEqual(joined.room.members.sort(), ['alice_a', 'bob_b']);
+
+    const received = waitFor(alice.socket, 'receive_message', (message) => message.body === 'hello from B');
+    await emitWithAck(bob.socket, 'send_message', { roomId: created.roomId, message: 'hello from B' });
+    assert.equal((await received).roomId, created.roomId);
+  });
+
+  test('edits made on one instance are served by the other', async () => {
+    const sent = await emitWithAck(alice.socket, 'send_message', { roomId: 'general', message: 'first draft' });
+    const edited = await emitWithAck(alice.socket, 'edit_message', {
+      roomId: 'general',
+      messageId: sent.messageId,
+      message: 'final draft',
+    });
+    assert.ok(edited.ok, edited.error);
+
+    const second = track(await joinChat(nodeB, bobToken));
+    const general = second.state.rooms.find((room) => room.id === 'general');
+    assert.equal(general.messages.find((message) => message.id === sent.messageId).body, 'final draft');
+    second.socket.disconnect();
+  });
+
+  test('typing indicators cross instances', async () => {
+    const typing = waitFor(alice.socket, 'typing_users', (payload) => payload.users.includes('bob_b'));
+    bob.socket.emit('typing', { roomId: 'general', isTyping: true });
+    await typing;
+
+    const stopped = waitFor(alice.socket, 'typing_users', (payload) => payload.users.length === 0);
+    bob.socket.emit('typing', { roomId: 'general', isTyping: false });
+    await stopped;
+  });
+
+  test('direct messages find the recipient on the other instance', async () => {
+    const received = waitFor(bob.socket, 'private_message', ({ message }) => message.body === 'psst');
+    const ack = await emitWithAck(alice.socket, 'private_message', { to: 'bob_b', message: 'psst' });
+
+    assert.ok(ack.ok, ack.error);
+    assert.equal(ack.queued, false);
+    assert.equal((await received).message.sender, 'alice_a');
+  });
+
+  test('a dropped connection resumes on the other instance without signing out', async () => {
+    const left = staysQuiet(alice.socket, 'user_left', (payload) => payload.username === 'bob_b', 600);
+    dropConnection(bob.socket);
+
+    bob = track(await joinChat(nodeA, bobToken, { resumeToken: bob.ack.resumeToken }));
+
+    assert.equal(bob.ack.resumed, true);
+    assert.equal(bob.event, 'session_resumed');
+    assert.ok(await left, 'bob_b should stay signed in after resuming');
+  });
+
+  test('a dropped connection that does not come back signs out after the grace period', async () => {
+    const left = waitFor(alice.socket, 'user_left', (payload) => payload.username === 'bob_b');
+    dropConnection(bob.socket);
+    await left;
+
+    const users = await (await fetch(`${nodeB.url}/api/users`)).json();
+    assert.deepEqual(users.map((user) => user.username), ['alice_a']);
+  });
+
+  test('signing out on one instance is seen on the other', async () => {
+    bob = track(await joinChat(nodeB, bobToken));
+    const left = waitFor(alice.socket, 'user_left', (payload) => payload.username === 'bob_b');
+    bob.socket.disconnect();
+    await left;
+  });
+});
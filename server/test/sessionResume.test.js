@@ -0,0 +1,97 @@
+// sessionResume.test.js - A resumed session catches up on messages and on changes to the ones it already had
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  useTestEnvironment,
+  startServer,
+  waitFor,
+  emitWithAck,
+  register,
+  joinChat,
+  dropConnection,
+} = require('./helpers');
+
+describe('session resume', () => {
+  const sockets = [];
+  let cleanUp;
+  let node;
+  let alice;
+  let aliceToken;
+  let bob;
+  let roomId;
+
+  const track = (session) => {
+    sockets.push(session.socket);
+    return session;
+  };
+
+  const send = async (message, extra = {}) => {
+    const ack = await emitWithAck(bob.socket, 'send_message', { roomId, message, ...extra });
+    assert.ok(ack.ok, ack.error);
+    return ack.messageId;
+  };
+
+  before(async () => {
+    cleanUp = useTestEnvironment();
+    node = await startServer();
+
+    bob = track(await joinChat(node, await register(node, 'bob')));
+    aliceToken = await register(node, 'alice');
+    alice = track(await joinChat(node, aliceToken));
+
+    const created = await emitWithAck(bob.socket, 'join_room', { roomName: 'Resume' });
+    assert.ok(created.ok, created.error);
+    roomId = created.roomId;
+    const joined = await emitWithAck(alice.socket, 'join_room', { roomId });
+    assert.ok(joined.ok, joined.error);
+  });
+
+  after(async () => {
+    sockets.forEach((socket) => socket.disconnect());
+    await node.close();
+    cleanUp();
+  });
+
+  test('edits, deletions, reactions, pins and replies made during the gap are replayed', async () => {
+    const first = await send('first');
+    const second = await send('second');
+    const third = await send('third');
+    await waitFor(alice.socket, 'receive_message', (message) => message.id === third);
+
+    dropConnection(alice.socket);
+
+    const edited = await emitWithAck(bob.socket, 'edit_message', {
+      roomId,
+      messageId: first,
+      message: 'first, edited',
+    });
+    assert.ok(edited.ok, edited.error);
+    const deleted = await emitWithAck(bob.socket, 'delete_message', { roomId, messageId: second });
+    assert.ok(deleted.ok, deleted.error);
+    const reacted = waitFor(bob.socket, 'message_reaction_update', (payload) => payload.messageId === first);
+    bob.socket.emit('react_to_message', { roomId, messageId: first, emoji: '👍' });
+    await reacted;
+    const pinned = await emitWithAck(bob.socket, 'pin_message', { roomId, messageId: third });
+    assert.ok(pinned.ok, pinned.error);
+    const reply = await send('a reply', { parentId: third });
+    const fourth = await send('fourth');
+
+    alice = track(
+      await joinChat(node, aliceToken, { resumeToken: alice.ack.resumeToken, lastMessageIds: { [roomId]: third } })
+    );
+    assert.equal(alice.event, 'session_resumed');
+
+    const entry = alice.state.rooms.find((item) => item.roomId === roomId);
+    assert.deepEqual(entry.messages.map((message) => message.id), [reply, fourth]);
+
+    const updated = Object.fromEntries(entry.updated.map((message) => [message.id, message]));
+    assert.equal(updated[first].body, 'first, edited');
+    assert.ok(updated[first].editedAt);
+    assert.deepEqual(updated[first].reactions, { '👍': ['bob'] });
+    assert.equal(updated[second].isDeleted, true);
+    assert.equal(updated[third].pinnedBy, 'bob');
+    assert.equal(updated[third].replyCount, 1);
+    assert.deepEqual(entry.pinned.map((message) => message.id), [third]);
+  });
+});
@@ -0,0 +1,55 @@
+// state.test.js - Every live state driver behaves the same
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createState } = require('../state');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-state-'));
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+['memory', 'sqlite'].forEach((driver) => {
+  describe(`${driver} state`, () => {
+    const state = createState({ driver, filename: path.join(directory, 'state.db') });
+
+    after(() => state.close());
+
+    test('stores JSON values and forgets them when they expire', async () => {
+      await state.set('value', { nested: [1, 2] });
+      await state.set('brief', 'gone soon', { ttlMs: 20 });
+
+      assert.deepEqual(await state.get('value'), { nested: [1, 2] });
+      assert.equal(await state.get('brief'), 'gone soon');
+      await new Promise((resolve) => setTimeout(resolve, 40));
+      assert.equal(await state.get('brief'), null);
+      assert.equal(await state.get('missing'), null);
+    });
+
+    test('deletes a value only while it still holds the expected one', async () => {
+      await state.set('token', 'first');
+
+      assert.equal(await state.deleteIf('token', 'second'), false);
+      assert.equal(await state.deleteIf('token', 'first'), true);
+      assert.equal(await state.get('token'), null);
+    });
+
+    test('keeps sets of strings and reports whether they changed', async () => {
+      assert.equal(await state.add('set', 'a'), true);
+      assert.equal(await state.add('set', 'a'), false);
+      await state.add('set', 'b');
+
+      assert.deepEqual(await state.members('set'), ['a', 'b']);
+      assert.equal(await state.has('set', 'b'), true);
+      assert.equal(await state.count('set'), 2);
+      assert.equal(await state.remove('set', 'a'), true);
+      assert.equal(await state.remove('set', 'a'), false);
+
+      await state.delete('set');
+      assert.deepEqual(await state.members('set'), []);
+      assert.equal(await state.count('set'), 0);
+    });
+  });
+});
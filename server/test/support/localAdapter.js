@@ -0,0 +1,50 @@
+// localAdapter.js - An in-process stand-in for a Socket.io cluster adapter such as @socket.io/redis-adapter
+//
+// Point SOCKET_ADAPTER at this file and every server loaded in the same process joins one bus, which forwards
+// broadcasts, room joins and leaves and server-side emits to the others, copying each message the way a real
+// transport would serialise it.
+
+const { ClusterAdapter } = require('socket.io-adapter');
+
+const createLocalBus = () => {
+  const nodes = new Set();
+
+  const peersOf = (adapter) =>
+    Array.from(nodes).filter((node) => node !== adapter && node.nsp.name === adapter.nsp.name);
+
+  class LocalBusAdapter extends ClusterAdapter {
+    constructor(nsp) {
+      super(nsp);
+      nodes.add(this);
+    }
+
+    close() {
+      nodes.delete(this);
+    }
+
+    serverCount() {
+      return Promise.resolve(1 + peersOf(this).length);
+    }
+
+    doPublish(message) {
+      peersOf(this).forEach((node) => setImmediate(() => node.onMessage(structuredClone(message))));
+      return Promise.resolve('');
+    }
+
+    doPublishResponse(requesterUid, response) {
+      const requester = peersOf(this).find((node) => node.uid === requesterUid);
+
+      if (requester) {
+        setImmediate(() => requester.onResponse(structuredClone(response)));
+      }
+
+      return Promise.resolve();
+    }
+  }
+
+  return { adapter: LocalBusAdapter };
+};
+
+const bus = createLocalBus();
+
+module.exports = () => bus.adapter;
@@ -0,0 +1,7 @@
+// sharedState.js - A CHAT_STATE module that hands every server loaded in this process the same memory state
+
+const createMemoryState = require('../../state/memoryState');
+
+const state = createMemoryState();
+
+module.exports = () => state;
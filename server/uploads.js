@@ -0,0 +1,196 @@
+// uploads.js - Local-disk file uploads and the attachment metadata that messages reference
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { MAX_ATTACHMENTS_PER_MESSAGE } = require('../shared/eventSchemas.mjs');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const MAX_NAME_LENGTH = 200;
+
+// Accepted MIME types and the extension stored files get; the client-supplied name is never used on disk.
+const ALLOWED_TYPES = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt',
+  'application/zip': '.zip',
+};
+
+const isImageType = (type) => type.startsWith('image/');
+
+const readJpegSize = (buffer) => {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+
+    // Start-of-frame markers carry the dimensions; C4, C8 and CC are other tables.
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+};
+
+const readWebpSize = (buffer) => {
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+
+  return null;
+};
+
+// Returns { width, height } when the bytes really are the given image type, otherwise null.
+const readImageSize = (buffer, type) => {
+  if (type === 'image/png' && buffer.length >= 24 && buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (type === 'image/gif' && buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (type === 'image/jpeg' && buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return readJpegSize(buffer);
+  }
+
+  if (
+    type === 'image/webp' &&
+    buffer.length >= 16 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WEBP'
+  ) {
+    return readWebpSize(buffer);
+  }
+
+  return null;
+};
+
+const cleanName = (name) =>
+  String(name || 'file')
+    .replace(/[\\/\u0000-\u001f]/g, '_')
+    .slice(0, MAX_NAME_LENGTH);
+
+const formatLimit = (bytes) =>
+  bytes >= 1024 * 1024 ? `${Math.floor(bytes / (1024 * 1024))} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+const createUploads = ({ directory, maxBytes = DEFAULT_MAX_BYTES, store }) => {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const receive = multer({
+    storage: multer.diskStorage({
+      destination: directory,
+      filename: (req, file, callback) => callback(null, `${uuidv4()}${ALLOWED_TYPES[file.mimetype]}`),
+    }),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, callback) => {
+      if (!ALLOWED_TYPES[file.mimetype]) {
+        const error = new Error('That file type is not allowed');
+        error.code = 'UNSUPPORTED_TYPE';
+        callback(error);
+        return;
+      }
+
+      callback(null, true);
+    },
+  }).single('file');
+
+  // Turns a file multer has written to disk into a stored attachment record.
+  // Images whose bytes do not match their declared type are removed and rejected.
+  const saveUpload = async (file, uploader) => {
+    let dimensions = null;
+
+    if (isImageType(file.mimetype)) {
+      dimensions = readImageSize(await fs.promises.readFile(file.path), file.mimetype);
+
+      if (!dimensions || !dimensions.width || !dimensions.height) {
+        await fs.promises.unlink(file.path).catch(() => {});
+        return null;
+      }
+    }
+
+    const record = {
+      id: uuidv4(),
+      name: cleanName(file.originalname),
+      size: file.size,
+      type: file.mimetype,
+      url: `/uploads/${path.basename(file.path)}`,
+      width: dimensions ? dimensions.width : null,
+      height: dimensions ? dimensions.height : null,
+      uploadedBy: uploader.username,
+      createdAt: new Date().toISOString(),
+    };
+
+    store.saveAttachment(record);
+    return record;
+  };
+
+  // Messages only reference attachments by id; metadata always comes from the stored record
+  // so clients cannot forge names, sizes or URLs, or reuse someone else's upload.
+  const resolveAttachments = (input, uploader) => {
+    if (input == null) {
+      return { attachments: [] };
+    }
+
+    if (!Array.isArray(input) || input.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      return { error: `Messages can carry up to ${MAX_ATTACHMENTS_PER_MESSAGE} attachments` };
+    }
+
+    const attachments = [];
+
+    for (const entry of input) {
+      const id = typeof entry === 'string' ? entry : entry?.id;
+      const record = typeof id === 'string' ? store.getAttachment(id) : null;
+
+      if (!record || record.uploadedBy !== uploader.username) {
+        return { error: 'Attachment not found' };
+      }
+
+      if (!attachments.some((attachment) => attachment.id === record.id)) {
+        const { uploadedBy, createdAt, ...metadata } = record;
+        attachments.push(metadata);
+      }
+    }
+
+    return { attachments };
+  };
+
+  // Serves stored files; anything that is not an image is offered as a download.
+  const serve = () =>
+    express.static(directory, {
+      setHeaders: (res, filePath) => {
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+
+        if (!['.png', '.jpg', '.gif', '.webp'].includes(path.extname(filePath))) {
+          res.setHeader('Content-Disposition', 'attachment');
+        }
+      },
+    });
+
+  return { receive, saveUpload, resolveAttachments, serve, limitLabel: formatLimit(maxBytes) };
+};
+
+module.exports = { createUploads, readImageSize, ALLOWED_TYPES, MAX_ATTACHMENTS_PER_MESSAGE };
@@ -0,0 +1,367 @@
+// eventSchemas.mjs - Payload rules for every socket event the client sends, shared by the server and the client
+//
+// The server checks each payload here before its handler runs; the client uses the same rules to catch
+// mistakes before emitting. Each event maps field names to a rule, and `oneOf` names fields of which at
+// least one must be present. Missing and null fields are treated alike and left out of the cleaned payload.
+
+export const MAX_MESSAGE_LENGTH = 4000;
+export const MAX_ROOM_NAME_LENGTH = 50;
+export const MAX_ROOM_DESCRIPTION_LENGTH = 200;
+export const MIN_ROOM_PASSWORD_LENGTH = 4;
+export const MAX_ROOM_PASSWORD_LENGTH = 128;
+export const ROOM_VISIBILITIES = ['public', 'private', 'password'];
+export const MAX_GROUP_PARTICIPANTS = 20;
+export const MAX_GROUP_NAME_LENGTH = 50;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+export const MAX_HISTORY_PAGE_SIZE = 100;
+export const MAX_MUTE_MINUTES = 7 * 24 * 60;
+export const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{2,24}$/;
+export const REACTIONS = ['👍', '❤️', '😂', '🎉', '👀'];
+export const PRESENCE_STATUSES = ['online', 'away', 'dnd', 'invisible'];
+export const MAX_STATUS_TEXT_LENGTH = 100;
+export const MAX_STATUS_MINUTES = 7 * 24 * 60;
+export const NOTIFICATION_LEVELS = ['all', 'mentions', 'muted'];
+export const MAX_BOOKMARK_NOTE_LENGTH = 500;
+
+export const VALIDATION_ERRORS = {
+  invalidPayload: 'invalid_payload',
+  unknownEvent: 'unknown_event',
+};
+
+const MAX_ID_LENGTH = 128;
+const MAX_TRACKED_CONVERSATIONS = 500;
+
+const id = (label, extra) => ({ type: 'string', label, maxLength: MAX_ID_LENGTH, ...extra });
+const required = (rule) => ({ ...rule, required: true });
+
+const roomId = required(id('Room'));
+const threadId = required(id('Conversation'));
+const messageId = required(id('Message'));
+const username = {
+  type: 'string',
+  label: 'Username',
+  trim: true,
+  pattern: USERNAME_PATTERN,
+  patternMessage: 'Usernames are 2-24 letters, numbers, dots, dashes or underscores',
+};
+const roomName = {
+  type: 'string',
+  label: 'Room name',
+  trim: true,
+  minLength: 1,
+  maxLength: MAX_ROOM_NAME_LENGTH,
+  pattern: /^[^\p{Cc}]*[\p{L}\p{N}][^\p{Cc}]*$/u,
+  patternMessage: 'Room names need at least one letter or number',
+};
+const description = { type: 'string', label: 'Description', trim: true, maxLength: MAX_ROOM_DESCRIPTION_LENGTH };
+const roomPassword = { type: 'string', label: 'Password', maxLength: MAX_ROOM_PASSWORD_LENGTH };
+const visibility = { type: 'enum', label: 'Visibility', values: ROOM_VISIBILITIES };
+const body = { type: 'string', label: 'Message', trim: true, maxLength: MAX_MESSAGE_LENGTH };
+const attachments = {
+  type: 'array',
+  label: 'Attachments',
+  maxItems: MAX_ATTACHMENTS_PER_MESSAGE,
+  items: id('Attachment'),
+};
+const tempId = { type: 'string', label: 'Temporary id', maxLength: 64 };
+const emoji = required({ type: 'enum', label: 'Reaction', values: REACTIONS });
+const isTyping = { type: 'boolean', label: 'Typing flag' };
+const limit = { type: 'number', label: 'Limit', integer: true, min: 1, max: MAX_HISTORY_PAGE_SIZE };
+const cursor = id('Cursor');
+const statusText = { type: 'string', label: 'Status text', trim: true, maxLength: MAX_STATUS_TEXT_LENGTH };
+const statusEmoji = {
+  type: 'string',
+  label: 'Status emoji',
+  trim: true,
+  maxLength: 16,
+  pattern: /^(?:(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+)?$/u,
+  patternMessage: 'Status emoji must be an emoji',
+};
+
+export const EVENT_SCHEMAS = {
+  user_join: {
+    fields: {
+      resumeToken: { type: 'string', label: 'Resume token', maxLength: 256 },
+      lastMessageIds: {
+        type: 'record',
+        label: 'Last message ids',
+        maxKeys: MAX_TRACKED_CONVERSATIONS,
+        keys: id('Conversation'),
+        values: id('Message'),
+      },
+    },
+  },
+  join_room: {
+    fields: { roomId: id('Room'), roomName, description, visibility, password: roomPassword },
+    oneOf: { fields: ['roomId', 'roomName'], error: 'Room name is required' },
+  },
+  invite_to_room: { fields: { roomId, username: required(username) } },
+  respond_to_invite: { fields: { roomId, accept: { type: 'boolean', label: 'Answer' } } },
+  leave_room: { fields: { roomId } },
+  set_active_room: { fields: { roomId } },
+  update_room: { fields: { roomId, name: roomName, description, visibility, password: roomPassword } },
+  kick_member: { fields: { roomId, username: required(username) } },
+  ban_member: { fields: { roomId, username: required(username) } },
+  unban_member: { fields: { roomId, username: required(username) } },
+  mute_member: {
+    fields: {
+      roomId,
+      username: required(username),
+      minutes: { type: 'number', label: 'Minutes', min: 0, max: MAX_MUTE_MINUTES },
+    },
+  },
+  unmute_member: { fields: { roomId, username: required(username) } },
+  set_member_role: {
+    fields: {
+      roomId,
+      username: required(username),
+      role: required({ type: 'enum', label: 'Role', values: ['moderator', 'member'] }),
+    },
+  },
+  send_message: { fields: { roomId, message: body, attachments, tempId, parentId: id('Parent message') } },
+  edit_message: { fields: { roomId, messageId, message: required(body) } },
+  delete_message: { fields: { roomId, messageId } },
+  message_delivered: { fields: { roomId, messageId } },
+  message_read: { fields: { roomId, messageId } },
+  react_to_message: { fields: { roomId, messageId, emoji } },
+  typing: { fields: { roomId, parentId: id('Parent message'), isTyping } },
+  request_reply_history: {
+    fields: { roomId, parentId: required(id('Parent message')), before: cursor, limit },
+  },
+  request_room_history: {
+    fields: { roomId, before: cursor, after: cursor, around: cursor, limit },
+  },
+  request_thread_history: {
+    fields: { threadId, before: cursor, after: cursor, around: cursor, limit },
+  },
+  private_message: {
+    fields: { to: username, threadId: id('Conversation'), message: body, attachments, tempId },
+    oneOf: { fields: ['to', 'threadId'], error: 'Recipient is required' },
+  },
+  create_group_thread: {
+    fields: {
+      participants: required({
+        type: 'array',
+        label: 'Participants',
+        maxItems: MAX_GROUP_PARTICIPANTS,
+        items: username,
+      }),
+      name: { type: 'string', label: 'Group name', trim: true, maxLength: MAX_GROUP_NAME_LENGTH },
+    },
+  },
+  add_thread_participants: {
+    fields: {
+      threadId,
+      usernames: required({
+        type: 'array',
+        label: 'Usernames',
+        minItems: 1,
+        maxItems: MAX_GROUP_PARTICIPANTS,
+        items: username,
+      }),
+    },
+  },
+  remove_thread_participant: { fields: { threadId, username } },
+  edit_private_message: { fields: { threadId, messageId, message: required(body) } },
+  delete_private_message: { fields: { threadId, messageId } },
+  private_typing: {
+    fields: { to: username, threadId: id('Conversation'), isTyping },
+    oneOf: { fields: ['to', 'threadId'], error: 'Recipient is required' },
+  },
+  private_message_read: { fields: { threadId, messageId } },
+  dismiss_link_previews: {
+    fields: { roomId: id('Room'), threadId: id('Conversation'), messageId },
+    oneOf: { fields: ['roomId', 'threadId'], error: 'Conversation is required' },
+  },
+  add_bookmark: {
+    fields: {
+      roomId: id('Room'),
+      threadId: id('Conversation'),
+      messageId,
+      note: { type: 'string', label: 'Note', trim: true, maxLength: MAX_BOOKMARK_NOTE_LENGTH },
+    },
+    oneOf: { fields: ['roomId', 'threadId'], error: 'Conversation is required' },
+  },
+  remove_bookmark: { fields: { messageId } },
+  pin_message: {
+    fields: { roomId: id('Room'), threadId: id('Conversation'), messageId },
+    oneOf: { fields: ['roomId', 'threadId'], error: 'Conversation is required' },
+  },
+  unpin_message: {
+    fields: { roomId: id('Room'), threadId: id('Conversation'), messageId },
+    oneOf: { fields: ['roomId', 'threadId'], error: 'Conversation is required' },
+  },
+  react_to_private_message: { fields: { threadId, messageId, emoji } },
+  set_status: { fields: { status: required({ type: 'enum', label: 'Status', values: PRESENCE_STATUSES }) } },
+  set_custom_status: {
+    fields: {
+      text: statusText,
+      emoji: statusEmoji,
+      expiresInMinutes: { type: 'number', label: 'Expiry', integer: true, min: 1, max: MAX_STATUS_MINUTES },
+    },
+  },
+  set_idle: { fields: { idle: required({ type: 'boolean', label: 'Idle flag' }) } },
+  set_notification_preference: {
+    fields: {
+      roomId: id('Room'),
+      threadId: id('Conversation'),
+      level: required({ type: 'enum', label: 'Notification level', values: NOTIFICATION_LEVELS }),
+      minutes: { type: 'number', label: 'Mute length', integer: true, min: 1, max: MAX_MUTE_MINUTES },
+    },
+    oneOf: { fields: ['roomId', 'threadId'], error: 'Conversation is required' },
+  },
+  request_last_seen: {
+    fields: {
+      usernames: required({ type: 'array', label: 'Usernames', maxItems: MAX_HISTORY_PAGE_SIZE, items: username }),
+    },
+  },
+};
+
+const fail = (field, error) => ({ ok: false, code: VALIDATION_ERRORS.invalidPayload, field, error });
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Returns { value } with the cleaned value, or { error } describing the first problem.
+const checkValue = (rule, input) => {
+  const { label } = rule;
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof input !== 'string') {
+        return { error: `${label} must be text` };
+      }
+
+      const value = rule.trim ? input.trim() : input;
+
+      if (rule.required && !value) {
+        return { error: `${label} cannot be empty` };
+      }
+
+      if (rule.minLength && value.length < rule.minLength) {
+        return {
+          error: rule.minLength === 1 ? `${label} cannot be empty` : `${label} must be at least ${rule.minLength} characters`,
+        };
+      }
+
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return { error: `${label} must be at most ${rule.maxLength} characters` };
+      }
+
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return { error: rule.patternMessage || `${label} is not valid` };
+      }
+
+      return { value };
+    }
+    case 'number': {
+      if (typeof input !== 'number' || !Number.isFinite(input)) {
+        return { error: `${label} must be a number` };
+      }
+
+      if ((rule.integer && !Number.isInteger(input)) || input < rule.min || input > rule.max) {
+        return { error: `${label} must be a${rule.integer ? ' whole' : ''} number from ${rule.min} to ${rule.max}` };
+      }
+
+      return { value: input };
+    }
+    case 'boolean':
+      return typeof input === 'boolean' ? { value: input } : { error: `${label} must be true or false` };
+    case 'enum':
+      return rule.values.includes(input) ? { value: input } : { error: `${label} must be one of ${rule.values.join(', ')}` };
+    case 'array': {
+      if (!Array.isArray(input)) {
+        return { error: `${label} must be a list` };
+      }
+
+      if (input.length < (rule.minItems || 0)) {
+        return { error: `${label} must have at least ${rule.minItems} ${rule.minItems === 1 ? 'entry' : 'entries'}` };
+      }
+
+      if (input.length > rule.maxItems) {
+        return { error: `${label} can have at most ${rule.maxItems} entries` };
+      }
+
+      const value = [];
+
+      for (const item of input) {
+        const checked = checkValue(rule.items, item);
+
+        if (checked.error) {
+          return checked;
+        }
+
+        value.push(checked.value);
+      }
+
+      return { value };
+    }
+    case 'record': {
+      if (!isPlainObject(input)) {
+        return { error: `${label} must be an object` };
+      }
+
+      const entries = Object.entries(input);
+
+      if (entries.length > rule.maxKeys) {
+        return { error: `${label} can have at most ${rule.maxKeys} entries` };
+      }
+
+      const value = {};
+
+      for (const [key, item] of entries) {
+        const checkedKey = checkValue(rule.keys, key);
+        const checked = checkedKey.error ? checkedKey : checkValue(rule.values, item);
+
+        if (checked.error) {
+          return checked;
+        }
+
+        value[key] = checked.value;
+      }
+
+      return { value };
+    }
+    default:
+      return { error: `${label} has an unknown rule` };
+  }
+};
+
+// Checks a payload for `event`. Returns { ok: true, value } with only the declared fields, strings trimmed
+// where the rule says so, or { ok: false, code, field, error } for the first field that fails.
+export const validatePayload = (event, payload) => {
+  const schema = Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event) ? EVENT_SCHEMAS[event] : null;
+
+  if (!schema) {
+    return { ok: false, code: VALIDATION_ERRORS.unknownEvent, field: null, error: `Unknown event: ${event}` };
+  }
+
+  if (payload != null && !isPlainObject(payload)) {
+    return fail(null, 'Payload must be an object');
+  }
+
+  const input = payload || {};
+  const value = {};
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    if (input[field] == null) {
+      if (rule.required) {
+        return fail(field, `${rule.label} is required`);
+      }
+      continue;
+    }
+
+    const checked = checkValue(rule, input[field]);
+
+    if (checked.error) {
+      return fail(field, checked.error);
+    }
+
+    value[field] = checked.value;
+  }
+
+  if (schema.oneOf && schema.oneOf.fields.every((field) => value[field] == null || value[field] === '')) {
+    return fail(schema.oneOf.fields[0], schema.oneOf.error);
+  }
+
+  return { ok: true, value };
+};
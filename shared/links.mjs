@@ -0,0 +1,60 @@
+// links.mjs - Which parts of a message count as links, shared by the client (which renders them) and the
+// server (which fetches previews for them)
+//
+// Bare http(s):// and www. URLs are links when they do not start mid-word. Code spans and fenced code blocks
+// are left alone, as the client renders them verbatim.
+
+const LINK_PATTERN = /^(?:https?:\/\/|www\.)[^\s<>"`]+/i;
+const LINK_START_PATTERN = /(?:https?:\/\/|www\.)/gi;
+
+// Trailing punctuation usually ends the sentence rather than the URL; a closing parenthesis only belongs to
+// the URL when it opened one.
+const trimLink = (raw) => {
+  let url = raw.replace(/[.,!?;:'"*_~]+$/, '');
+  while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+    url = url.slice(0, -1).replace(/[.,!?;:'"*_~]+$/, '');
+  }
+  return url;
+};
+
+const toHref = (url) => {
+  try {
+    const parsed = new URL(/^www\./i.test(url) ? `https://${url}` : url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The link starting at `index` in `text` as { text, href }, or null.
+export const matchLinkAt = (text, index) => {
+  if (index > 0 && /\w/.test(text[index - 1])) {
+    return null;
+  }
+
+  const match = LINK_PATTERN.exec(text.slice(index));
+  const url = match ? trimLink(match[0]) : '';
+  const href = url && toHref(url);
+  return href ? { text: url, href } : null;
+};
+
+// The distinct hrefs linked from `text`, in order of first appearance.
+export const findLinks = (text) => {
+  const visible = String(text || '')
+    .replace(/```[\s\S]*?(?:```|$)/g, ' ')
+    .replace(/`[^`\n]+`/g, ' ');
+  const hrefs = [];
+  let covered = 0;
+
+  for (const start of visible.matchAll(LINK_START_PATTERN)) {
+    const link = start.index >= covered ? matchLinkAt(visible, start.index) : null;
+    if (link) {
+      covered = start.index + link.text.length;
+      if (!hrefs.includes(link.href)) {
+        hrefs.push(link.href);
+      }
+    }
+  }
+
+  return hrefs;
+};
@@ -0,0 +1,21 @@
+// mentions.mjs - How @mentions are written, shared by the server (which resolves them) and the client (which
+// highlights them)
+//
+// `@name` counts when it starts the text or follows a character that cannot be part of a name or an email
+// address. Names end in a letter, digit or underscore so trailing punctuation ("thanks @sam.") is left out.
+
+export const SPECIAL_MENTIONS = ['here', 'room'];
+
+const MENTION_PATTERN = /(^|[^\w@.-])@([A-Za-z0-9_](?:[A-Za-z0-9_.-]{0,22}[A-Za-z0-9_])?)/g;
+
+// Every @token in `text` as { name, start, end }, where start and end cover the "@" and the name.
+export const findMentions = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  return Array.from(text.matchAll(MENTION_PATTERN), (match) => {
+    const start = match.index + match[1].length;
+    return { name: match[2], start, end: start + 1 + match[2].length };
+  });
+};